@@ -14,6 +14,7 @@ import {
     waitForInput,
     gotoWithCheck,
     waitApiResponse,
+    raceCancel,
     useContextDownload
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
@@ -32,7 +33,7 @@ const INPUT_SELECTOR = '.ProseMirror';
  * @returns {Promise<{image?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
     const sendBtnLocator = page.getByRole('button', { name: 'Send prompt' });
 
     try {
@@ -97,6 +98,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'backend-api/f/conversation',
                 method: 'POST',
                 timeout: 180000,  // 图片生成可能较慢
+                signal,
                 meta
             });
         } catch (e) {
@@ -119,7 +121,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         let fileName = null;
 
         try {
-            await page.waitForResponse(async (response) => {
+            await raceCancel(page.waitForResponse(async (response) => {
                 const url = response.url();
                 if (!url.includes('backend-api/files/download/file_')) return false;
                 if (response.status() !== 200) return false;
@@ -145,7 +147,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 } catch {
                     return false;
                 }
-            }, { timeout: 120000 });
+            }, { timeout: 120000 }), signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
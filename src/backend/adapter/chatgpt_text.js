@@ -12,14 +12,160 @@ import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck,
-    waitApiResponse
+    openConversation,
+    getThreadUrl,
+    waitApiResponse,
+    throwIfCancelled,
+    raceCancel,
+    stopOnCancel
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chatgpt.com/';
 const INPUT_SELECTOR = '.ProseMirror';
+const STOP_SELECTOR = 'button[data-testid="stop-button"]';
+const CONVERSATION_URL = 'backend-api/f/conversation';
+const THREAD_PATTERN = /^(?:\/g\/[\w-]+)?\/c\/[\w-]+$/;
+
+/**
+ * 创建 conversation SSE 流解析器
+ * 正文取自 final 频道的 text 消息，思考过程取自 thoughts 消息
+ * 逐行解析完整响应体
+ * @returns {{feed: (line: string) => {text: string, reasoning: string}, text: string, reasoning: string, isComplete: boolean}}
+ *          feed 返回本行新增的正文和思考过程
+ */
+function createConversationParser() {
+    const state = {
+        text: '',
+        reasoning: '',
+        isComplete: false,
+        feed
+    };
+    let targetMessageId = null;  // 追踪目标消息 ID
+    let lastPath = null;         // 上一次追加的路径，无路径的追加沿用该路径
+
+    /**
+     * 判断路径是否指向思考过程 (如 /message/content/thoughts/0/content)
+     * @param {string|null} p - 路径
+     * @returns {boolean}
+     */
+    function isThoughtsPath(p) {
+        return typeof p === 'string' && p.startsWith('/message/content/thoughts');
+    }
+
+    /**
+     * 拼接思考片段列表
+     * @param {object[]} thoughts - 思考片段
+     * @returns {string}
+     */
+    function joinThoughts(thoughts) {
+        return thoughts
+            .map(t => [t.summary, t.content].filter(Boolean).join('\n'))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    function feed(line) {
+        const delta = { text: '', reasoning: '' };
+
+        // 跳过空行和事件行
+        if (!line.startsWith('data: ')) return delta;
+
+        const dataStr = line.slice(6).trim();
+        if (dataStr === '[DONE]') {
+            state.isComplete = true;
+            return delta;
+        }
+
+        /**
+         * 处理一次 append 操作
+         * @param {string} p - 路径
+         * @param {*} v - 追加内容
+         */
+        const append = (p, v) => {
+            lastPath = p;
+            if (p === '/message/content/parts/0' && typeof v === 'string') {
+                delta.text += v;
+            } else if (isThoughtsPath(p)) {
+                // 追加新的思考片段，或向已有片段追加文本
+                if (Array.isArray(v)) {
+                    const joined = joinThoughts(v);
+                    if (joined) delta.reasoning += (state.reasoning || delta.reasoning ? '\n\n' : '') + joined;
+                } else if (typeof v === 'string') {
+                    delta.reasoning += v;
+                }
+            }
+        };
+
+        try {
+            const data = JSON.parse(dataStr);
+            const message = data.v?.message;
+
+            // 检测目标消息 (assistant 角色, channel: "final", content_type: "text")
+            if (message?.author?.role === 'assistant' &&
+                message?.channel === 'final' &&
+                message?.content?.content_type === 'text') {
+                targetMessageId = message.id;
+                lastPath = '/message/content/parts/0';
+                // 初始内容 (覆盖之前累积的文本)
+                const parts = message.content.parts;
+                if (parts && parts[0]) {
+                    state.text = '';
+                    delta.text = parts[0];
+                }
+            }
+
+            // 思考过程消息 (content_type: "thoughts")
+            if (message?.author?.role === 'assistant' &&
+                message?.content?.content_type === 'thoughts') {
+                lastPath = '/message/content/thoughts';
+                const joined = joinThoughts(message.content.thoughts || []);
+                if (joined) delta.reasoning += (state.reasoning ? '\n\n' : '') + joined;
+            }
+
+            // 累积 delta 内容 (append 操作)
+            if (data.o === 'append' && data.p && data.v) {
+                append(data.p, data.v);
+            }
+
+            // 简单的 delta 追加 (没有 p/o，只有 v)，沿用上一次追加的路径
+            if (data.v && typeof data.v === 'string' && !data.o && !data.p) {
+                if (isThoughtsPath(lastPath)) {
+                    delta.reasoning += data.v;
+                } else if (targetMessageId) {
+                    delta.text += data.v;
+                }
+            }
+
+            // patch 操作中的 append
+            if (data.o === 'patch' && Array.isArray(data.v)) {
+                for (const patch of data.v) {
+                    if (patch.o === 'append' && patch.p && patch.v) {
+                        append(patch.p, patch.v);
+                    }
+                    // 检查是否完成
+                    if (patch.p === '/message/status' && patch.v === 'finished_successfully') {
+                        state.isComplete = true;
+                    }
+                }
+            }
+
+            // message_stream_complete 表示完成
+            if (data.type === 'message_stream_complete') {
+                state.isComplete = true;
+            }
+        } catch {
+            // 忽略解析错误
+        }
+
+        state.text += delta.text;
+        state.reasoning += delta.reasoning;
+        return delta;
+    }
+
+    return state;
+}
 
 /**
  * 通过 UI 选择模型
@@ -82,15 +228,16 @@ async function selectModel(page, codeName, meta = {}) {
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, reasoning?: string, threadUrl?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
     const sendBtnLocator = page.getByRole('button', { name: 'Send prompt' });
+    let disposeStop = null;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        // 有可续接的会话时只发送最新一轮输入
+        ({ prompt, imgPaths } = await openConversation(page, context, { targetUrl: TARGET_URL, prompt, imgPaths, meta }));
 
         // 1. 等待输入框加载
         await waitForInput(page, INPUT_SELECTOR, { click: false });
@@ -145,9 +292,11 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         await fillPrompt(page, INPUT_SELECTOR, prompt, meta);
         await sleep(500, 1000);
 
-        // 5. 点击发送
+        // 5. 点击发送 (任务被取消时点击停止按钮)
+        throwIfCancelled(signal);
         logger.debug('适配器', '点击发送...', meta);
         await safeClick(page, sendBtnLocator, { bias: 'button' });
+        disposeStop = stopOnCancel(page, signal, STOP_SELECTOR, meta);
 
         logger.info('适配器', '等待生成结果...', meta);
 
@@ -155,82 +304,28 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.info('适配器', '监听 SSE 流获取文本...', meta);
 
         let textContent = '';
-        let isComplete = false;
-        let targetMessageId = null;  // 追踪目标消息 ID
+        let reasoningContent = '';
 
         try {
-            await page.waitForResponse(async (response) => {
+            await raceCancel(page.waitForResponse(async (response) => {
                 const url = response.url();
-                if (!url.includes('backend-api/f/conversation')) return false;
+                if (!url.includes(CONVERSATION_URL)) return false;
                 if (response.request().method() !== 'POST') return false;
                 if (response.status() !== 200) return false;
 
                 try {
                     const body = await response.text();
-                    const lines = body.split('\n');
-
-                    for (const line of lines) {
-                        // 跳过空行和事件行
-                        if (!line.startsWith('data: ')) continue;
-
-                        const dataStr = line.slice(6).trim();
-                        if (dataStr === '[DONE]') {
-                            isComplete = true;
-                            continue;
-                        }
-
-                        try {
-                            const data = JSON.parse(dataStr);
-
-                            // 检测目标消息 (assistant 角色, channel: "final", content_type: "text")
-                            if (data.v?.message?.author?.role === 'assistant' &&
-                                data.v?.message?.channel === 'final' &&
-                                data.v?.message?.content?.content_type === 'text') {
-                                targetMessageId = data.v.message.id;
-                                // 初始内容
-                                const parts = data.v.message.content.parts;
-                                if (parts && parts[0]) {
-                                    textContent = parts[0];
-                                }
-                            }
-
-                            // 累积 delta 内容 (append 操作)
-                            if (data.o === 'append' && data.p === '/message/content/parts/0' && data.v) {
-                                textContent += data.v;
-                            }
-
-                            // 简单的 delta 追加 (没有 p/o，只有 v)
-                            if (data.v && typeof data.v === 'string' && !data.o && !data.p && targetMessageId) {
-                                textContent += data.v;
-                            }
-
-                            // patch 操作中的 append
-                            if (data.o === 'patch' && Array.isArray(data.v)) {
-                                for (const patch of data.v) {
-                                    if (patch.o === 'append' && patch.p === '/message/content/parts/0' && patch.v) {
-                                        textContent += patch.v;
-                                    }
-                                    // 检查是否完成
-                                    if (patch.p === '/message/status' && patch.v === 'finished_successfully') {
-                                        isComplete = true;
-                                    }
-                                }
-                            }
-
-                            // message_stream_complete 表示完成
-                            if (data.type === 'message_stream_complete') {
-                                isComplete = true;
-                            }
-                        } catch {
-                            // 忽略解析错误
-                        }
+                    const parser = createConversationParser();
+                    for (const line of body.split('\n')) {
+                        parser.feed(line);
                     }
-
-                    return isComplete;
+                    textContent = parser.text;
+                    reasoningContent = parser.reasoning;
+                    return parser.isComplete;
                 } catch {
                     return false;
                 }
-            }, { timeout: 180000 });
+            }, { timeout: 180000 }), signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
@@ -244,7 +339,15 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+        const result = { text: textContent.trim() };
+        if (reasoningContent) {
+            result.reasoning = reasoningContent.trim();
+        }
+        const threadUrl = getThreadUrl(page, THREAD_PATTERN);
+        if (threadUrl) {
+            result.threadUrl = threadUrl;
+        }
+        return result;
 
     } catch (err) {
         // 顶层错误处理
@@ -254,6 +357,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        disposeStop?.();
+
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
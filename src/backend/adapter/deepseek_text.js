@@ -11,13 +11,20 @@ import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    openConversation,
+    getThreadUrl,
+    throwIfCancelled,
+    raceCancel,
+    addSource,
+    collectCitations
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chat.deepseek.com/';
 const INPUT_SELECTOR = 'textarea';
+const COMPLETION_URL = 'chat/completion';
+const THREAD_PATTERN = /^\/a\/chat\/s\/[\w-]+$/;
 
 /**
  * 切换功能按钮状态
@@ -73,6 +80,153 @@ async function configureModel(page, modelConfig, meta = {}) {
     await sleep(200, 400);
 }
 
+/**
+ * 正文中的引用标记，如 [citation:3]，序号对应搜索结果的 cite_index
+ */
+const CITATION_PATTERN = /\[citation:(\d+)\]/g;
+
+/**
+ * 创建 chat/completion SSE 流解析器
+ * RESPONSE 类型 fragment 的内容计入正文，THINK 计入思考过程，SEARCH 的搜索结果计入来源
+ * 逐行解析完整响应体
+ * @returns {{feed: (line: string) => {text: string, reasoning: string}, text: string, reasoning: string, sources: object[], isComplete: boolean}}
+ *          feed 返回本行新增的正文和思考过程
+ */
+function createCompletionParser() {
+    const state = {
+        text: '',
+        reasoning: '',
+        sources: [],
+        isComplete: false,
+        feed
+    };
+    const fragmentTypes = [];        // fragments 数组中各项的类型
+    let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
+    let delta = { text: '', reasoning: '' };
+
+    /**
+     * 按 fragment 类型收集文本
+     * @param {number} idx - fragment 数组索引
+     * @param {string} v - 文本
+     */
+    function collect(idx, v) {
+        if (fragmentTypes[idx] === 'RESPONSE') {
+            delta.text += v;
+        } else if (fragmentTypes[idx] === 'THINK') {
+            delta.reasoning += v;
+        }
+    }
+
+    /**
+     * 登记搜索结果
+     * @param {object[]} results - 搜索结果 ({url, title, cite_index})
+     */
+    function addResults(results) {
+        for (const item of results) {
+            addSource(state.sources, item);
+        }
+    }
+
+    /**
+     * 登记新增的 fragments，并收集其初始内容
+     * @param {object[]} fragments - fragment 列表
+     */
+    function addFragments(fragments) {
+        for (const fragment of fragments) {
+            const idx = fragmentTypes.length;
+            // RESPONSE、THINK 或 SEARCH
+            fragmentTypes.push(fragment.type);
+            currentFragmentIndex = idx;
+            if (fragment.content) {
+                collect(idx, fragment.content);
+            }
+            if (Array.isArray(fragment.results)) {
+                addResults(fragment.results);
+            }
+        }
+    }
+
+    /**
+     * 处理带 fragment 路径的文本追加 (如 response/fragments/1/content)
+     * @param {string} p - 路径
+     * @param {string} v - 文本
+     */
+    function appendToPath(p, v) {
+        const match = p.match(/response\/fragments\/(-?\d+)\/content/);
+        if (!match) return;
+        let fragIdx = parseInt(match[1], 10);
+        // 负索引表示从末尾计数 (如 -1 为最后一个 fragment)
+        if (fragIdx < 0) fragIdx += fragmentTypes.length;
+        currentFragmentIndex = fragIdx;
+        collect(fragIdx, v);
+    }
+
+    function feed(line) {
+        delta = { text: '', reasoning: '' };
+
+        // 跳过事件行和空行
+        if (line.startsWith('event:') || !line.startsWith('data:')) return delta;
+
+        const dataStr = line.slice(5).trim();
+        if (!dataStr || dataStr === '{}') return delta;
+
+        try {
+            const data = JSON.parse(dataStr);
+
+            // 初始响应中可能已有 fragments (如 SEARCH)
+            if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
+                addFragments(data.v.response.fragments);
+            }
+
+            // 简单的文本追加 (只有 v 字符串，没有 p 和 o)，追加到当前活跃的 fragment
+            if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
+                collect(currentFragmentIndex, data.v);
+            }
+
+            // 带路径的 APPEND 操作，或不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
+            if (data.p && typeof data.v === 'string' && (data.o === 'APPEND' || !data.o)) {
+                appendToPath(data.p, data.v);
+            }
+
+            // fragments APPEND - 新增 fragment (非 BATCH)
+            if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
+                addFragments(data.v);
+            }
+
+            // 搜索结果 (如 response/fragments/0/results 或 response/search_results)
+            if (typeof data.p === 'string' && /results$/.test(data.p) && Array.isArray(data.v)) {
+                addResults(data.v);
+            }
+
+            // BATCH 操作中的 fragments
+            if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
+                for (const item of data.v) {
+                    // fragments 追加
+                    if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
+                        addFragments(item.v);
+                    }
+                    // 搜索结果
+                    if (typeof item.p === 'string' && /results$/.test(item.p) && Array.isArray(item.v)) {
+                        addResults(item.v);
+                    }
+                    // 检查是否完成
+                    if (item.p === 'status' && item.v === 'FINISHED') {
+                        state.isComplete = true;
+                    }
+                }
+            }
+        } catch {
+            // 忽略解析错误
+        }
+
+        state.text += delta.text;
+        state.reasoning += delta.reasoning;
+        return delta;
+    }
+
+    return state;
+}
+
 /**
  * 执行文本生成任务
  * @param {object} context - 浏览器上下文 { page, config }
@@ -80,14 +234,14 @@ async function configureModel(page, modelConfig, meta = {}) {
  * @param {string[]} imgPaths - 图片路径数组 (此适配器不支持)
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, reasoning?: string, citations?: import('../utils/citations.js').Citation[], threadUrl?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        // 有可续接的会话时只发送最新一轮输入
+        ({ prompt } = await openConversation(page, context, { targetUrl: TARGET_URL, prompt, imgPaths, meta }));
 
         // 1. 等待输入框加载
         await waitForInput(page, INPUT_SELECTOR, { click: false });
@@ -105,6 +259,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         await sleep(500, 1000);
 
         // 4. 按回车发送
+        throwIfCancelled(signal);
         logger.debug('适配器', '按回车发送...', meta);
         await page.keyboard.press('Enter');
 
@@ -114,132 +269,30 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.info('适配器', '监听 SSE 流获取文本...', meta);
 
         let textContent = '';
-        let isComplete = false;
-        let responseFragmentIndex = -1;  // RESPONSE 类型 fragment 的数组索引
-        let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
-        let fragmentCount = 0;           // fragments 数组的当前长度
+        let reasoningContent = '';
+        let sources = [];
 
         try {
-            await page.waitForResponse(async (response) => {
+            await raceCancel(page.waitForResponse(async (response) => {
                 const url = response.url();
-                if (!url.includes('chat/completion')) return false;
+                if (!url.includes(COMPLETION_URL)) return false;
                 if (response.request().method() !== 'POST') return false;
                 if (response.status() !== 200) return false;
 
                 try {
                     const body = await response.text();
-                    const lines = body.split('\n');
-
-                    for (const line of lines) {
-                        // 跳过事件行和空行
-                        if (line.startsWith('event:') || !line.startsWith('data:')) continue;
-
-                        const dataStr = line.slice(5).trim();
-                        if (!dataStr || dataStr === '{}') continue;
-
-                        try {
-                            const data = JSON.parse(dataStr);
-
-                            // 初始响应中可能已有 fragments (如 SEARCH)
-                            if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
-                                for (const fragment of data.v.response.fragments) {
-                                    const idx = fragmentCount++;
-                                    if (fragment.type === 'RESPONSE') {
-                                        responseFragmentIndex = idx;
-                                        currentFragmentIndex = idx;
-                                        if (fragment.content) {
-                                            textContent += fragment.content;
-                                        }
-                                    } else {
-                                        currentFragmentIndex = idx;
-                                    }
-                                }
-                            }
-
-                            // 简单的文本追加 (只有 v 字符串，没有 p 和 o)
-                            // 只有当前活跃的 fragment 是 RESPONSE 类型时才收集
-                            if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
-                                if (currentFragmentIndex === responseFragmentIndex && responseFragmentIndex >= 0) {
-                                    textContent += data.v;
-                                }
-                            }
-
-                            // 带路径的 APPEND 操作 (如 response/fragments/1/content)
-                            if (data.o === 'APPEND' && data.p && typeof data.v === 'string') {
-                                const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                                if (match) {
-                                    const fragIdx = parseInt(match[1], 10);
-                                    currentFragmentIndex = fragIdx;
-                                    if (fragIdx === responseFragmentIndex) {
-                                        textContent += data.v;
-                                    }
-                                }
-                            }
-
-                            // 不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
-                            if (data.p && typeof data.v === 'string' && !data.o) {
-                                const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                                if (match) {
-                                    const fragIdx = parseInt(match[1], 10);
-                                    currentFragmentIndex = fragIdx;
-                                    if (fragIdx === responseFragmentIndex) {
-                                        textContent += data.v;
-                                    }
-                                }
-                            }
-
-                            // fragments APPEND - 新增 fragment (非 BATCH)
-                            if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
-                                for (const fragment of data.v) {
-                                    const idx = fragmentCount++;
-                                    if (fragment.type === 'RESPONSE') {
-                                        responseFragmentIndex = idx;
-                                        currentFragmentIndex = idx;
-                                        if (fragment.content) {
-                                            textContent += fragment.content;
-                                        }
-                                    } else {
-                                        // THINK 或 SEARCH
-                                        currentFragmentIndex = idx;
-                                    }
-                                }
-                            }
-
-                            // BATCH 操作中的 fragments
-                            if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
-                                for (const item of data.v) {
-                                    // fragments 追加
-                                    if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
-                                        for (const fragment of item.v) {
-                                            const idx = fragmentCount++;
-                                            if (fragment.type === 'RESPONSE') {
-                                                responseFragmentIndex = idx;
-                                                currentFragmentIndex = idx;
-                                                if (fragment.content) {
-                                                    textContent += fragment.content;
-                                                }
-                                            } else {
-                                                // THINK 或 SEARCH
-                                                currentFragmentIndex = idx;
-                                            }
-                                        }
-                                    }
-                                    // 检查是否完成
-                                    if (item.p === 'status' && item.v === 'FINISHED') {
-                                        isComplete = true;
-                                    }
-                                }
-                            }
-                        } catch {
-                            // 忽略解析错误
-                        }
+                    const parser = createCompletionParser();
+                    for (const line of body.split('\n')) {
+                        parser.feed(line);
                     }
-
-                    return isComplete;
+                    textContent = parser.text;
+                    reasoningContent = parser.reasoning;
+                    sources = parser.sources;
+                    return parser.isComplete;
                 } catch {
                     return false;
                 }
-            }, { timeout: 180000 });
+            }, { timeout: 180000 }), signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
@@ -253,7 +306,23 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+        const result = { text: textContent.trim() };
+        if (reasoningContent) {
+            result.reasoning = reasoningContent.trim();
+        }
+        if (sources.length > 0) {
+            // cite_index 从 1 开始，缺失时按结果顺序对应
+            result.citations = collectCitations(result.text, sources, CITATION_PATTERN, (match) => {
+                const index = Number(match[1]);
+                return sources.find(s => s.cite_index === index) || sources[index - 1];
+            });
+            logger.info('适配器', `已获取搜索来源 (${sources.length} 条)`, meta);
+        }
+        const threadUrl = getThreadUrl(page, THREAD_PATTERN);
+        if (threadUrl) {
+            result.threadUrl = threadUrl;
+        }
+        return result;
 
     } catch (err) {
         // 顶层错误处理
@@ -283,10 +352,10 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'deepseek-v3.2', imagePolicy: 'forbidden' },
-        { id: 'deepseek-v3.2-thinking', imagePolicy: 'forbidden', thinking: true },
-        { id: 'deepseek-v3.2-search', imagePolicy: 'forbidden', search: true },
-        { id: 'deepseek-v3.2-thinking-search', imagePolicy: 'forbidden', thinking: true, search: true },
+        { id: 'deepseek-v3.2', imagePolicy: 'forbidden', type: 'text' },
+        { id: 'deepseek-v3.2-thinking', imagePolicy: 'forbidden', type: 'text', thinking: true },
+        { id: 'deepseek-v3.2-search', imagePolicy: 'forbidden', type: 'text', search: true },
+        { id: 'deepseek-v3.2-thinking-search', imagePolicy: 'forbidden', type: 'text', thinking: true, search: true },
     ],
 
     // 无需导航处理器
@@ -33,7 +33,7 @@ const TARGET_URL = 'https://gemini.google.com/app?hl=en';
  * @returns {Promise<{image?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
     const inputLocator = page.getByRole('textbox');
     const sendBtnLocator = page.getByRole('button', { name: 'Send message' });
 
@@ -114,6 +114,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'assistant.lamda.BardFrontendService/StreamGenerate',
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -141,6 +142,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                     urlContains: 'filename=video.mp4',
                     method: 'GET',
                     timeout: 180000,  // 视频生成可能更慢
+                    signal,
                     meta
                 });
             } catch (e) {
@@ -170,6 +172,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                     urlContains: '=s1024-rj',
                     method: 'GET',
                     timeout: 60000,
+                    signal,
                     meta
                 });
 
@@ -222,7 +225,7 @@ export const manifest = {
     // 模型列表
     models: [
         { id: 'gemini-3-pro-image-preview', imagePolicy: 'optional' },
-        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional' }
+        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional', output: 'video' }
     ],
 
     // 无需导航处理器
@@ -99,7 +99,7 @@ async function handleAccountChooser(page) {
  * @returns {Promise<{image?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
 
     try {
         // 支持新路径 adapter.gemini_biz.entryUrl，向下兼容旧路径 geminiBiz.entryUrl
@@ -209,6 +209,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['modelArmorViolation'],
+                signal,
                 meta
             });
         } catch (e) {
@@ -235,6 +236,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'GET',
                 timeout: 120000,
                 errorText: ['is unable to reply as the prompt'],
+                signal,
                 meta
             });
 
@@ -306,7 +308,7 @@ export const manifest = {
     // 模型列表
     models: [
         { id: 'gemini-3-pro-image-preview', imagePolicy: 'optional' },
-        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional' },
+        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional', output: 'video' },
     ],
 
     // 导航处理器
@@ -98,7 +98,7 @@ async function handleAccountChooser(page) {
  * @returns {Promise<{image?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
 
     try {
         // 支持新路径 adapter.gemini_biz.entryUrl，向下兼容旧路径 geminiBiz.entryUrl
@@ -216,6 +216,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['modelArmorViolation'],
+                signal,
                 meta
             });
         } catch (e) {
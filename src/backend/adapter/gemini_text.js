@@ -13,13 +13,20 @@ import {
     normalizeHttpError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck,
-    waitApiResponse
+    openConversation,
+    getThreadUrl,
+    waitApiResponse,
+    throwIfCancelled,
+    raceCancel,
+    stopOnCancel
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://gemini.google.com/app?hl=en';
+const STREAM_URL = 'assistant.lamda.BardFrontendService/StreamGenerate';
+const THREAD_PATTERN = /^(?:\/u\/\d+)?\/app\/[0-9a-f]+$/;
+const STOP_SELECTOR = 'button[aria-label="Stop response"]';
 
 /**
  * 执行文本生成任务
@@ -28,16 +35,17 @@ const TARGET_URL = 'https://gemini.google.com/app?hl=en';
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID (此适配器未使用)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, threadUrl?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
     const inputLocator = page.getByRole('textbox');
     const sendBtnLocator = page.getByRole('button', { name: 'Send message' });
+    let disposeStop = null;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        // 有可续接的会话时只发送最新一轮输入
+        ({ prompt, imgPaths } = await openConversation(page, context, { targetUrl: TARGET_URL, prompt, imgPaths, meta }));
 
         // 1. 等待输入框加载
         await waitForInput(page, inputLocator, { click: false });
@@ -158,19 +166,22 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             }
         }
 
-        // 5. 点击发送
+        // 5. 点击发送 (任务被取消时点击停止按钮)
+        throwIfCancelled(signal);
         logger.debug('适配器', '点击发送...', meta);
         await safeClick(page, sendBtnLocator, { bias: 'button' });
+        disposeStop = stopOnCancel(page, signal, STOP_SELECTOR, meta);
 
         logger.info('适配器', '等待生成结果...', meta);
 
-        // 5. 等待 API 响应
+        // 6. 等待 API 响应
         let apiResponse;
         try {
             apiResponse = await waitApiResponse(page, {
-                urlMatch: 'assistant.lamda.BardFrontendService/StreamGenerate',
+                urlMatch: STREAM_URL,
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -186,15 +197,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             return { error: `API 返回错误: ${httpError.error}` };
         }
 
-        // 6. 解析响应体
-        const bodyBuffer = await apiResponse.body();
+        // 7. 解析响应体
+        const bodyBuffer = await raceCancel(apiResponse.body(), signal);
         logger.debug('适配器', `收到响应体，字节数: ${bodyBuffer.length}`, meta);
 
         const text = getFinalAiTextFromResponse(bodyBuffer);
 
         if (text) {
             logger.info('适配器', `解析成功，文本长度: ${text.length}`, meta);
-            return { text };
+            const threadUrl = getThreadUrl(page, THREAD_PATTERN);
+            return threadUrl ? { text, threadUrl } : { text };
         } else {
             return { error: '未能从响应中提取文本' };
         }
@@ -206,6 +218,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        disposeStop?.();
         await moveMouseAway(page);
     }
 }
@@ -426,4 +439,4 @@ function getFinalAiTextFromResponse(bodyBuffer) {
         }
     }
     return best;
-}
\ No newline at end of file
+}
@@ -49,11 +49,13 @@ async function detectImageAspect(imgPath) {
  * @returns {Promise<{image?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
 
     // 获取模型配置
     const modelConfig = manifest.models.find(m => m.id === modelId) || manifest.models[0];
-    let { codeName, imageSize } = modelConfig;
+    const { codeName } = modelConfig;
+    // 请求指定的宽高比优先于模型默认值
+    let imageSize = context.size?.aspectRatio || modelConfig.imageSize;
 
     // 如果 imageSize 为 '0'，根据第一张图片动态决定尺寸
     if (imageSize === '0' && imgPaths && imgPaths.length > 0) {
@@ -195,6 +197,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             urlMatch: 'flowMedia:batchGenerateImages',
             method: 'POST',
             timeout: 120000,
+            signal,
             meta
         });
 
@@ -265,17 +268,17 @@ export const manifest = {
 
     // 模型列表
     models: [
-        // 根据上传的第一张图片动态获取图片比例
-        { id: 'gemini-3-pro-image-preview', codeName: '🍌 Nano Banana Pro', imageSize: '0', imagePolicy: 'optional' },
-        { id: 'gemini-2.5-flash-image-preview', codeName: '🍌 Nano Banana', imageSize: '0', imagePolicy: 'optional' },
-        { id: 'imagen-4', codeName: 'Imagen 4', imageSize: '0', imagePolicy: 'optional' },
+        // 根据请求的 size / aspect_ratio 选择比例，未指定时根据上传的第一张图片动态获取
+        { id: 'gemini-3-pro-image-preview', codeName: '🍌 Nano Banana Pro', imageSize: '0', aspectRatios: ['16:9', '9:16'], imagePolicy: 'optional' },
+        { id: 'gemini-2.5-flash-image-preview', codeName: '🍌 Nano Banana', imageSize: '0', aspectRatios: ['16:9', '9:16'], imagePolicy: 'optional' },
+        { id: 'imagen-4', codeName: 'Imagen 4', imageSize: '0', aspectRatios: ['16:9', '9:16'], imagePolicy: 'optional' },
         // 指定图片比例
-        { id: 'gemini-3-pro-image-preview-landspace', codeName: '🍌 Nano Banana Pro', imageSize: '16:9', imagePolicy: 'optional' },
-        { id: 'gemini-3-pro-image-preview-portrait', codeName: '🍌 Nano Banana Pro', imageSize: '9:16', imagePolicy: 'optional' },
-        { id: 'gemini-2.5-flash-image-preview-landspace', codeName: '🍌 Nano Banana', imageSize: '16:9', imagePolicy: 'optional' },
-        { id: 'gemini-2.5-flash-image-preview-portrait', codeName: '🍌 Nano Banana', imageSize: '9:16', imagePolicy: 'optional' },
-        { id: 'imagen-4-landspace', codeName: 'Imagen 4', imageSize: '16:9', imagePolicy: 'optional' },
-        { id: 'imagen-4-portrait', codeName: 'Imagen 4', imageSize: '9:16', imagePolicy: 'optional' }
+        { id: 'gemini-3-pro-image-preview-landspace', codeName: '🍌 Nano Banana Pro', imageSize: '16:9', aspectRatios: ['16:9'], imagePolicy: 'optional' },
+        { id: 'gemini-3-pro-image-preview-portrait', codeName: '🍌 Nano Banana Pro', imageSize: '9:16', aspectRatios: ['9:16'], imagePolicy: 'optional' },
+        { id: 'gemini-2.5-flash-image-preview-landspace', codeName: '🍌 Nano Banana', imageSize: '16:9', aspectRatios: ['16:9'], imagePolicy: 'optional' },
+        { id: 'gemini-2.5-flash-image-preview-portrait', codeName: '🍌 Nano Banana', imageSize: '9:16', aspectRatios: ['9:16'], imagePolicy: 'optional' },
+        { id: 'imagen-4-landspace', codeName: 'Imagen 4', imageSize: '16:9', aspectRatios: ['16:9'], imagePolicy: 'optional' },
+        { id: 'imagen-4-portrait', codeName: 'Imagen 4', imageSize: '9:16', aspectRatios: ['9:16'], imagePolicy: 'optional' }
     ],
 
     // 无需导航处理器
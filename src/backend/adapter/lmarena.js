@@ -53,7 +53,7 @@ function extractImage(text) {
  * @returns {Promise<{image?: string, text?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
     const textareaSelector = 'textarea';
 
     // Worker 已验证，直接解析模型配置
@@ -118,6 +118,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: '/nextjs-api/stream',
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -15,13 +15,49 @@ import {
     normalizeHttpError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    gotoWithCheck,
+    addSource,
+    collectCitations
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://lmarena.ai/c/new?mode=direct';
 const TARGET_URL_SEARCH = 'https://lmarena.ai/zh/c/new?mode=direct&chat-modality=search';
+const STREAM_URL = '/nextjs-api/stream';
+
+/**
+ * 文本流行前缀与片段类型的对应关系
+ */
+const LINE_TYPES = {
+    'a0:': 'text',
+    'ag:': 'reasoning',
+    'ah:': 'source'
+};
+
+/**
+ * 正文中的 Markdown 链接，搜索模型以此标注引用来源
+ */
+const LINK_PATTERN = /\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * 解析文本流中的一行
+ * 格式示例:
+ * ag:"Let me think"
+ * a0:"Hello"
+ * a0:" World"
+ * ah:{"sourceType":"url","id":"1","url":"https://example.com","title":"Example"}
+ * d:{"finishReason":"stop"}
+ * @param {string} line - 单行内容
+ * @returns {{type: 'text'|'reasoning'|'source', value: *}|null} 正文 (a0)、思考过程 (ag) 或搜索来源 (ah) 片段，其他行返回 null
+ * @throws {SyntaxError} 行内容不是合法 JSON 时
+ */
+function parseStreamLine(line) {
+    const type = LINE_TYPES[line.substring(0, 3)];
+    if (!type) return null;
+    // line.substring(3) 应该是 JSON，如 "Hello"
+    return { type, value: JSON.parse(line.substring(3)) };
+}
 
 /**
  * 执行生图任务
@@ -30,10 +66,10 @@ const TARGET_URL_SEARCH = 'https://lmarena.ai/zh/c/new?mode=direct&chat-modality
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 指定的模型 ID (可选)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{image?: string, text?: string, error?: string}>} 生成结果
+ * @returns {Promise<{image?: string, text?: string, reasoning?: string, citations?: import('../utils/citations.js').Citation[], error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
     const textareaSelector = 'textarea';
 
     // Worker 已验证，直接解析模型配置
@@ -63,7 +99,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         if (codeName) {
             logger.debug('适配器', `准备拦截请求`, meta);
-            await page.route(url => url.href.includes('/nextjs-api/stream'), async (route) => {
+            await page.route(url => url.href.includes(STREAM_URL), async (route) => {
                 const request = route.request();
                 if (request.method() !== 'POST') return route.continue();
 
@@ -96,9 +132,10 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         let response;
         try {
             response = await waitApiResponse(page, {
-                urlMatch: '/nextjs-api/stream',
+                urlMatch: STREAM_URL,
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -119,30 +156,36 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         }
 
         // 9. 解析文本流
-        // 格式示例:
-        // a0:"Hello"
-        // a0:" World"
-        // d:{"finishReason":"stop"}
         let fullText = '';
+        let fullReasoning = '';
+        const sources = [];
         const lines = content.split('\n');
 
         for (const line of lines) {
-            if (line.startsWith('a0:')) {
-                try {
-                    // 尝试解析 JSON 字符串内容
-                    // line.substring(3) 应该是 JSON 字符串，如 "Hello"
-                    const textPart = JSON.parse(line.substring(3));
-                    fullText += textPart;
-                } catch (e) {
-                    // 如果解析失败，可能是原生文本或其他格式
-                    logger.warn('适配器', `解析文本块失败: ${line}`, meta);
-                }
+            try {
+                const part = parseStreamLine(line);
+                if (part?.type === 'text') fullText += part.value;
+                if (part?.type === 'reasoning') fullReasoning += part.value;
+                if (part?.type === 'source') addSource(sources, part.value);
+            } catch (e) {
+                // 如果解析失败，可能是原生文本或其他格式
+                logger.warn('适配器', `解析文本块失败: ${line}`, meta);
             }
         }
 
         if (fullText) {
             logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, meta);
-            return { text: fullText };
+            const result = { text: fullText };
+            if (fullReasoning) {
+                result.reasoning = fullReasoning;
+            }
+            if (search) {
+                // 未收到来源数据时，以正文中的链接作为引用
+                const citations = collectCitations(fullText, sources, LINK_PATTERN, (match) =>
+                    sources.find(s => s.url === match[2]) || (sources.length === 0 ? { url: match[2], title: match[1] } : null));
+                if (citations.length > 0) result.citations = citations;
+            }
+            return result;
         } else {
             logger.warn('适配器', '未解析到有效文本内容', { ...meta, preview: content.substring(0, 150) });
             // 如果没解析到 a0，尝试直接返回原始内容防空
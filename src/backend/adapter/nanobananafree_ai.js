@@ -33,7 +33,7 @@ const TARGET_URL = 'https://nanobananafree.ai/';
  * @returns {Promise<{image?: string, text?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
     const textareaSelector = 'textarea';
 
     try {
@@ -74,6 +74,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'v1/generateContent',
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -13,7 +13,10 @@ import {
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
-    useContextDownload
+    useContextDownload,
+    throwIfCancelled,
+    raceCancel,
+    stopOnCancel
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -31,7 +34,7 @@ const INPUT_SELECTOR = 'textarea';
  * @returns {Promise<{video?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal, onProgress } = context;
 
     // 只使用第一张图片
     const singleImgPath = imgPaths && imgPaths.length > 0 ? [imgPaths[0]] : [];
@@ -42,6 +45,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     // 用于存储任务 ID 和视频 URL
     let taskId = null;
     let videoUrl = null;
+    let disposeStop = null;
 
     try {
         logger.info('适配器', '开启新会话...', meta);
@@ -86,6 +90,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 if (response.status() !== 200) return false;
                 return true;
             }, { timeout: 600000 });  // 10 分钟超时
+            // 提前返回时不再等待
+            draftsResponsePromise.catch(() => { });
         };
 
         // 5. 点击 Create video 按钮并监听 nf/create 请求
@@ -101,11 +107,15 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             return true;
         }, { timeout: 60000 });
 
+        // 点击前任务已被取消时不再提交
+        throwIfCancelled(signal);
         await safeClick(page, createBtn, { bias: 'button' });
+        // 任务被取消时点击生成中任务的取消按钮
+        disposeStop = stopOnCancel(page, signal, page.getByRole('button', { name: 'Cancel' }), meta);
 
         // 等待 create 响应
         logger.info('适配器', '等待创建任务...', meta);
-        const createResponse = await createResponsePromise;
+        const createResponse = await raceCancel(createResponsePromise, signal);
 
         try {
             const createBody = await createResponse.json();
@@ -132,13 +142,13 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         while (!taskCompleted && (Date.now() - startTime) < maxWaitTime) {
             try {
-                const pendingResponse = await page.waitForResponse(async (response) => {
+                const pendingResponse = await raceCancel(page.waitForResponse(async (response) => {
                     const url = response.url();
                     if (!url.includes('nf/pending/v2')) return false;
                     if (response.request().method() !== 'GET') return false;
                     if (response.status() !== 200) return false;
                     return true;
-                }, { timeout: 30000 });
+                }, { timeout: 30000 }), signal);
 
                 const pendingBody = await pendingResponse.json();
 
@@ -149,6 +159,10 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                     const status = taskInList.status;
                     logger.debug('适配器', `任务状态: ${status}`, meta);
                     // preprocessing, queued, running, processing 都表示进行中
+                    // progress_pct 为 0-1 的小数，供异步任务接口展示进度
+                    if (onProgress && typeof taskInList.progress_pct === 'number') {
+                        onProgress(taskInList.progress_pct * 100);
+                    }
                 } else {
                     // 任务不在列表中，说明已完成
                     logger.info('适配器', '任务已完成，等待获取视频链接...', meta);
@@ -173,7 +187,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.debug('适配器', '获取视频链接...', meta);
 
         try {
-            const draftsResponse = await draftsResponsePromise;
+            const draftsResponse = await raceCancel(draftsResponsePromise, signal);
             const draftsBody = await draftsResponse.json();
 
             // 在 items 数组中查找 task_id 匹配的项目
@@ -195,13 +209,15 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
             logger.info('适配器', '已获取视频链接', meta);
         } catch (e) {
+            // 取消交给顶层统一处理
+            if (signal?.aborted) throw e;
             logger.error('适配器', '获取视频链接失败', { ...meta, error: e.message });
             return { error: `获取视频链接失败: ${e.message}` };
         }
 
         // 9. 下载视频并转为 base64
         logger.info('适配器', '正在下载视频...', meta);
-        const downloadResult = await useContextDownload(videoUrl, page);
+        const downloadResult = await raceCancel(useContextDownload(videoUrl, page), signal);
 
         if (downloadResult.error) {
             logger.error('适配器', downloadResult.error, meta);
@@ -219,6 +235,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        // 停止取消监听
+        disposeStop?.();
+
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
@@ -239,7 +258,7 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'sora-2', imagePolicy: 'optional' }
+        { id: 'sora-2', imagePolicy: 'optional', output: 'video' }
     ],
 
     // 无需导航处理器
@@ -120,7 +120,7 @@ async function handleDiscordAuth(page) {
  * @returns {Promise<{image?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
 
     try {
         // 开启新对话 - 先等待可能正在进行的登录处理完成
@@ -194,9 +194,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             }
         }
 
-        // 6. 设置图片大小 (如果模型配置了 imageSize)
-        if (modelConfig?.imageSize) {
-            const targetSize = modelConfig.imageSize;  // 例如 "1K", "2K", "4K"
+        // 6. 设置图片大小 (请求指定的分辨率优先于模型配置的 imageSize)
+        const targetSize = context.size?.resolution || modelConfig?.imageSize;  // 例如 "1K", "2K", "4K"
+        if (targetSize) {
             logger.debug('适配器', `正在设置图片大小: ${targetSize}`, meta);
 
             const imageSizeBtn = page.getByRole('button', { name: /^Image Size/ });
@@ -242,6 +242,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'v1/chats/new',
                 method: 'POST',
                 timeout: 60000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -278,6 +279,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
+                signal,
                 meta
             });
         } catch (e) {
@@ -314,6 +316,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
+                signal,
                 meta
             });
         } catch (e) {
@@ -397,9 +400,10 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'gemini-3-pro-image-preview', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '1K' },
-        { id: 'gemini-3-pro-image-preview-2k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '2K' },
-        { id: 'gemini-3-pro-image-preview-4k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '4K' },
+        // 根据请求的 size 选择分辨率，未指定时使用 imageSize
+        { id: 'gemini-3-pro-image-preview', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '1K', resolutions: ['1K', '2K', '4K'] },
+        { id: 'gemini-3-pro-image-preview-2k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '2K', resolutions: ['2K'] },
+        { id: 'gemini-3-pro-image-preview-4k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '4K', resolutions: ['4K'] },
         { id: 'gemini-2.5-flash-image', codeName: 'Nano Banana', imagePolicy: 'optional' }
     ],
 
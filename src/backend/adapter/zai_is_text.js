@@ -137,7 +137,7 @@ function extractTextContent(content) {
  * @returns {Promise<{text?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, signal } = context;
 
     try {
         // 开启新对话 - 先等待可能正在进行的登录处理完成
@@ -223,6 +223,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'v1/chats/new',
                 method: 'POST',
                 timeout: 60000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -258,6 +259,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
+                signal,
                 meta
             });
         } catch (e) {
@@ -294,6 +296,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
+                signal,
                 meta
             });
         } catch (e) {
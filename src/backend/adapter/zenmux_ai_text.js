@@ -32,7 +32,7 @@ const SEND_BUTTON_SELECTOR = '.input-actions-send button';
  * @returns {Promise<{text?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, signal } = context;
 
     try {
         const targetUrl = 'https://zenmux.ai/settings/chat';
@@ -155,6 +155,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 urlMatch: 'v1/chat/completions',
                 method: 'POST',
                 timeout: 120000,
+                signal,
                 meta
             });
         } catch (e) {
@@ -5,7 +5,9 @@
  * 对外统一能力：
  * - `initBrowser(cfg)` → 初始化 Pool
  * - `generate(ctx, prompt, imagePaths, modelId, meta)`
- * - `getModels()` / `getImagePolicy(modelKey)` / `getModelType(modelKey)`
+ * - `generateBatch(ctx, prompt, imagePaths, modelId, meta, n)` - n 个子任务分散到多个 Worker
+ * - `getWorkers(modelId, imagePaths, size)` - 可处理该请求的 Worker 名称，供队列按 Worker 分配任务
+ * - `getModels()` / `getModel(modelId)` / `getImagePolicy(modelKey)` / `getModelType(modelKey)` / `getModelSizes(modelKey)`
  * - `getCookies(workerName, domain)` - 获取指定 Worker 的 Cookies
  */
 
@@ -74,6 +76,37 @@ export function getBackend() {
             return await poolManager.generate(ctx, prompt, paths, modelId, meta);
         },
 
+        /**
+         * 批量生成 (n > 1)，结果按子任务顺序返回
+         * @param {object} ctx - 浏览器上下文 (来自 initBrowser 返回)
+         * @param {string} prompt - 提示词
+         * @param {string[]} paths - 图片路径
+         * @param {string} modelId - 模型 ID
+         * @param {object} meta - 元信息
+         * @param {number} n - 子任务数量
+         * @returns {Promise<object[]>}
+         */
+        generateBatch: async (ctx, prompt, paths, modelId, meta, n) => {
+            if (!poolManager) {
+                return Array.from({ length: n }, () => ({ error: 'Pool 未初始化' }));
+            }
+            return await poolManager.generateBatch(ctx, prompt, paths, modelId, meta, n);
+        },
+
+        /**
+         * 获取可处理该请求的 Worker 名称 (按负载均衡策略排序)
+         * @param {string} modelId - 模型 ID
+         * @param {string[]} paths - 图片路径
+         * @param {object|null} size - 请求的尺寸
+         * @returns {string[]|null} Pool 未初始化时返回 null
+         */
+        getWorkers: (modelId, paths, size) => {
+            if (!poolManager) {
+                return null;
+            }
+            return poolManager.getDispatchWorkers(modelId, paths, size);
+        },
+
         /**
          * 获取模型列表
          * @returns {object}
@@ -85,6 +118,18 @@ export function getBackend() {
             return poolManager.getModels();
         },
 
+        /**
+         * 获取模型详情 (能力、可用的适配器和 Worker)
+         * @param {string} modelId - 模型 ID
+         * @returns {object|null}
+         */
+        getModel: (modelId) => {
+            if (!poolManager) {
+                return null;
+            }
+            return poolManager.getModel(modelId);
+        },
+
         /**
          * 获取图片策略
          * @param {string} modelKey - 模型 key
@@ -109,6 +154,18 @@ export function getBackend() {
             return poolManager.getModelType(modelKey);
         },
 
+        /**
+         * 获取模型支持的尺寸
+         * @param {string} modelKey - 模型 key
+         * @returns {{aspectRatios: string[], resolutions: string[]}}
+         */
+        getModelSizes: (modelKey) => {
+            if (!poolManager) {
+                return { aspectRatios: [], resolutions: [] };
+            }
+            return poolManager.getModelSizes(modelKey);
+        },
+
         /**
          * 获取 Cookies
          * @param {string} [workerName] - Worker 名称
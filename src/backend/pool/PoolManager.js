@@ -7,9 +7,66 @@ import { logger } from '../../utils/logger.js';
 import { registry } from '../registry.js';
 import { createStrategySelector } from '../strategies/index.js';
 import { executeWithFailover } from '../strategies/failover.js';
-import { normalizeError } from '../utils/error.js';
+import { normalizeError, isRetryableError } from '../utils/error.js';
 import { Worker } from './Worker.js';
 
+/**
+ * 判断别名目标的失败结果是否应改用下一个目标
+ * 故障转移耗尽时的结果统一标记为不可重试，此时按最后一个 Worker 的错误判断
+ * @param {{error?: string, code?: string, retryable?: boolean}} result - 生成结果
+ * @returns {boolean}
+ */
+function shouldFallThrough(result) {
+    if (!result.error) return false;
+    return !!result.retryable || (result.code === 'FAILOVER_EXHAUSTED' && isRetryableError(result.error));
+}
+
+/**
+ * 检查候选 Worker 中是否包含队列预留的 Worker (未预留时视为包含)
+ * @param {object} ctx - 浏览器上下文
+ * @param {Worker[]} candidates - 候选 Worker
+ * @returns {boolean}
+ */
+function hasReservedCandidate(ctx, candidates) {
+    const preferred = ctx.preferredWorkers || [];
+    return preferred.length === 0 || candidates.some(w => preferred.includes(w.name));
+}
+
+/**
+ * 生成没有可用 Worker 时的错误信息
+ * @param {string} modelId - 模型 ID
+ * @param {{aspectRatio?: string, resolution?: string}|null} size - 请求的尺寸
+ * @returns {string}
+ */
+function noCandidateError(modelId, size) {
+    if (!size) return `没有 Worker 支持模型: ${modelId}`;
+    const spec = [size.aspectRatio, size.resolution].filter(Boolean).join(' ');
+    return `没有 Worker 支持以该尺寸生成模型 ${modelId}: ${spec}`;
+}
+
+/**
+ * @typedef {object} AliasTarget
+ * @property {string} model - 实际的模型 ID (可带适配器前缀，如 lmarena_text/claude-opus-4-5)
+ * @property {object} options - 固定的适配器选项，合并到生成上下文 (如 size)
+ */
+
+/**
+ * 解析配置中的模型别名 (models.aliases)
+ * 目标可以是模型 ID 字符串，或 {model, options} 对象
+ * @param {Record<string, Array<string|{model: string, options?: object}>>} [aliases] - 别名配置
+ * @returns {Map<string, AliasTarget[]>}
+ */
+function parseAliases(aliases) {
+    const result = new Map();
+    for (const [name, targets] of Object.entries(aliases || {})) {
+        const list = (Array.isArray(targets) ? targets : [targets])
+            .map(t => typeof t === 'string' ? { model: t, options: {} } : { model: t?.model, options: t?.options || {} })
+            .filter(t => typeof t.model === 'string' && t.model);
+        if (list.length > 0) result.set(name, list);
+    }
+    return result;
+}
+
 /**
  * PoolManager 类 - 管理 Worker 池
  */
@@ -22,9 +79,29 @@ export class PoolManager {
         this.workers = [];
         this.strategy = config.backend.pool.strategy || 'least_busy';
         this.strategySelector = createStrategySelector(this.strategy);
+        this.aliases = parseAliases(config.models?.aliases);
         this.initialized = false;
     }
 
+    /**
+     * 获取模型的实际目标列表：别名按配置顺序返回各目标，其他模型返回自身
+     * @param {string} modelKey - 模型 key 或别名
+     * @returns {AliasTarget[]}
+     */
+    resolveModel(modelKey) {
+        return this.aliases.get(modelKey) || [{ model: modelKey, options: {} }];
+    }
+
+    /**
+     * 别名的目标中当前有 Worker 支持的部分
+     * @param {string} modelKey - 模型 key 或别名
+     * @returns {AliasTarget[]}
+     * @private
+     */
+    _supportedTargets(modelKey) {
+        return this.resolveModel(modelKey).filter(t => this.workers.some(w => w.supports(t.model)));
+    }
+
     /**
      * 初始化所有 Worker
      */
@@ -158,18 +235,12 @@ export class PoolManager {
     }
 
     /**
-     * 分发生图任务（支持故障转移）
+     * 获取可处理该请求的 Worker 列表
+     * @private
      */
-    async generate(ctx, prompt, paths, modelId, meta) {
-        const failoverConfig = this.config.backend?.pool?.failover || {};
-        const failoverEnabled = failoverConfig.enabled !== false;
-        const maxRetries = failoverConfig.maxRetries || 2;
-
-        let candidates = this.workers.filter(w => w.supports(modelId));
-
-        if (candidates.length === 0) {
-            return { error: `没有 Worker 支持模型: ${modelId}` };
-        }
+    _getCandidates(modelId, paths, size) {
+        // 指定尺寸时只选择能以该尺寸生成的 Worker
+        let candidates = this.workers.filter(w => w.supports(modelId) && w.supportsSize(modelId, size));
 
         // 如果请求包含图片，优先选择 imagePolicy 为 optional 的 Worker
         const hasImages = paths && paths.length > 0;
@@ -187,7 +258,111 @@ export class PoolManager {
             }
         }
 
-        const sortedCandidates = this.strategySelector.sort(candidates);
+        return candidates;
+    }
+
+    /**
+     * 获取可处理该请求的 Worker 名称 (按负载均衡策略排序)，供队列按 Worker 分配任务
+     * 别名返回所有目标的候选 Worker
+     * @param {string} modelId - 模型 ID 或别名
+     * @param {string[]} paths - 图片路径
+     * @param {{aspectRatio?: string, resolution?: string}|null} size - 请求的尺寸
+     * @returns {string[]}
+     */
+    getDispatchWorkers(modelId, paths, size) {
+        const workers = new Set();
+        for (const target of this.resolveModel(modelId)) {
+            for (const worker of this._getCandidates(target.model, paths, target.options.size || size)) {
+                workers.add(worker);
+            }
+        }
+        return this.strategySelector.sort([...workers]).map(w => w.name);
+    }
+
+    /**
+     * 按负载均衡策略排序候选 Worker，队列为任务预留的 Worker (ctx.preferredWorkers) 排在最前
+     * @private
+     */
+    _sortCandidates(ctx, candidates) {
+        const sorted = this.strategySelector.sort(candidates);
+        const preferred = ctx.preferredWorkers || [];
+        if (preferred.length === 0) return sorted;
+        return [
+            ...sorted.filter(w => preferred.includes(w.name)),
+            ...sorted.filter(w => !preferred.includes(w.name))
+        ];
+    }
+
+    /**
+     * 分发生图任务（支持故障转移）
+     * 模型为别名时按顺序尝试各目标：目标没有可用的 Worker，或失败且错误可重试时，改用下一个目标；
+     * 队列预留了 Worker (ctx.preferredWorkers) 时只尝试包含预留 Worker 的目标，避免分发到正在处理其他任务的 Worker
+     */
+    async generate(ctx, prompt, paths, modelId, meta) {
+        const targets = this.aliases.get(modelId);
+        if (!targets) {
+            return await this._generateModel(ctx, prompt, paths, modelId, meta);
+        }
+
+        let result = null;
+        for (const [i, target] of targets.entries()) {
+            const targetCtx = { ...ctx, ...target.options };
+            const candidates = this._getCandidates(target.model, paths, targetCtx.size);
+            if (candidates.length === 0) {
+                logger.debug('工作池', `别名 ${modelId} 的目标 ${target.model} 没有可用的 Worker，跳过`, meta);
+                continue;
+            }
+            if (!hasReservedCandidate(ctx, candidates)) {
+                logger.debug('工作池', `别名 ${modelId} 的目标 ${target.model} 不包含预留的 Worker，跳过`, meta);
+                continue;
+            }
+
+            logger.info('工作池', `别名 ${modelId} -> ${target.model}`, meta);
+            result = await this._generateModel(targetCtx, prompt, paths, target.model, meta);
+            if (!shouldFallThrough(result) || ctx.hasStreamed?.() || ctx.signal?.aborted) {
+                return result;
+            }
+            if (i < targets.length - 1) {
+                logger.warn('工作池', `别名 ${modelId} 的目标 ${target.model} 失败，尝试下一个目标`, { error: result.error, ...meta });
+            }
+        }
+        return result || { error: noCandidateError(modelId, ctx.size) };
+    }
+
+    /**
+     * 分发单个模型的生成任务（支持故障转移）
+     * @private
+     */
+    async _generateModel(ctx, prompt, paths, modelId, meta) {
+        const failoverConfig = this.config.backend?.pool?.failover || {};
+        const failoverEnabled = failoverConfig.enabled !== false;
+        const maxRetries = failoverConfig.maxRetries || 2;
+
+        const candidates = this._getCandidates(modelId, paths, ctx.size);
+
+        if (candidates.length === 0) {
+            return { error: noCandidateError(modelId, ctx.size) };
+        }
+
+        // 续接会话：固定分发到会话所在的 Worker，Worker 不可用或续接失败时以完整上下文开启新会话
+        if (ctx.conversation) {
+            const pinned = candidates.find(w => w.name === ctx.conversation.worker);
+            // 队列预留了其他 Worker 时，会话所在的 Worker 已分配给别的任务
+            const reserved = !ctx.preferredWorkers?.length || ctx.preferredWorkers.includes(pinned?.name);
+            if (pinned && pinned.busyCount === 0 && reserved) {
+                logger.debug('工作池', `续接会话，任务分发至: ${pinned.name}`, meta);
+                const result = await this._safeExecuteWorker(pinned, ctx, prompt, paths, modelId, meta);
+                if (!result.error || ctx.hasStreamed?.() || ctx.signal?.aborted) {
+                    return result;
+                }
+                logger.warn('工作池', `[${pinned.name}] 续接会话失败，改为开启新会话`, { error: result.error, ...meta });
+            } else {
+                logger.info('工作池', `会话所在的 Worker 不可用，改为开启新会话`, meta);
+            }
+            ctx = { ...ctx, conversation: null };
+        }
+
+        const sortedCandidates = this._sortCandidates(ctx, candidates);
 
         if (!failoverEnabled) {
             const worker = sortedCandidates[0];
@@ -204,6 +379,8 @@ export class PoolManager {
             {
                 maxRetries,
                 meta,
+                // 流式输出已开始时不再切换 Worker，避免客户端收到重复内容；任务已取消时同样停止
+                shouldStop: () => !!ctx.hasStreamed?.() || !!ctx.signal?.aborted,
                 onRetry: (worker, error) => {
                     logger.warn('工作池', `[${worker.name}] 失败，尝试下一个 Worker...`, { error, ...meta });
                 }
@@ -211,12 +388,131 @@ export class PoolManager {
         );
     }
 
+    /**
+     * 分发一组相同的生成任务 (n > 1)
+     * 子任务分散到不同的 Worker 并行执行，同一 Worker 内串行，避免多个任务共用一个页面。
+     * 失败的子任务交给尚未尝试过它的 Worker 重试，结果按子任务顺序返回，单个失败不影响其他结果。
+     * @param {object} ctx - 浏览器上下文
+     * @param {string} prompt - 提示词
+     * @param {string[]} paths - 图片路径
+     * @param {string} modelId - 模型 ID
+     * @param {object} meta - 日志元数据
+     * @param {number} n - 子任务数量
+     * @returns {Promise<object[]>} 每个子任务的生成结果
+     */
+    async generateBatch(ctx, prompt, paths, modelId, meta, n) {
+        const targets = this.aliases.get(modelId);
+        if (!targets) {
+            return await this._generateBatchModel(ctx, prompt, paths, modelId, meta, n);
+        }
+
+        // 别名：没有可用 Worker 或以可重试错误失败的子任务交给下一个目标
+        const results = new Array(n);
+        let pending = Array.from({ length: n }, (_, i) => i);
+        for (const target of targets) {
+            if (pending.length === 0 || ctx.signal?.aborted) break;
+            const targetCtx = { ...ctx, ...target.options };
+            const candidates = this._getCandidates(target.model, paths, targetCtx.size);
+            if (candidates.length === 0 || !hasReservedCandidate(ctx, candidates)) continue;
+
+            logger.info('工作池', `别名 ${modelId} -> ${target.model} (${pending.length} 个子任务)`, meta);
+            const batch = await this._generateBatchModel(targetCtx, prompt, paths, target.model, meta, pending.length);
+            pending.forEach((index, i) => { results[index] = batch[i]; });
+            pending = pending.filter(index => shouldFallThrough(results[index]));
+        }
+        return Array.from(results, r => r || { error: noCandidateError(modelId, ctx.size) });
+    }
+
+    /**
+     * 分发单个模型的一组生成任务
+     * @private
+     */
+    async _generateBatchModel(ctx, prompt, paths, modelId, meta, n) {
+        const failoverConfig = this.config.backend?.pool?.failover || {};
+        const failoverEnabled = failoverConfig.enabled !== false;
+        const maxRetries = failoverConfig.maxRetries || 2;
+
+        const candidates = this._getCandidates(modelId, paths, ctx.size);
+
+        if (candidates.length === 0) {
+            return Array.from({ length: n }, () => ({ error: noCandidateError(modelId, ctx.size) }));
+        }
+
+        // 队列已预留 Worker 时只使用预留的 Worker，避免占用分配给其他任务的 Worker
+        const reserved = candidates.filter(w => ctx.preferredWorkers?.includes(w.name));
+        const lanes = reserved.length > 0 ? reserved.slice(0, n) : this.strategySelector.sort(candidates).slice(0, n);
+        logger.info('工作池', `批量任务分发: ${n} 个子任务 -> ${lanes.length} 个 Worker`, meta);
+
+        const results = new Array(n);
+        const pending = Array.from({ length: n }, (_, i) => i);
+        const triedBy = Array.from({ length: n }, () => new Set());
+
+        // 空闲的 Worker 需等待执行中的子任务结束，它们失败后可能回到待处理列表
+        let inFlight = 0;
+        let waiters = [];
+        const waitForChange = () => new Promise(resolve => waiters.push(resolve));
+        const notify = () => {
+            const list = waiters;
+            waiters = [];
+            list.forEach(resolve => resolve());
+        };
+
+        await Promise.all(lanes.map(async (worker) => {
+            while (true) {
+                // 任务已取消时不再领取新的子任务
+                if (ctx.signal?.aborted) return;
+                const pos = pending.findIndex(i => !triedBy[i].has(worker));
+                if (pos === -1) {
+                    if (inFlight === 0) return;
+                    await waitForChange();
+                    continue;
+                }
+                const [index] = pending.splice(pos, 1);
+                triedBy[index].add(worker);
+                inFlight++;
+
+                logger.debug('工作池', `子任务 ${index + 1}/${n} 分发至: ${worker.name} (busy: ${worker.busyCount})`, meta);
+                const result = await this._safeExecuteWorker(worker, ctx, prompt, paths, modelId, { ...meta, choice: index });
+                results[index] = result;
+
+                // 失败时交给其他 Worker 重试
+                const canRetry = failoverEnabled
+                    && !ctx.signal?.aborted
+                    && (maxRetries === 0 || triedBy[index].size <= maxRetries)
+                    && lanes.some(w => !triedBy[index].has(w));
+                if (result.error && canRetry) {
+                    logger.warn('工作池', `[${worker.name}] 子任务 ${index + 1} 失败，交给其他 Worker 重试`, { error: result.error, ...meta });
+                    pending.push(index);
+                }
+                inFlight--;
+                notify();
+            }
+        }));
+
+        // 任务取消后未执行的子任务
+        for (let i = 0; i < n; i++) {
+            if (!results[i]) results[i] = { error: '任务已取消' };
+        }
+
+        return results;
+    }
+
     /**
      * 安全执行 Worker（带错误边界）
+     * 调用方提供 ctx.validateResult 时，结果格式不合格则在同一 Worker 上重试一次
      * @private
      */
     async _safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta) {
         try {
+            const result = await worker.generate(ctx, prompt, paths, modelId, meta);
+            if (result.error || !ctx.validateResult || ctx.hasStreamed?.() || ctx.signal?.aborted) {
+                return result;
+            }
+            const problem = ctx.validateResult(result);
+            if (!problem) {
+                return result;
+            }
+            logger.warn('工作池', `[${worker.name}] 回复格式不符合要求，重试一次: ${problem}`, meta);
             return await worker.generate(ctx, prompt, paths, modelId, meta);
         } catch (err) {
             logger.error('工作池', `[${worker.name}] 执行异常`, { error: err.message, ...meta });
@@ -226,33 +522,115 @@ export class PoolManager {
 
     /**
      * 获取所有模型列表
+     * 每个模型只输出一次 (type/model 格式不单独列出)，与实际模型同名的别名以别名为准，没有可用 Worker 的模型不输出
      */
     getModels() {
-        const allModels = [];
-        const seenIds = new Set();
-
+        const ids = new Set();
         for (const worker of this.workers) {
-            const models = worker.getModels();
-            for (const m of models) {
-                if (!seenIds.has(m.id)) {
-                    seenIds.add(m.id);
-                    allModels.push(m);
-                }
+            for (const m of worker.getModels()) {
+                ids.add(m.id);
+            }
+        }
+        for (const name of this.aliases.keys()) {
+            ids.add(name);
+        }
+
+        const data = [...ids]
+            .map(id => this.getModel(id))
+            .filter(m => m && m.workers.length > 0);
+        return { object: 'list', data };
+    }
+
+    /**
+     * 获取模型详情：能力 (模态、图片数量上限、支持的参数)、可提供该模型的适配器和 Worker 及当前可用状态
+     * 同名模型由多个适配器提供时合并各适配器的能力，别名合并所有目标
+     * @param {string} modelId - 模型 ID (可为别名或 type/model 格式)
+     * @returns {object|null} 没有任何适配器提供该模型时返回 null
+     */
+    getModel(modelId) {
+        const isAlias = this.aliases.has(modelId);
+        const infos = [];
+        const workers = new Set();
+
+        for (const { model } of this.resolveModel(modelId)) {
+            for (const worker of this.workers) {
+                if (!worker.supports(model)) continue;
+                infos.push(...worker.getModelInfo(model));
+                workers.add(worker);
+            }
+        }
+        // 没有 Worker 提供时仍返回适配器声明的能力，便于调用方区分“模型不存在”和“暂无可用 Worker”
+        if (infos.length === 0) {
+            for (const { model } of this.resolveModel(modelId)) {
+                infos.push(...registry.findModel(model));
             }
         }
+        if (infos.length === 0) return null;
 
-        return { object: 'list', data: allModels };
+        const policies = new Set(infos.map(m => m.image_policy));
+        const aspectRatios = new Set(infos.flatMap(m => m.aspect_ratios || []));
+        const resolutions = new Set(infos.flatMap(m => m.resolutions || []));
+        const imageLimit = this.config.queue?.imageLimit ?? Infinity;
+
+        let availability = 'no_worker';
+        if (workers.size > 0) {
+            availability = [...workers].some(w => w.busyCount === 0) ? 'idle' : 'busy';
+        }
+
+        const model = {
+            id: modelId,
+            object: 'model',
+            created: Math.floor(Date.now() / 1000),
+            owned_by: isAlias ? 'alias' : (modelId.includes('/') ? infos[0].owned_by : 'internal_server'),
+            // 宽松策略：只要有一个适配器支持 optional 就返回 optional
+            image_policy: ['optional', 'required', 'forbidden'].find(p => policies.has(p)) || 'optional',
+            type: infos[0].type,
+            modalities: {
+                input: [...new Set(infos.flatMap(m => m.modalities.input))],
+                output: [...new Set(infos.flatMap(m => m.modalities.output))]
+            },
+            max_input_images: Math.min(Math.max(...infos.map(m => m.max_input_images)), imageLimit),
+            supported_parameters: [...new Set(infos.flatMap(m => m.supported_parameters))],
+            adapters: [...new Set(infos.map(m => m.owned_by))],
+            workers: [...workers].map(w => w.name),
+            availability
+        };
+        if (aspectRatios.size) model.aspect_ratios = [...aspectRatios];
+        if (resolutions.size) model.resolutions = [...resolutions];
+        if (isAlias) model.targets = this._supportedTargets(modelId).map(t => t.model);
+        return model;
     }
 
     /**
-     * 获取图片策略（宽松策略：只要有一个 Worker 支持 optional 就返回 optional）
+     * 获取模型支持的尺寸（合并所有支持该模型的 Worker，别名合并所有目标）
+     * @param {string} modelKey - 模型 key 或别名
+     * @returns {{aspectRatios: string[], resolutions: string[]}}
+     */
+    getModelSizes(modelKey) {
+        const aspectRatios = new Set();
+        const resolutions = new Set();
+        for (const { model } of this.resolveModel(modelKey)) {
+            for (const worker of this.workers) {
+                if (!worker.supports(model)) continue;
+                const sizes = worker.getModelSizes(model);
+                sizes.aspectRatios.forEach(r => aspectRatios.add(r));
+                sizes.resolutions.forEach(r => resolutions.add(r));
+            }
+        }
+        return { aspectRatios: [...aspectRatios], resolutions: [...resolutions] };
+    }
+
+    /**
+     * 获取图片策略（宽松策略：只要有一个 Worker 支持 optional 就返回 optional，别名合并所有目标）
      */
     getImagePolicy(modelKey) {
         const policies = new Set();
 
-        for (const worker of this.workers) {
-            if (worker.supports(modelKey)) {
-                policies.add(worker.getImagePolicy(modelKey));
+        for (const { model } of this.resolveModel(modelKey)) {
+            for (const worker of this.workers) {
+                if (worker.supports(model)) {
+                    policies.add(worker.getImagePolicy(model));
+                }
             }
         }
 
@@ -264,12 +642,14 @@ export class PoolManager {
     }
 
     /**
-     * 获取模型类型
+     * 获取模型类型（别名取第一个可用目标的类型）
      */
     getModelType(modelKey) {
-        for (const worker of this.workers) {
-            if (worker.supports(modelKey)) {
-                return worker.getModelType(modelKey);
+        for (const { model } of this.resolveModel(modelKey)) {
+            for (const worker of this.workers) {
+                if (worker.supports(model)) {
+                    return worker.getModelType(model);
+                }
             }
         }
         return 'image';
@@ -241,6 +241,15 @@ export class Worker {
         const failoverConfig = this.globalConfig.backend?.pool?.failover || {};
         const failoverEnabled = failoverConfig.enabled !== false;
 
+        // 续接会话时必须使用会话所在的适配器 (merge 模式下各适配器共用一个页面)
+        if (ctx.conversation) {
+            const candidate = this._getCandidateTypes(modelId, ctx.size).find(c => c.type === ctx.conversation.adapter);
+            if (candidate) {
+                return this._executeAdapter(ctx, candidate.type, candidate.modelId, prompt, paths, meta);
+            }
+            ctx = { ...ctx, conversation: null };
+        }
+
         if (this.type === 'merge' && failoverEnabled) {
             return this._generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig);
         }
@@ -250,8 +259,9 @@ export class Worker {
             return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
         }
 
-        // 确定适配器类型
-        const type = this._getAdapterType(modelId);
+        // 确定适配器类型 (merge 模式下优先选择支持请求尺寸的适配器)
+        const [candidate] = this._getCandidateTypes(modelId, ctx.size);
+        const type = candidate?.type || this._getAdapterType(modelId);
 
         // 处理 type/model 格式，提取实际 modelId
         let actualModelId = modelId;
@@ -270,7 +280,7 @@ export class Worker {
      */
     async _generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig = {}) {
         const maxRetries = failoverConfig.maxRetries || 2;
-        const candidateTypes = this._getCandidateTypes(modelId);
+        const candidateTypes = this._getCandidateTypes(modelId, ctx.size);
 
         if (candidateTypes.length === 0) {
             return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
@@ -288,6 +298,12 @@ export class Worker {
             }
 
             lastError = result.error;
+
+            // 流式输出已开始或任务已取消时不再切换适配器，避免客户端收到重复内容
+            if (ctx.hasStreamed?.() || ctx.signal?.aborted) {
+                return result;
+            }
+
             if (i < maxAttempts - 1) {
                 logger.warn('工作池', `[${this.name}] ${type} 失败，尝试下一个适配器...`, { error: lastError, ...meta });
             }
@@ -297,28 +313,28 @@ export class Worker {
     }
 
     /**
-     * 获取支持指定模型的候选适配器类型列表
+     * 获取支持指定模型 (及尺寸) 的候选适配器类型列表
      * @private
      */
-    _getCandidateTypes(modelKey) {
+    _getCandidateTypes(modelKey, size = null) {
+        const types = this.type === 'merge' ? this.mergeTypes : [this.type];
         const candidates = [];
 
         if (modelKey.includes('/')) {
             const [specifiedType, actualModel] = modelKey.split('/', 2);
-            if (this.mergeTypes.includes(specifiedType) && registry.supportsModel(specifiedType, actualModel)) {
+            if (types.includes(specifiedType) && registry.supportsModel(specifiedType, actualModel)) {
                 candidates.push({ type: specifiedType, modelId: actualModel });
             }
-            return candidates;
-        }
-
-        // 收集所有支持该模型的适配器
-        for (const type of this.mergeTypes) {
-            if (registry.supportsModel(type, modelKey)) {
-                candidates.push({ type, modelId: modelKey });
+        } else {
+            // 收集所有支持该模型的适配器
+            for (const type of types) {
+                if (registry.supportsModel(type, modelKey)) {
+                    candidates.push({ type, modelId: modelKey });
+                }
             }
         }
 
-        return candidates;
+        return candidates.filter(c => registry.supportsSize(c.type, c.modelId, size));
     }
 
     /**
@@ -344,7 +360,12 @@ export class Worker {
         this.busyCount++;
         try {
             // 传递原始 modelId，由适配器自己解析
-            return await adapter.generate(subContext, prompt, paths, modelId, meta);
+            const { threadUrl, ...result } = await adapter.generate(subContext, prompt, paths, modelId, meta);
+            // 适配器返回会话地址时记录会话位置，供后续请求续接
+            if (threadUrl) {
+                result.thread = { worker: this.name, adapter: type, url: threadUrl };
+            }
+            return result;
         } finally {
             this.busyCount--;
         }
@@ -352,57 +373,33 @@ export class Worker {
 
     /**
      * 获取支持的模型列表
+     * 多个适配器提供的同名模型只输出一次，请求时仍可使用 type/model 格式指定适配器
      */
     getModels() {
-        if (this.type === 'merge') {
-            const allModels = [];
-            const seenIds = new Set();
-
-            for (const type of this.mergeTypes) {
-                const result = registry.getModelsForAdapter(type);
-                if (result?.data) {
-                    for (const m of result.data) {
-                        if (!seenIds.has(m.id)) {
-                            seenIds.add(m.id);
-                            allModels.push({ ...m, owned_by: 'internal_server' });
-                        }
-                    }
+        const types = this.type === 'merge' ? this.mergeTypes : [this.type];
+        const allModels = [];
+        const seenIds = new Set();
+
+        for (const type of types) {
+            const result = registry.getModelsForAdapter(type);
+            for (const m of result?.data || []) {
+                if (!seenIds.has(m.id)) {
+                    seenIds.add(m.id);
+                    allModels.push(m);
                 }
             }
+        }
 
-            for (const type of this.mergeTypes) {
-                const result = registry.getModelsForAdapter(type);
-                if (result?.data) {
-                    for (const m of result.data) {
-                        allModels.push({
-                            ...m,
-                            id: `${type}/${m.id}`,
-                            owned_by: type
-                        });
-                    }
-                }
-            }
-
-            return allModels;
-        } else {
-            const result = registry.getModelsForAdapter(this.type);
-            const models = result?.data || [];
-            const allModels = [];
-
-            for (const m of models) {
-                allModels.push({ ...m, owned_by: 'internal_server' });
-            }
-
-            for (const m of models) {
-                allModels.push({
-                    ...m,
-                    id: `${this.type}/${m.id}`,
-                    owned_by: this.type
-                });
-            }
+        return allModels;
+    }
 
-            return allModels;
-        }
+    /**
+     * 获取模型在各适配器中的详情（merge 模式下可能由多个适配器提供）
+     * @param {string} modelKey - 模型 key
+     * @returns {object[]}
+     */
+    getModelInfo(modelKey) {
+        return this._getCandidateTypes(modelKey).map(({ type, modelId }) => registry.getModelInfo(type, modelId));
     }
 
     /**
@@ -435,6 +432,32 @@ export class Worker {
         return 'optional';
     }
 
+    /**
+     * 获取模型支持的尺寸（merge 模式下合并所有支持该模型的适配器）
+     * @param {string} modelKey - 模型 key
+     * @returns {{aspectRatios: string[], resolutions: string[]}}
+     */
+    getModelSizes(modelKey) {
+        const aspectRatios = new Set();
+        const resolutions = new Set();
+        for (const { type, modelId } of this._getCandidateTypes(modelKey)) {
+            const sizes = registry.getModelSizes(type, modelId);
+            sizes.aspectRatios.forEach(r => aspectRatios.add(r));
+            sizes.resolutions.forEach(r => resolutions.add(r));
+        }
+        return { aspectRatios: [...aspectRatios], resolutions: [...resolutions] };
+    }
+
+    /**
+     * 检查是否有适配器能以指定尺寸生成该模型
+     * @param {string} modelKey - 模型 key
+     * @param {{aspectRatio?: string, resolution?: string}|null} size - 请求的尺寸
+     * @returns {boolean}
+     */
+    supportsSize(modelKey, size) {
+        return !size || this._getCandidateTypes(modelKey, size).length > 0;
+    }
+
     /**
      * 获取模型类型
      */
@@ -26,6 +26,69 @@ export const IMAGE_POLICY = {
     FORBIDDEN: 'forbidden'
 };
 
+/**
+ * 模型输出类型枚举 (图片类模型通过 manifest 的 output 声明，未声明时为 image)
+ */
+export const MODEL_OUTPUT = {
+    IMAGE: 'image',
+    VIDEO: 'video'
+};
+
+/** 网页端单次对话的附件数量上限 (模型未声明 maxImages 时使用) */
+const MAX_INPUT_IMAGES = 10;
+
+/** 文本模型支持的请求参数 */
+const TEXT_PARAMETERS = ['messages', 'stream', 'n', 'tools', 'tool_choice', 'response_format'];
+
+/** 图片/视频模型支持的请求参数 (chat/completions 与 images 接口) */
+const MEDIA_PARAMETERS = ['messages', 'prompt', 'stream', 'n', 'response_format'];
+
+/**
+ * 将模型声明的尺寸转换为模型列表中的字段 (未声明时不输出)
+ * @param {object} model - manifest 中的模型
+ * @returns {{aspect_ratios?: string[], resolutions?: string[]}}
+ */
+function formatModelSizes(model) {
+    const fields = {};
+    if (model.aspectRatios?.length) fields.aspect_ratios = model.aspectRatios;
+    if (model.resolutions?.length) fields.resolutions = model.resolutions;
+    return fields;
+}
+
+/**
+ * 将 manifest 中的模型转换为模型列表中的条目 (OpenAI 格式，附带能力信息)
+ * @param {string} adapterId - 适配器 ID
+ * @param {object} model - manifest 中的模型
+ * @returns {object}
+ */
+function describeModel(adapterId, model) {
+    const type = model.type || 'image';
+    const maxImages = model.imagePolicy === IMAGE_POLICY.FORBIDDEN ? 0 : (model.maxImages ?? MAX_INPUT_IMAGES);
+
+    const parameters = new Set(type === 'text' ? TEXT_PARAMETERS : MEDIA_PARAMETERS);
+    if (type !== 'text') {
+        if (maxImages > 0) parameters.add('image');
+        if (model.aspectRatios?.length) ['size', 'aspect_ratio'].forEach(p => parameters.add(p));
+        if (model.resolutions?.length) ['size', 'image_size'].forEach(p => parameters.add(p));
+    }
+
+    return {
+        id: model.id,
+        object: 'model',
+        created: Math.floor(Date.now() / 1000),
+        owned_by: adapterId,
+        image_policy: model.imagePolicy,
+        type,
+        ...formatModelSizes(model),
+        modalities: {
+            input: maxImages > 0 ? ['text', 'image'] : ['text'],
+            output: [type === 'text' ? 'text' : (model.output || MODEL_OUTPUT.IMAGE)]
+        },
+        max_input_images: maxImages,
+        supported_parameters: [...parameters]
+    };
+}
+
 /**
  * 适配器注册表类
  */
@@ -138,6 +201,17 @@ class AdapterRegistry {
                 if (!m.imagePolicy || !Object.values(IMAGE_POLICY).includes(m.imagePolicy)) {
                     errors.push(`models[${i}] imagePolicy 无效`);
                 }
+                for (const key of ['aspectRatios', 'resolutions']) {
+                    if (m[key] !== undefined && (!Array.isArray(m[key]) || m[key].some(v => typeof v !== 'string'))) {
+                        errors.push(`models[${i}] ${key} 必须是字符串数组`);
+                    }
+                }
+                if (m.output !== undefined && !Object.values(MODEL_OUTPUT).includes(m.output)) {
+                    errors.push(`models[${i}] output 无效`);
+                }
+                if (m.maxImages !== undefined && (!Number.isInteger(m.maxImages) || m.maxImages < 0)) {
+                    errors.push(`models[${i}] maxImages 必须是非负整数`);
+                }
             }
         }
 
@@ -228,18 +302,39 @@ class AdapterRegistry {
 
         const data = adapter.models
             .filter(m => this.isModelEnabled(id, m.id))
-            .map(m => ({
-                id: m.id,
-                object: 'model',
-                created: Math.floor(Date.now() / 1000),
-                owned_by: id,
-                image_policy: m.imagePolicy,
-                type: m.type || 'image'
-            }));
+            .map(m => describeModel(id, m));
 
         return { object: 'list', data };
     }
 
+    /**
+     * 获取模型在指定适配器中的详情
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelId - 模型 ID
+     * @returns {object|null} 模型不存在或已禁用时返回 null
+     */
+    getModelInfo(adapterId, modelId) {
+        if (!this.supportsModel(adapterId, modelId)) return null;
+        const model = this.getAdapter(adapterId).models.find(m => m.id === modelId);
+        return describeModel(adapterId, model);
+    }
+
+    /**
+     * 在所有适配器中查找模型 (支持 type/model 格式)
+     * @param {string} modelKey - 模型 key
+     * @returns {object[]} 各适配器中的模型详情
+     */
+    findModel(modelKey) {
+        if (modelKey.includes('/')) {
+            const [adapterId, modelId] = modelKey.split('/', 2);
+            const info = this.getModelInfo(adapterId, modelId);
+            if (info) return [info];
+        }
+        return this.getAdapterIds()
+            .map(id => this.getModelInfo(id, modelKey))
+            .filter(Boolean);
+    }
+
     /**
      * 检查适配器是否支持指定模型
      * @param {string} adapterId - 适配器 ID
@@ -311,6 +406,35 @@ class AdapterRegistry {
         return model?.type || 'image';
     }
 
+    /**
+     * 获取模型支持的尺寸
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {{aspectRatios: string[], resolutions: string[]}}
+     */
+    getModelSizes(adapterId, modelKey) {
+        const model = this.getAdapter(adapterId)?.models?.find(m => m.id === modelKey);
+        return {
+            aspectRatios: model?.aspectRatios || [],
+            resolutions: model?.resolutions || []
+        };
+    }
+
+    /**
+     * 检查模型是否支持指定尺寸
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @param {{aspectRatio?: string, resolution?: string}|null} size - 请求的尺寸
+     * @returns {boolean}
+     */
+    supportsSize(adapterId, modelKey, size) {
+        if (!size) return true;
+        const { aspectRatios, resolutions } = this.getModelSizes(adapterId, modelKey);
+        if (size.aspectRatio && !aspectRatios.includes(size.aspectRatio)) return false;
+        if (size.resolution && !resolutions.includes(size.resolution)) return false;
+        return true;
+    }
+
     /**
      * 聚合所有适配器的模型列表
      * @returns {object}
@@ -321,14 +445,7 @@ class AdapterRegistry {
         for (const [id, adapter] of this.adapters) {
             if (adapter.models) {
                 for (const m of adapter.models) {
-                    allModels.push({
-                        id: m.id,
-                        object: 'model',
-                        created: Math.floor(Date.now() / 1000),
-                        owned_by: id,
-                        image_policy: m.imagePolicy,
-                        type: m.type || 'image'
-                    });
+                    allModels.push(describeModel(id, m));
                 }
             }
         }
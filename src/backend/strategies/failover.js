@@ -26,11 +26,13 @@ export { isRetryableError, normalizeError };
  * @param {object} options - 配置选项
  * @param {number} [options.maxRetries=2] - 最大重试次数
  * @param {Function} [options.onRetry] - 重试回调
+ * @param {Function} [options.shouldStop] - 失败后是否停止尝试后续候选 (如已向客户端输出部分内容)
  * @returns {object} 故障转移执行器
  */
 export function createFailoverExecutor(options = {}) {
     const maxRetries = options.maxRetries ?? RETRY.MAX_ATTEMPTS;
     const onRetry = options.onRetry || (() => { });
+    const shouldStop = options.shouldStop || (() => false);
 
     return {
         /**
@@ -66,6 +68,11 @@ export function createFailoverExecutor(options = {}) {
                     // 记录错误
                     lastError = result.error;
 
+                    // 已产生不可撤回的副作用，直接返回当前错误
+                    if (shouldStop()) {
+                        return result;
+                    }
+
                     // 检查是否可重试
                     const normalized = normalizeError(lastError);
                     if (!normalized.retryable && i < maxAttempts - 1) {
@@ -80,6 +87,9 @@ export function createFailoverExecutor(options = {}) {
 
                 } catch (err) {
                     lastError = err.message || String(err);
+                    if (shouldStop()) {
+                        return normalizeError(lastError);
+                    }
                     if (i < maxAttempts - 1) {
                         onRetry(candidate, lastError, i + 1);
                     }
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview 任务取消模块
+ * @description 客户端断开连接时，调用方通过生成上下文中的 signal 通知适配器：中断等待、停止网页端生成并释放 Worker
+ */
+
+import { safeClick } from '../engine/utils.js';
+import { logger } from '../../utils/logger.js';
+
+/** 任务被取消时抛出的错误消息 (由 normalizePageError 归一化) */
+export const TASK_CANCELLED = 'TASK_CANCELLED';
+
+/**
+ * 任务已取消时抛出错误，用于在提交前等关键步骤处提前退出
+ * @param {AbortSignal} [signal] - 取消信号
+ * @throws {Error} 任务已取消时抛出 TASK_CANCELLED
+ */
+export function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new Error(TASK_CANCELLED);
+    }
+}
+
+/**
+ * 创建任务取消监听 Promise (与 createPageCloseWatcher 用法一致)
+ * @param {AbortSignal} [signal] - 取消信号，未提供时 promise 永不结束
+ * @returns {{promise: Promise<never>, cleanup: Function}}
+ */
+export function createCancelWatcher(signal) {
+    let onAbort = null;
+
+    const promise = new Promise((_, reject) => {
+        if (!signal) return;
+        if (signal.aborted) {
+            reject(new Error(TASK_CANCELLED));
+            return;
+        }
+        onAbort = () => reject(new Error(TASK_CANCELLED));
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    // 未参与竞争时避免未处理的拒绝
+    promise.catch(() => { });
+
+    const cleanup = () => {
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+    };
+
+    return { promise, cleanup };
+}
+
+/**
+ * 等待 Promise 完成，任务被取消时立即以 TASK_CANCELLED 拒绝
+ * @template T
+ * @param {Promise<T>} promise - 要等待的 Promise
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<T>}
+ */
+export async function raceCancel(promise, signal) {
+    if (!signal) return promise;
+    // 被放弃的 Promise 之后的拒绝不再有人处理
+    promise.catch(() => { });
+
+    const watcher = createCancelWatcher(signal);
+    try {
+        return await Promise.race([promise, watcher.promise]);
+    } finally {
+        watcher.cleanup();
+    }
+}
+
+/**
+ * 任务被取消时点击网页的停止生成按钮
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {AbortSignal} [signal] - 取消信号
+ * @param {string|import('playwright-core').Locator} stopButton - 停止按钮选择器或 Locator
+ * @param {object} [meta={}] - 日志元数据
+ * @returns {() => void} 取消监听 (生成结束后调用)
+ */
+export function stopOnCancel(page, signal, stopButton, meta = {}) {
+    if (!signal) return () => { };
+
+    const onAbort = async () => {
+        logger.info('适配器', '任务已取消，停止网页端生成', meta);
+        try {
+            const locator = typeof stopButton === 'string' ? page.locator(stopButton) : stopButton;
+            if (await locator.first().isVisible()) {
+                await safeClick(page, locator.first(), { bias: 'button' });
+            }
+        } catch (e) {
+            logger.debug('适配器', `点击停止按钮失败: ${e.message}`, meta);
+        }
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview 搜索引用处理模块
+ * @description 将搜索类模型返回的来源与正文中的引用标记对应，生成带位置信息的引用列表
+ */
+
+/**
+ * @typedef {object} Citation
+ * @property {string} url - 来源链接
+ * @property {string} [title] - 来源标题
+ * @property {{start: number, end: number}} [span] - 引用标记在最终正文中的位置 (未在正文中引用的来源没有该字段)
+ */
+
+/**
+ * 登记来源 (按 url 去重)
+ * @param {Array<{url: string, title?: string}>} sources - 来源列表
+ * @param {object} item - 站点返回的来源对象
+ */
+export function addSource(sources, item) {
+    const url = item?.url;
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return;
+    if (sources.some(s => s.url === url)) return;
+    sources.push({ ...item, url, title: item.title || undefined });
+}
+
+/**
+ * 根据正文中的引用标记生成引用列表
+ * 每处引用标记生成一条带位置的引用，正文中未引用的来源追加在末尾且不带位置
+ * @param {string} text - 最终正文
+ * @param {Array<{url: string, title?: string}>} sources - 来源列表
+ * @param {RegExp} pattern - 引用标记的全局正则
+ * @param {(match: RegExpMatchArray) => {url: string, title?: string}|null|undefined} resolve - 将标记对应到来源
+ * @returns {Citation[]}
+ */
+export function collectCitations(text, sources, pattern, resolve) {
+    const citations = [];
+    const cited = new Set();
+
+    for (const match of text.matchAll(pattern)) {
+        const source = resolve(match);
+        if (!source?.url) continue;
+        cited.add(source.url);
+        citations.push({
+            url: source.url,
+            title: source.title,
+            span: { start: match.index, end: match.index + match[0].length }
+        });
+    }
+
+    for (const source of sources) {
+        if (cited.has(source.url)) continue;
+        cited.add(source.url);
+        citations.push({ url: source.url, title: source.title });
+    }
+
+    return citations;
+}
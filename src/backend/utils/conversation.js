@@ -0,0 +1,82 @@
+/**
+ * @fileoverview 会话续接模块
+ * @description 在网页原有会话中继续对话：进入会话页面、只发送最新一轮输入，会话失效时回退为开启新会话
+ */
+
+import { sleep } from '../engine/utils.js';
+import { logger } from '../../utils/logger.js';
+import { gotoWithCheck, tryGotoWithCheck } from './page.js';
+
+/**
+ * @typedef {object} ConversationThread
+ * @property {string} worker - 会话所在的 Worker 名称
+ * @property {string} adapter - 会话所在的适配器类型
+ * @property {string} url - 网页会话地址
+ * @property {string} [prompt] - 续接时发送的最新一轮输入
+ * @property {string[]} [imagePaths] - 最新一轮输入中的图片
+ */
+
+/**
+ * 比较两个地址是否指向同一个页面 (忽略查询参数和末尾斜杠)
+ * @param {string} a - 地址
+ * @param {string} b - 地址
+ * @returns {boolean}
+ */
+function isSamePage(a, b) {
+    try {
+        const urlA = new URL(a);
+        const urlB = new URL(b);
+        return urlA.host === urlB.host && urlA.pathname.replace(/\/+$/, '') === urlB.pathname.replace(/\/+$/, '');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 打开会话页面
+ * 上下文中带有可续接的会话时进入原会话，返回最新一轮输入；会话已失效 (无法访问或被重定向) 时开启新会话，返回完整提示词
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {object} context - 适配器上下文 (conversation 为可续接的会话)
+ * @param {object} options - 选项
+ * @param {string} options.targetUrl - 新会话入口
+ * @param {string} options.prompt - 完整提示词 (含历史对话)
+ * @param {string[]} options.imgPaths - 完整提示词对应的图片
+ * @param {object} [options.meta={}] - 日志元数据
+ * @returns {Promise<{prompt: string, imgPaths: string[]}>} 本次实际发送的提示词和图片
+ */
+export async function openConversation(page, context, options) {
+    const { targetUrl, prompt, imgPaths, meta = {} } = options;
+    const thread = context.conversation;
+
+    if (thread?.url) {
+        logger.info('适配器', '续接原会话...', meta);
+        const result = await tryGotoWithCheck(page, thread.url);
+        if (result.success) {
+            // 会话不存在时站点通常会在加载后跳回首页
+            await sleep(1000, 1500);
+            if (isSamePage(page.url(), thread.url)) {
+                return { prompt: thread.prompt, imgPaths: thread.imagePaths || [] };
+            }
+        }
+        logger.warn('适配器', '原会话已失效，开启新会话并发送完整上下文', result.error ? { ...meta, error: result.error } : meta);
+    }
+
+    logger.info('适配器', '开启新会话...', meta);
+    await gotoWithCheck(page, targetUrl);
+    return { prompt, imgPaths };
+}
+
+/**
+ * 获取当前页面的会话地址
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {RegExp} pattern - 会话页面路径的匹配规则
+ * @returns {string|null} 当前页面不是会话页面时返回 null
+ */
+export function getThreadUrl(page, pattern) {
+    try {
+        const url = page.url();
+        return pattern.test(new URL(url).pathname) ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -20,6 +20,18 @@
  * 
  * - 资源下载 (download.js):
  *   - useContextDownload: 使用页面上下文下载图片并转换为 Base64
+ *
+ * - 搜索引用 (citations.js):
+ *   - addSource: 登记搜索来源 (按 url 去重)
+ *   - collectCitations: 将正文中的引用标记对应到来源
+ *
+ * - 任务取消 (cancel.js):
+ *   - throwIfCancelled/raceCancel: 任务被取消时中断当前步骤或等待
+ *   - stopOnCancel: 任务被取消时点击网页的停止生成按钮
+ *
+ * - 会话续接 (conversation.js):
+ *   - openConversation: 进入原会话或开启新会话，返回本次实际发送的内容
+ *   - getThreadUrl: 获取当前页面的会话地址
  */
 
 // 页面交互
@@ -48,3 +60,12 @@ export {
 
 // 资源下载
 export { useContextDownload } from './download.js';
+
+// 搜索引用
+export { addSource, collectCitations } from './citations.js';
+
+// 任务取消
+export { TASK_CANCELLED, throwIfCancelled, createCancelWatcher, raceCancel, stopOnCancel } from './cancel.js';
+
+// 会话续接
+export { openConversation, getThreadUrl } from './conversation.js';
@@ -5,6 +5,7 @@
 
 import { sleep, humanType, safeClick, isPageValid, createPageCloseWatcher, getRealViewport, clamp, random } from '../engine/utils.js';
 import { logger } from '../../utils/logger.js';
+import { createCancelWatcher } from './cancel.js';
 
 // ==========================================
 // 页面认证锁
@@ -257,16 +258,18 @@ export async function scrollToElement(page, selectorOrLocator, options = {}) {
  * @param {string} [options.method='POST'] - HTTP 方法
  * @param {number} [options.timeout=120000] - 超时时间（毫秒）
  * @param {string|string[]} [options.errorText] - 错误关键词，页面 UI 或 API 响应体中出现时立即停止并返回错误
+ * @param {AbortSignal} [options.signal] - 取消信号，任务被取消时立即以 TASK_CANCELLED 停止等待
  * @returns {Promise<import('playwright-core').Response>} 响应对象
  */
 export async function waitApiResponse(page, options = {}) {
-    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText } = options;
+    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText, signal } = options;
 
     if (!isPageValid(page)) {
         throw new Error('PAGE_INVALID');
     }
 
     const pageWatcher = createPageCloseWatcher(page);
+    const cancelWatcher = createCancelWatcher(signal);
     const patterns = errorText ? (Array.isArray(errorText) ? errorText : [errorText]) : [];
 
     // 页面 UI 错误关键词检测
@@ -307,7 +310,7 @@ export async function waitApiResponse(page, options = {}) {
             { timeout }
         );
 
-        const promises = [responsePromise, pageWatcher.promise];
+        const promises = [responsePromise, pageWatcher.promise, cancelWatcher.promise];
         if (uiErrorPromise) promises.push(uiErrorPromise);
 
         const response = await Promise.race(promises);
@@ -339,5 +342,6 @@ export async function waitApiResponse(page, options = {}) {
         return response;
     } finally {
         pageWatcher.cleanup();
+        cancelWatcher.cleanup();
     }
 }
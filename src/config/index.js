@@ -19,6 +19,9 @@ const DATA_CONFIG_PATH = path.join(DATA_DIR, 'config.yaml');
 const ROOT_CONFIG_PATH = path.join(process.cwd(), 'config.yaml');
 const EXAMPLE_CONFIG_PATH = path.join(process.cwd(), 'config.example.yaml');
 
+// 队列支持的请求优先级 (由高到低)
+const PRIORITY_LEVELS = ['high', 'normal', 'low'];
+
 // 模块级缓存：确保配置只从磁盘读取一次
 let cachedConfig = null;
 // 实际使用的配置文件路径
@@ -249,6 +252,17 @@ export function loadConfig() {
         }
     }
 
+    // 设置思考过程输出配置默认值
+    if (!config.server.reasoning) {
+        config.server.reasoning = { mode: 'field' };
+    } else {
+        if (config.server.reasoning.mode === undefined) config.server.reasoning.mode = 'field';
+        if (!['field', 'think'].includes(config.server.reasoning.mode)) {
+            logger.warn('配置器', `无效的 reasoning.mode: ${config.server.reasoning.mode}，使用默认值 field`);
+            config.server.reasoning.mode = 'field';
+        }
+    }
+
     // 设置 Pool 配置默认值
     if (!config.backend) config.backend = {};
     if (!config.backend.pool) config.backend.pool = {};
@@ -290,13 +304,99 @@ export function loadConfig() {
     if (!config.queue) {
         config.queue = {
             queueBuffer: 2,
-            imageLimit: 5
+            imageLimit: 5,
+            maxUploadSize: 20,
+            jobTtl: 60,
+            maxN: 10,
+            jsonRetries: 2,
+            remoteImage: {},
+            media: {},
+            conversation: {},
+            idempotency: {},
+            priority: {},
+            persistence: {},
+            positionUpdates: {},
+            batch: {}
         };
     } else {
         if (config.queue.queueBuffer === undefined) config.queue.queueBuffer = 2;
         if (config.queue.imageLimit === undefined) config.queue.imageLimit = 5;
+        if (config.queue.maxUploadSize === undefined) config.queue.maxUploadSize = 20;
+        if (config.queue.jobTtl === undefined) config.queue.jobTtl = 60;
+        if (config.queue.maxN === undefined) config.queue.maxN = 10;
+        if (config.queue.jsonRetries === undefined) config.queue.jsonRetries = 2;
+        if (!config.queue.remoteImage) config.queue.remoteImage = {};
+        if (!config.queue.media) config.queue.media = {};
+        if (!config.queue.conversation) config.queue.conversation = {};
+        if (!config.queue.idempotency) config.queue.idempotency = {};
+        if (!config.queue.priority) config.queue.priority = {};
+        if (!config.queue.persistence) config.queue.persistence = {};
+        if (!config.queue.positionUpdates) config.queue.positionUpdates = {};
+        if (!config.queue.batch) config.queue.batch = {};
+    }
+
+    // 远程图片下载默认值
+    const remoteImage = config.queue.remoteImage;
+    if (remoteImage.maxSize === undefined) remoteImage.maxSize = 20;
+    if (remoteImage.timeout === undefined) remoteImage.timeout = 15;
+    if (remoteImage.maxRedirects === undefined) remoteImage.maxRedirects = 3;
+    if (!Array.isArray(remoteImage.allowlist)) remoteImage.allowlist = [];
+
+    // 媒体存储默认值
+    const media = config.queue.media;
+    if (media.returnUrl === undefined) media.returnUrl = false;
+    if (media.ttl === undefined) media.ttl = 1440;
+    if (media.baseUrl === undefined) media.baseUrl = '';
+
+    // 会话续接默认值
+    const conversation = config.queue.conversation;
+    if (conversation.enabled === undefined) conversation.enabled = false;
+    if (conversation.ttl === undefined) conversation.ttl = 60;
+
+    // 幂等请求默认值
+    const idempotency = config.queue.idempotency;
+    if (idempotency.enabled === undefined) idempotency.enabled = true;
+    if (idempotency.ttl === undefined) idempotency.ttl = 60;
+    if (idempotency.maxEntries === undefined) idempotency.maxEntries = 1000;
+    if (idempotency.maxSize === undefined) idempotency.maxSize = 100;
+
+    // 优先级默认值
+    const priority = config.queue.priority;
+    if (priority.default === undefined) priority.default = 'normal';
+    if (!priority.users) priority.users = {};
+    if (!PRIORITY_LEVELS.includes(priority.default)) {
+        throw new Error(`queue.priority.default 必须是 ${PRIORITY_LEVELS.join(', ')} 之一`);
+    }
+    for (const [user, caller] of Object.entries(priority.users)) {
+        if (caller?.priority !== undefined && !PRIORITY_LEVELS.includes(caller.priority)) {
+            throw new Error(`queue.priority.users.${user}.priority 必须是 ${PRIORITY_LEVELS.join(', ')} 之一`);
+        }
+        if (caller?.weight !== undefined && !(typeof caller.weight === 'number' && caller.weight > 0)) {
+            throw new Error(`queue.priority.users.${user}.weight 必须是正数`);
+        }
+    }
+
+    // 任务持久化默认值
+    if (config.queue.persistence.enabled === undefined) config.queue.persistence.enabled = false;
+
+    // 排队进度推送默认值
+    const positionUpdates = config.queue.positionUpdates;
+    if (positionUpdates.mode === undefined) positionUpdates.mode = 'comment';
+    if (positionUpdates.interval === undefined) positionUpdates.interval = 5;
+    if (!['comment', 'event', 'off'].includes(positionUpdates.mode)) {
+        throw new Error('queue.positionUpdates.mode 必须是 comment, event, off 之一');
     }
 
+    // 批处理默认值
+    const batch = config.queue.batch;
+    if (batch.concurrency === undefined) batch.concurrency = 1;
+    if (batch.maxFileSize === undefined) batch.maxFileSize = 100;
+    if (batch.maxRequests === undefined) batch.maxRequests = 50000;
+
+    // 模型别名默认值
+    if (!config.models) config.models = {};
+    if (!config.models.aliases) config.models.aliases = {};
+
     // maxConcurrent 动态计算：等于 Workers 数量
     config.queue.maxConcurrent = config.backend.pool.workers.length;
 
@@ -293,3 +293,30 @@ export function savePoolConfig(data) {
 
     writeConfig(config);
 }
+
+/**
+ * 获取模型别名配置
+ * @returns {{aliases: object}}
+ */
+export function getModelsConfig() {
+    const config = readRawConfig();
+    return {
+        aliases: config.models?.aliases || {}
+    };
+}
+
+/**
+ * 保存模型别名配置（整体覆盖别名列表）
+ * @param {object} data - 模型配置
+ */
+export function saveModelsConfig(data) {
+    const config = readRawConfig();
+
+    if (!config.models) config.models = {};
+
+    if (data.aliases !== undefined) {
+        config.models.aliases = data.aliases;
+    }
+
+    writeConfig(config);
+}
@@ -268,3 +268,44 @@ export function validateAdaptersConfig(data) {
 
     return { valid: errors.length === 0, errors };
 }
+
+/**
+ * 校验模型别名配置
+ * @param {object} data - 模型配置
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateModelsConfig(data) {
+    const errors = [];
+
+    if (data.aliases === undefined) {
+        return { valid: true, errors };
+    }
+    if (typeof data.aliases !== 'object' || data.aliases === null || Array.isArray(data.aliases)) {
+        return { valid: false, errors: ['aliases 必须是对象'] };
+    }
+
+    for (const [name, targets] of Object.entries(data.aliases)) {
+        if (!name.trim()) {
+            errors.push('别名不能为空');
+            continue;
+        }
+        if (!Array.isArray(targets) || targets.length === 0) {
+            errors.push(`别名 ${name} 至少需要一个目标模型`);
+            continue;
+        }
+        targets.forEach((target, i) => {
+            const model = typeof target === 'string' ? target : target?.model;
+            if (typeof model !== 'string' || !model) {
+                errors.push(`别名 ${name} 的第 ${i + 1} 个目标缺少模型 ID`);
+            } else if (model === name) {
+                errors.push(`别名 ${name} 不能指向自身`);
+            }
+            if (typeof target === 'object' && target?.options !== undefined
+                && (typeof target.options !== 'object' || target.options === null || Array.isArray(target.options))) {
+                errors.push(`别名 ${name} 的第 ${i + 1} 个目标的 options 必须是对象`);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
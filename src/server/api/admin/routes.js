@@ -24,18 +24,24 @@ import {
     getAdaptersConfig,
     saveAdaptersConfig,
     getPoolConfig,
-    savePoolConfig
+    savePoolConfig,
+    getModelsConfig,
+    saveModelsConfig
 } from '../../../config/manager.js';
 import {
     validateServerConfig,
     validateBrowserConfig,
     validateInstancesConfig,
     validatePoolConfig,
-    validateAdaptersConfig
+    validateAdaptersConfig,
+    validateModelsConfig
 } from '../../../config/validator.js';
 import { registry } from '../../../backend/registry.js';
 import { sendRestartSignal, sendStopSignal, isUnderSupervisor, getVncInfo } from '../../../utils/ipc.js';
 
+/** 队列任务操作路径: /queue/tasks/{id}/{cancel|front} */
+const QUEUE_TASK_PATH = /^\/queue\/tasks\/([^/]+)\/(cancel|front)$/;
+
 /**
  * 读取请求体
  * @param {import('http').IncomingMessage} req
@@ -365,6 +371,32 @@ export function createAdminRouter(context) {
                 return;
             }
 
+            // GET/POST /admin/config/models - 模型别名
+            if (pathname === '/config/models') {
+                if (method === 'GET') {
+                    sendJson(res, 200, getModelsConfig());
+                } else if (method === 'POST') {
+                    const body = await readBody(req);
+
+                    // 校验配置
+                    const validation = validateModelsConfig(body);
+                    if (!validation.valid) {
+                        sendApiError(res, {
+                            code: ERROR_CODES.INVALID_REQUEST_BODY,
+                            message: `配置校验失败: ${validation.errors.join('; ')}`
+                        });
+                        return;
+                    }
+
+                    saveModelsConfig(body);
+                    sendJson(res, 200, { success: true, message: '配置已保存，请重启服务生效' });
+                } else {
+                    res.writeHead(405);
+                    res.end();
+                }
+                return;
+            }
+
             // ==================== 元数据 ====================
 
             // GET /admin/adapters - 获取适配器列表（含 configSchema）
@@ -416,12 +448,66 @@ export function createAdminRouter(context) {
                     processing: queueStatus.processing,
                     waiting: queueStatus.queueLength,
                     total: queueStatus.total,
+                    byPriority: queueStatus.byPriority,
+                    cancelled: queueStatus.cancelled,
+                    paused: queueStatus.paused,
+                    pausedModels: queueStatus.pausedModels,
+                    draining: queueStatus.draining,
                     processingTasks: detailedStatus.processing,
-                    waitingTasks: detailedStatus.waiting
+                    waitingTasks: detailedStatus.waiting,
+                    cancelledTasks: detailedStatus.cancelled,
+                    interruptedTasks: detailedStatus.interrupted
                 });
                 return;
             }
 
+            // POST /admin/queue/tasks/{id}/cancel - 取消任务 (等待中或处理中)
+            // POST /admin/queue/tasks/{id}/front - 将等待中的任务移到队首
+            const taskMatch = pathname.match(QUEUE_TASK_PATH);
+            if (method === 'POST' && taskMatch) {
+                const id = decodeURIComponent(taskMatch[1]);
+                const done = taskMatch[2] === 'cancel' ? queueManager.cancelById(id) : queueManager.moveToFront(id);
+                if (!done) {
+                    sendApiError(res, {
+                        code: ERROR_CODES.TASK_NOT_FOUND,
+                        message: taskMatch[2] === 'cancel' ? `队列中不存在该任务: ${id}` : `任务不在等待中: ${id}`
+                    });
+                    return;
+                }
+                sendJson(res, 200, { success: true });
+                return;
+            }
+
+            // POST /admin/queue/pause、/admin/queue/resume - 暂停/恢复调度，可指定 model 只作用于该模型
+            if (method === 'POST' && (pathname === '/queue/pause' || pathname === '/queue/resume')) {
+                const body = await readBody(req);
+                if (body.model !== undefined && (typeof body.model !== 'string' || !body.model)) {
+                    sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: 'model 必须为非空字符串' });
+                    return;
+                }
+                if (pathname === '/queue/pause') {
+                    queueManager.pause(body.model);
+                } else {
+                    queueManager.resume(body.model);
+                }
+                const { paused, pausedModels } = queueManager.getStatus();
+                sendJson(res, 200, { success: true, paused, pausedModels });
+                return;
+            }
+
+            // POST /admin/queue/drain - 开启 (enabled 默认为 true) 或关闭排空
+            if (method === 'POST' && pathname === '/queue/drain') {
+                const body = await readBody(req);
+                if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+                    sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: 'enabled 必须为布尔值' });
+                    return;
+                }
+                queueManager.setDraining(body.enabled !== false);
+                const { draining, total } = queueManager.getStatus();
+                sendJson(res, 200, { success: true, draining, remaining: total });
+                return;
+            }
+
             // 404
             res.writeHead(404);
             res.end(JSON.stringify({ error: 'Not Found' }));
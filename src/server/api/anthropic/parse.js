@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Anthropic Messages 请求解析模块
+ * @description 将 Anthropic 格式的请求转换为 OpenAI 格式后，复用 OpenAI 的解析流程
+ */
+
+import { ERROR_CODES } from '../../errors.js';
+import { parseRequest } from '../openai/parse.js';
+
+/**
+ * 构造解析错误结果
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ * @returns {{success: false, error: {code: string, error: string}}}
+ */
+function parseError(code, message) {
+    return { success: false, error: { code, error: message } };
+}
+
+/**
+ * 将 Anthropic 内容块转换为 OpenAI 内容项
+ * 不支持的块类型 (如 tool_use、document) 会被忽略
+ * @param {string|object[]} content - Anthropic 消息内容
+ * @returns {string|object[]} OpenAI 消息内容
+ */
+function convertContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    const items = [];
+    for (const block of content) {
+        if (block?.type === 'text') {
+            items.push({ type: 'text', text: block.text || '' });
+        } else if (block?.type === 'image' && block.source) {
+            const { source } = block;
+            if (source.type === 'base64' && source.data) {
+                const mediaType = source.media_type || 'image/png';
+                items.push({ type: 'image_url', image_url: { url: `data:${mediaType};base64,${source.data}` } });
+            } else if (source.type === 'url' && source.url) {
+                items.push({ type: 'image_url', image_url: { url: source.url } });
+            }
+        } else if (block?.type === 'tool_result') {
+            // 工具结果按普通内容处理
+            const inner = convertContent(block.content);
+            if (typeof inner === 'string') {
+                items.push({ type: 'text', text: inner });
+            } else {
+                items.push(...inner);
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * 提取 system 文本 (支持字符串或文本块数组)
+ * @param {string|object[]} system - Anthropic system 字段
+ * @returns {string}
+ */
+function extractSystem(system) {
+    if (typeof system === 'string') return system;
+    if (!Array.isArray(system)) return '';
+    return system
+        .filter(block => block?.type === 'text' && block.text)
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * 解析 Anthropic Messages 请求
+ * @param {object} data - 请求体数据
+ * @param {object} options - 解析选项 (同 parseRequest)
+ * @returns {Promise<import('../openai/parse.js').ParseResult>} 解析结果
+ */
+export async function parseMessagesRequest(data, options) {
+    const { messages, system, max_tokens: maxTokens } = data;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return parseError(ERROR_CODES.NO_MESSAGES, '请求参数缺少 messages');
+    }
+
+    // max_tokens 无法传递给网页端，仅做格式校验
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'max_tokens 必须为正整数');
+    }
+
+    const converted = [];
+
+    const systemText = extractSystem(system);
+    if (systemText) {
+        converted.push({ role: 'system', content: systemText });
+    }
+
+    for (const msg of messages) {
+        if (msg?.role !== 'user' && msg?.role !== 'assistant') {
+            return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `不支持的消息角色: ${msg?.role}`);
+        }
+        converted.push({ role: msg.role, content: convertContent(msg.content) });
+    }
+
+    return await parseRequest({
+        model: data.model,
+        stream: data.stream === true,
+        messages: converted
+    }, options);
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Anthropic 兼容 API 路由
+ * @description 处理 /v1/messages 请求，响应与错误均使用 Anthropic 格式
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendAnthropicError } from '../../respond.js';
+import { parseMessagesRequest } from './parse.js';
+
+/**
+ * 创建 Anthropic API 路由处理器
+ * @param {object} context - 路由上下文
+ * @returns {Function} 路由处理函数
+ */
+export function createAnthropicRouter(context) {
+    const {
+        backendName,
+        getModel,
+        getImagePolicy,
+        getModelType,
+        tempDir,
+        imageLimit,
+        remoteImage,
+        queueManager,
+        priorityResolver
+    } = context;
+
+    /**
+     * 处理 POST /v1/messages
+     */
+    async function handleMessages(req, res, requestId) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+            sendAnthropicError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `请求体不是有效的 JSON: ${err.message}`
+            });
+            return;
+        }
+
+        const isStreaming = data.stream === true;
+
+        try {
+            const caller = priorityResolver.resolve(req, data.metadata?.user_id);
+            if (caller.error) {
+                sendAnthropicError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: caller.error });
+                return;
+            }
+
+            // 排空队列期间拒绝新任务
+            if (queueManager.isDraining()) {
+                logger.warn('服务器', '请求被拒绝 (正在排空队列)', { id: requestId });
+                sendAnthropicError(res, { code: ERROR_CODES.SERVER_DRAINING });
+                return;
+            }
+
+            // 限流检查 (按优先级分别计算)
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(caller.priority)) {
+                const queueSize = queueManager.getStatus().byPriority[caller.priority];
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, priority: caller.priority, queueSize });
+                const retryAfter = queueManager.getRetryAfter(caller.priority);
+                if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+                sendAnthropicError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（${caller.priority} 优先级队列: ${queueSize}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            // 解析请求 (在写出 SSE 响应头之前，使参数错误能返回正确的状态码)
+            const parseResult = await parseMessagesRequest(data, {
+                tempDir,
+                imageLimit,
+                remoteImage,
+                backendName,
+                getModel,
+                getImagePolicy,
+                getModelType,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendAnthropicError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, conversation } = parseResult.data;
+
+            // 设置 SSE 响应头
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            logger.info('服务器', `[队列] Messages 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                conversation,
+                apiFormat: 'anthropic',
+                ...caller
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendAnthropicError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * Anthropic API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1 前缀后的路径
+     */
+    return async function handleAnthropicRequest(req, res, pathname) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+
+        if (req.method === 'POST' && pathname === '/messages') {
+            await handleMessages(req, res, requestId);
+        } else {
+            sendAnthropicError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `未知接口: ${req.method} /v1${pathname}`,
+                status: 404
+            });
+        }
+    };
+}
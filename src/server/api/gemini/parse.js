@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Gemini generateContent 请求解析模块
+ * @description 将 Gemini 格式的请求转换为 OpenAI 格式后，复用 OpenAI 的解析流程
+ */
+
+import { ERROR_CODES } from '../../errors.js';
+import { parseRequest } from '../openai/parse.js';
+
+/**
+ * 构造解析错误结果
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ * @returns {{success: false, error: {code: string, error: string}}}
+ */
+function parseError(code, message) {
+    return { success: false, error: { code, error: message } };
+}
+
+/**
+ * 将 Gemini parts 转换为 OpenAI 内容项
+ * 仅保留文本和图片，其他类型 (如 functionCall、非图片文件) 会被忽略
+ * @param {object[]} parts - Gemini 内容片段
+ * @returns {object[]} OpenAI 内容项
+ */
+function convertParts(parts) {
+    const items = [];
+    if (!Array.isArray(parts)) return items;
+
+    for (const part of parts) {
+        if (typeof part?.text === 'string') {
+            items.push({ type: 'text', text: part.text });
+        } else if (part?.inlineData?.data) {
+            const { mimeType = 'image/png', data } = part.inlineData;
+            if (mimeType.startsWith('image/')) {
+                items.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+            }
+        } else if (part?.fileData?.fileUri) {
+            const { mimeType = '', fileUri } = part.fileData;
+            if (!mimeType || mimeType.startsWith('image/')) {
+                items.push({ type: 'image_url', image_url: { url: fileUri } });
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * 解析 Gemini generateContent 请求
+ * @param {string} model - 路径中的模型名称
+ * @param {object} data - 请求体数据
+ * @param {boolean} isStreaming - 是否为 streamGenerateContent
+ * @param {object} options - 解析选项 (同 parseRequest)
+ * @returns {Promise<import('../openai/parse.js').ParseResult>} 解析结果
+ */
+export async function parseGenerateContentRequest(model, data, isStreaming, options) {
+    const { contents, systemInstruction } = data;
+
+    if (!Array.isArray(contents) || contents.length === 0) {
+        return parseError(ERROR_CODES.NO_MESSAGES, '请求参数缺少 contents');
+    }
+
+    const messages = [];
+
+    // systemInstruction 可以是字符串或 Content 对象
+    const systemItems = typeof systemInstruction === 'string'
+        ? [{ type: 'text', text: systemInstruction }]
+        : convertParts(systemInstruction?.parts).filter(item => item.type === 'text');
+    if (systemItems.length > 0) {
+        messages.push({ role: 'system', content: systemItems.map(item => item.text).join('\n') });
+    }
+
+    for (const content of contents) {
+        const role = content?.role || 'user';
+        if (role !== 'user' && role !== 'model') {
+            return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `不支持的内容角色: ${role}`);
+        }
+        messages.push({
+            role: role === 'model' ? 'assistant' : 'user',
+            content: convertParts(content.parts)
+        });
+    }
+
+    // generationConfig.imageConfig 对应 OpenAI 接口的 aspect_ratio / image_size 扩展参数
+    const imageConfig = data.generationConfig?.imageConfig || {};
+
+    return await parseRequest({
+        model,
+        stream: isStreaming,
+        messages,
+        aspect_ratio: imageConfig.aspectRatio,
+        image_size: imageConfig.imageSize
+    }, options);
+}
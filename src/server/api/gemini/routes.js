@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Gemini 兼容 API 路由
+ * @description 处理 /v1beta 路径下的请求，响应与错误均使用 Google API 格式
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson, sendGeminiError } from '../../respond.js';
+import { parseGenerateContentRequest } from './parse.js';
+
+/** 生成接口路径: /models/{model}:generateContent 或 :streamGenerateContent */
+const GENERATE_PATH = /^\/models\/(.+):(generateContent|streamGenerateContent)$/;
+
+/**
+ * 创建 Gemini API 路由处理器
+ * @param {object} context - 路由上下文
+ * @returns {Function} 路由处理函数
+ */
+export function createGeminiRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getModel,
+        getImagePolicy,
+        getModelType,
+        getModelSizes,
+        tempDir,
+        imageLimit,
+        remoteImage,
+        queueManager,
+        priorityResolver
+    } = context;
+
+    /**
+     * 处理 GET /v1beta/models
+     */
+    function handleModels(res) {
+        const models = getModels().data.map(m => ({
+            name: `models/${m.id}`,
+            displayName: m.id,
+            supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+        }));
+        sendJson(res, 200, { models });
+    }
+
+    /**
+     * 处理 POST /v1beta/models/{model}:generateContent 和 :streamGenerateContent
+     */
+    async function handleGenerateContent(req, res, requestId, model, isStreaming) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+            sendGeminiError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `请求体不是有效的 JSON: ${err.message}`
+            });
+            return;
+        }
+
+        try {
+            const caller = priorityResolver.resolve(req);
+            if (caller.error) {
+                sendGeminiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: caller.error });
+                return;
+            }
+
+            // 排空队列期间拒绝新任务
+            if (queueManager.isDraining()) {
+                logger.warn('服务器', '请求被拒绝 (正在排空队列)', { id: requestId });
+                sendGeminiError(res, { code: ERROR_CODES.SERVER_DRAINING });
+                return;
+            }
+
+            // 限流检查 (按优先级分别计算)
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(caller.priority)) {
+                const queueSize = queueManager.getStatus().byPriority[caller.priority];
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, priority: caller.priority, queueSize });
+                const retryAfter = queueManager.getRetryAfter(caller.priority);
+                if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+                sendGeminiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（${caller.priority} 优先级队列: ${queueSize}/${queueManager.maxQueueSize}）。请使用 streamGenerateContent 或稍后重试。`
+                });
+                return;
+            }
+
+            // 解析请求 (在写出 SSE 响应头之前，使参数错误能返回正确的状态码)
+            const parseResult = await parseGenerateContentRequest(model, data, isStreaming, {
+                tempDir,
+                imageLimit,
+                remoteImage,
+                backendName,
+                getModel,
+                getImagePolicy,
+                getModelType,
+                getModelSizes,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendGeminiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, size, conversation } = parseResult.data;
+
+            // 设置 SSE 响应头 (流式接口统一按 alt=sse 返回)
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            logger.info('服务器', `[队列] generateContent 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                size,
+                conversation,
+                apiFormat: 'gemini',
+                ...caller
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendGeminiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * Gemini API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1beta 前缀后的路径
+     */
+    return async function handleGeminiRequest(req, res, pathname) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+        const match = pathname.match(GENERATE_PATH);
+
+        if (req.method === 'GET' && pathname === '/models') {
+            handleModels(res);
+        } else if (req.method === 'POST' && match) {
+            const model = decodeURIComponent(match[1]);
+            await handleGenerateContent(req, res, requestId, model, match[2] === 'streamGenerateContent');
+        } else {
+            sendGeminiError(res, {
+                message: `未知接口: ${req.method} /v1beta${pathname}`,
+                status: 404
+            });
+        }
+    };
+}
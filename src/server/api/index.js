@@ -6,8 +6,11 @@
 import fs from 'fs';
 import path from 'path';
 import { createOpenAIRouter } from './openai/routes.js';
+import { createAnthropicRouter } from './anthropic/routes.js';
+import { createGeminiRouter } from './gemini/routes.js';
 import { createAdminRouter } from './admin/routes.js';
 import { createAuthMiddleware } from '../middlewares/auth.js';
+import { sendApiError, sendAnthropicError, sendGeminiError } from '../respond.js';
 
 // MIME 类型映射
 const MIME_TYPES = {
@@ -43,6 +46,8 @@ export function createGlobalRouter(context) {
 
     // 创建子路由处理器
     const handleOpenAIRequest = loginMode ? null : createOpenAIRouter(context);
+    const handleAnthropicRequest = loginMode ? null : createAnthropicRouter(context);
+    const handleGeminiRequest = loginMode ? null : createGeminiRouter(context);
     const handleAdminRequest = createAdminRouter({ config, queueManager, tempDir, getSafeMode });
 
     /**
@@ -84,8 +89,15 @@ export function createGlobalRouter(context) {
             }
         }
 
+        // Anthropic / Gemini API 使用各自的错误格式
+        const isAnthropic = pathname === '/v1/messages' || pathname.startsWith('/v1/messages/');
+        const isGemini = pathname.startsWith('/v1beta/');
+        const sendError = isAnthropic ? sendAnthropicError : (isGemini ? sendGeminiError : sendApiError);
+
         // ==================== 鉴权检查 ====================
-        if (!checkAuth(req, res)) {
+        // 带签名的媒体链接免鉴权，签名由媒体路由校验
+        const isSignedMedia = req.method === 'GET' && pathname.startsWith('/v1/media/') && parsedUrl.searchParams.has('sig');
+        if (!isSignedMedia && !checkAuth(req, res, sendError)) {
             return; // 鉴权失败，已发送错误响应
         }
 
@@ -103,6 +115,10 @@ export function createGlobalRouter(context) {
             // 安全模式下禁用 OpenAI API
             const safeMode = getSafeMode?.();
             if (safeMode?.enabled) {
+                if (isAnthropic || isGemini) {
+                    sendError(res, { message: `服务运行在安全模式，API 不可用。原因: ${safeMode.reason}`, status: 503 });
+                    return;
+                }
                 res.writeHead(503, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     error: {
@@ -114,13 +130,30 @@ export function createGlobalRouter(context) {
             }
             // 登录模式下禁用 OpenAI API
             if (!handleOpenAIRequest) {
+                if (isAnthropic || isGemini) {
+                    sendError(res, { message: '服务运行在登录模式，API 不可用', status: 503 });
+                    return;
+                }
                 res.writeHead(503, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     error: { message: '服务运行在登录模式，OpenAI API 不可用', type: 'service_unavailable' }
                 }));
                 return;
             }
+            // Gemini generateContent API (/v1beta)
+            if (isGemini) {
+                await handleGeminiRequest(req, res, pathname.slice(7)); // 去除 /v1beta 前缀
+                return;
+            }
+
             const v1Path = pathname.slice(3); // 去除 /v1 前缀
+
+            // Anthropic Messages API (/v1/messages)
+            if (isAnthropic) {
+                await handleAnthropicRequest(req, res, v1Path);
+                return;
+            }
+
             await handleOpenAIRequest(req, res, v1Path, parsedUrl);
             return;
         }
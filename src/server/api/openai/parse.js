@@ -8,6 +8,14 @@ import path from 'path';
 import sharp from 'sharp';
 import { IMAGE_POLICY } from '../../../backend/registry.js';
 import { ERROR_CODES, getErrorMessage } from '../../errors.js';
+import { fetchRemoteImage } from '../../fetcher.js';
+import { normalizeToolOptions, buildToolPrompt, renderToolCalls } from '../../tools.js';
+import { normalizeResponseFormat, buildFormatPrompt } from '../../structured.js';
+import { resolveImageSize } from '../../sizes.js';
+import { chainKey, normalizeContent } from '../../conversations.js';
+
+/** 单次请求默认允许的最大 n (可通过 queue.maxN 配置) */
+const DEFAULT_MAX_N = 10;
 
 /**
  * 构造解析错误结果
@@ -25,6 +33,16 @@ function parseError(code, customMessage) {
     };
 }
 
+/**
+ * 检查模型是否可用 (存在且至少有一个 Worker 提供)
+ * @param {Function} getModel - 获取模型详情函数
+ * @param {string} modelId - 模型 ID
+ * @returns {boolean}
+ */
+function isModelAvailable(getModel, modelId) {
+    return (getModel(modelId)?.workers.length ?? 0) > 0;
+}
+
 /**
  * @typedef {object} ParsedRequest
  * @property {string} prompt - 提取的提示词
@@ -32,6 +50,11 @@ function parseError(code, customMessage) {
  * @property {string|null} modelId - 解析后的模型 ID
  * @property {string|null} modelName - 原始模型名称
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {number} n - 生成数量
+ * @property {import('../../sizes.js').ImageSize|null} size - 映射后的尺寸 (模型未声明尺寸或未指定时为 null)
+ * @property {import('../../tools.js').ToolOptions|null} [tools] - 工具调用选项 (仅文本模型)
+ * @property {import('../../structured.js').ResponseFormat|null} [responseFormat] - 结构化输出格式 (仅文本模型)
+ * @property {import('../../conversations.js').ConversationRequest|null} [conversation] - 会话续接信息 (仅不带 tools、response_format 且 n = 1 的文本对话)
  */
 
 /**
@@ -54,21 +77,27 @@ function parseError(code, customMessage) {
  * @param {string} options.tempDir - 临时目录路径
  * @param {number} options.imageLimit - 图片数量限制
  * @param {string} options.backendName - 后端名称
- * @param {Function} options.getSupportedModels - 获取支持的模型列表函数
+ * @param {Function} options.getModel - 获取模型详情函数
  * @param {Function} options.getImagePolicy - 获取图片策略函数
  * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.getModelSizes] - 获取模型支持尺寸的函数
  * @param {string} options.requestId - 请求 ID
  * @param {Function} options.logger - 日志函数
+ * @param {import('../../fetcher.js').RemoteImageOptions} options.remoteImage - 远程图片下载选项
+ * @param {number} [options.maxN=10] - 单次请求允许的最大 n
  * @returns {Promise<ParseResult>} 解析结果
  */
 export async function parseRequest(data, options) {
     const {
         tempDir,
         imageLimit,
+        remoteImage,
+        maxN = DEFAULT_MAX_N,
         backendName,
-        getSupportedModels,
+        getModel,
         getImagePolicy,
         getModelType,
+        getModelSizes,
         requestId,
         logger
     } = options;
@@ -81,16 +110,47 @@ export async function parseRequest(data, options) {
         return parseError(ERROR_CODES.NO_MESSAGES);
     }
 
+    // 验证 n
+    const n = data.n ?? 1;
+    if (!Number.isInteger(n) || n < 1 || n > maxN) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `n 必须是 1-${maxN} 之间的整数`);
+    }
+
+    // 验证 tools / tool_choice
+    const toolResult = normalizeToolOptions(data);
+    if (toolResult.error) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, toolResult.error);
+    }
+    const toolOptions = toolResult.options;
+    if (toolOptions && n > 1) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'tools 暂不支持与 n > 1 同时使用');
+    }
+
+    // 验证 response_format
+    const formatResult = normalizeResponseFormat(data);
+    if (formatResult.error) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, formatResult.error);
+    }
+    const responseFormat = formatResult.format;
+    if (responseFormat && (n > 1 || toolOptions)) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'response_format 暂不支持与 n > 1 或 tools 同时使用');
+    }
+
+    // 验证 conversation_id (扩展参数)
+    const conversationId = data.conversation_id ?? null;
+    if (conversationId !== null && (typeof conversationId !== 'string' || !conversationId || conversationId.length > 128)) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'conversation_id 必须是 1-128 个字符的字符串');
+    }
+    // 工具调用、结构化输出和 n > 1 需要每次发送完整上下文，不参与会话续接
+    const continuation = (n === 1 && !toolOptions && !responseFormat) ? { id: conversationId } : null;
+
     // 1. 解析模型参数与类型
     let modelKey = null;
     let isTextMode = false;
 
     if (data.model) {
-        // 检查模型是否在支持列表中
-        const supportedModels = getSupportedModels();
-        const isSupported = supportedModels.data.some(m => m.id === data.model);
-
-        if (isSupported) {
+        // 检查模型是否有可用的 Worker
+        if (isModelAvailable(getModel, data.model)) {
             modelKey = data.model;
             logger.info('服务器', `触发模型: ${data.model}`, { id: requestId });
 
@@ -111,24 +171,49 @@ export async function parseRequest(data, options) {
         logger.info('服务器', '未指定模型，使用网页默认', { id: requestId });
     }
 
-    // ============================================================
-    // 分支 A: 文本模型解析 (构建虚拟上下文)
-    // ============================================================
-    if (isTextMode) {
-        return await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming);
+    // 2. 映射尺寸参数 (size / aspect_ratio / image_size 扩展参数)
+    const sizeResult = checkImageSize(modelKey, data, getModelSizes);
+    if (!sizeResult.success) {
+        return sizeResult;
     }
 
-    // ============================================================
-    // 分支 B: 生图模型解析 (原有逻辑)
-    // ============================================================
-    return await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy);
+    try {
+        let result;
+        if (isTextMode) {
+            // ============================================================
+            // 分支 A: 文本模型解析 (构建虚拟上下文)
+            // ============================================================
+            result = await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming, remoteImage, toolOptions, responseFormat, continuation);
+        } else {
+            // ============================================================
+            // 分支 B: 生图模型解析 (原有逻辑)
+            // ============================================================
+            result = await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy, remoteImage);
+        }
+
+        if (result.success) {
+            result.data.n = n;
+            result.data.size = sizeResult.size;
+        }
+        return result;
+    } catch (err) {
+        if (err.code === ERROR_CODES.IMAGE_FETCH_FAILED) {
+            logger.warn('服务器', err.message, { id: requestId });
+            return parseError(err.code, err.message);
+        }
+        throw err;
+    }
 }
 
 /**
  * 解析文本请求 (构建虚拟上下文)
+ * 声明了工具或输出格式时在系统指令后附加相应说明；历史中的工具调用和工具结果以文本形式渲染
+ * 可续接会话时额外提供本轮输入及消息指纹，续接成功时只发送本轮输入
  */
-async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming) {
+async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming, remoteImage, toolOptions, responseFormat, continuation) {
     let systemPrompt = '';
+    let toolPrompt = '';
+    let formatPrompt = '';
     let historyPrompt = '';
     let currentPrompt = '';
 
@@ -163,6 +248,9 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
                         } else {
                             textBuffer += `[图片${globalImageCount} (上传失败)]`;
                         }
+                    } else if (isRemoteUrl(url)) {
+                        imagePaths.push(await saveRemoteImage(url, tempDir, remoteImage, imagePaths));
+                        textBuffer += `[图片${globalImageCount}]`;
                     } else {
                         textBuffer += `[图片${globalImageCount} (无效链接)]`;
                     }
@@ -172,6 +260,29 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
         return textBuffer;
     }
 
+    // 工具调用 ID -> 工具名称，用于标注工具结果
+    const toolNames = new Map();
+    for (const msg of messages) {
+        for (const call of msg.tool_calls || []) {
+            toolNames.set(call.id, call.function?.name);
+        }
+    }
+
+    // 辅助函数：将单条消息渲染为对话行
+    async function formatMessage(msg) {
+        if (msg.role === 'tool' || msg.role === 'function') {
+            const name = toolNames.get(msg.tool_call_id) || msg.name || 'unknown';
+            return `Tool (${name}): ${await processContent(msg.content)}`;
+        }
+        const roleName = msg.role === 'user' ? 'User' : 'AI';
+        let content = await processContent(msg.content);
+        if (msg.tool_calls?.length) {
+            const calls = renderToolCalls(msg.tool_calls.map(c => ({ name: c.function?.name, arguments: c.function?.arguments })));
+            content = content ? `${content}\n${calls}` : calls;
+        }
+        return `${roleName}: ${content}`;
+    }
+
     // 1. 提取 System Prompt
     const systemMsg = messages.find(m => m.role === 'system');
     if (systemMsg) {
@@ -180,6 +291,12 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
             systemPrompt = `=== 系统指令 (永远置顶) ===\n${content}\n\n`;
         }
     }
+    if (toolOptions) {
+        toolPrompt = buildToolPrompt(toolOptions);
+    }
+    if (responseFormat) {
+        formatPrompt = buildFormatPrompt(responseFormat);
+    }
 
     // 2. 区分历史和当前消息
     // 找到最后一条 user 消息的索引
@@ -203,29 +320,53 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
     if (historyMessages.length > 0) {
         historyPrompt += `=== 历史对话 (滑动窗口或摘要) ===\n`;
         for (const msg of historyMessages) {
-            const roleName = msg.role === 'user' ? 'User' : 'AI';
-            const content = await processContent(msg.content);
-            historyPrompt += `${roleName}: ${content}\n`;
+            historyPrompt += `${await formatMessage(msg)}\n`;
         }
         historyPrompt += `\n`;
     }
 
     // 4. 构建当前输入
     const lastUserMsg = messages[lastUserIndex];
+    const turnImageStart = imagePaths.length;
     const currentContent = await processContent(lastUserMsg.content);
 
+    // 最后一条 user 之后的工具调用与工具结果属于本轮输入 (工具调用循环)
+    const trailingMessages = messages.filter((m, index) => index > lastUserIndex && m.role !== 'system');
+    const hasToolLoop = trailingMessages.some(m => m.role === 'tool' || m.role === 'function');
+
     // 判断是否需要添加分割符号
-    const hasContext = systemPrompt || historyPrompt;
+    const hasContext = systemPrompt || toolPrompt || formatPrompt || historyPrompt || hasToolLoop;
     if (hasContext) {
         // 有上下文，添加分割符
         currentPrompt = `=== 当前输入 ===\nUser: ${currentContent}`;
+        if (hasToolLoop) {
+            for (const msg of trailingMessages) {
+                currentPrompt += `\n${await formatMessage(msg)}`;
+            }
+        }
     } else {
         // 没有上下文，直接使用内容
         currentPrompt = currentContent;
     }
 
     // 5. 合并最终 Prompt
-    const finalPrompt = systemPrompt + historyPrompt + currentPrompt;
+    const finalPrompt = systemPrompt + toolPrompt + formatPrompt + historyPrompt + currentPrompt;
+
+    // 6. 会话续接信息：最后一条 user 之后还有其他消息时无法只发送本轮输入
+    let conversation = null;
+    if (continuation && trailingMessages.length === 0) {
+        let historyKey = modelId || '';
+        for (const msg of messages.slice(0, lastUserIndex)) {
+            historyKey = chainKey(historyKey, msg.role, normalizeContent(msg.content));
+        }
+        conversation = {
+            id: continuation.id,
+            historyKey: lastUserIndex > 0 ? historyKey : null,
+            turnKey: chainKey(historyKey, 'user', normalizeContent(lastUserMsg.content)),
+            prompt: currentContent,
+            imagePaths: imagePaths.slice(turnImageStart)
+        };
+    }
 
     return {
         success: true,
@@ -234,7 +375,10 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
             imagePaths,
             modelId,
             modelName: modelId,
-            isStreaming
+            isStreaming,
+            tools: toolOptions,
+            responseFormat,
+            conversation
         }
     };
 }
@@ -242,7 +386,7 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
 /**
  * 解析生图请求 (原有逻辑)
  */
-async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy) {
+async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy, remoteImage) {
     // 筛选用户消息
     const userMessages = messages.filter(m => m.role === 'user');
     if (userMessages.length === 0) {
@@ -275,13 +419,15 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
                     }
                 }
 
-                // 处理 data URL
+                // 处理 data URL 与远程链接
                 const url = item.image_url.url;
                 if (url.startsWith('data:image')) {
                     const imagePath = await saveBase64Image(url, tempDir);
                     if (imagePath) {
                         imagePaths.push(imagePath);
                     }
+                } else if (isRemoteUrl(url)) {
+                    imagePaths.push(await saveRemoteImage(url, tempDir, remoteImage, imagePaths));
                 }
             }
         }
@@ -292,7 +438,31 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
     prompt = prompt.trim();
 
     // 图片策略校验
-    const hasImage = imagePaths.length > 0;
+    const policyError = checkImagePolicy(modelId, imagePaths.length > 0, getImagePolicy);
+    if (policyError) {
+        return policyError;
+    }
+
+    return {
+        success: true,
+        data: {
+            prompt,
+            imagePaths,
+            modelId,
+            modelName: modelId,
+            isStreaming
+        }
+    };
+}
+
+/**
+ * 校验模型的图片输入策略
+ * @param {string|null} modelId - 模型 ID
+ * @param {boolean} hasImage - 请求是否包含图片
+ * @param {Function} getImagePolicy - 获取图片策略函数
+ * @returns {ParseResult|null} 校验失败时返回错误结果，通过时返回 null
+ */
+export function checkImagePolicy(modelId, hasImage, getImagePolicy) {
     const policy = modelId ? getImagePolicy(modelId) : IMAGE_POLICY.OPTIONAL;
 
     if (policy === IMAGE_POLICY.REQUIRED && !hasImage) {
@@ -303,33 +473,324 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
         return parseError(ERROR_CODES.IMAGE_FORBIDDEN, `模型 ${modelId} 不支持图片输入`);
     }
 
+    return null;
+}
+
+/**
+ * 将请求的尺寸参数映射为模型支持的宽高比与分辨率
+ * @param {string|null} modelId - 模型 ID
+ * @param {{size?: string, aspect_ratio?: string, image_size?: string}} data - 请求参数
+ * @param {Function} [getModelSizes] - 获取模型支持尺寸的函数
+ * @returns {{success: true, size: import('../../sizes.js').ImageSize|null}|ParseResult} 格式无效或模型不支持时返回错误结果
+ */
+export function checkImageSize(modelId, data, getModelSizes) {
+    const sizes = modelId && getModelSizes
+        ? getModelSizes(modelId)
+        : { aspectRatios: [], resolutions: [] };
+
+    const result = resolveImageSize({
+        size: data.size,
+        aspectRatio: data.aspect_ratio,
+        resolution: data.image_size
+    }, sizes);
+    if (result.error) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, result.error);
+    }
+    return { success: true, size: result.size };
+}
+
+/**
+ * @typedef {object} ParsedImageGeneration
+ * @property {string} prompt - 提示词
+ * @property {string[]} imagePaths - 图片临时文件路径（生成接口为空）
+ * @property {string} modelId - 模型 ID
+ * @property {string} modelName - 原始模型名称
+ * @property {number} n - 生成数量
+ * @property {import('../../sizes.js').ImageSize|null} size - 映射后的尺寸
+ * @property {'b64_json'|'url'} responseFormat - 返回格式
+ */
+
+
+/**
+ * 校验图片接口的公共参数 (model / n / size / response_format)
+ * @param {object} data - 请求参数
+ * @param {object} options - 解析选项
+ * @returns {{success: boolean, data?: {modelId: string, n: number, size: import('../../sizes.js').ImageSize|null, responseFormat: string}, error?: ParseError}}
+ */
+function parseImageApiParams(data, options) {
+    const { backendName, getModel, getModelType, getModelSizes, maxN = DEFAULT_MAX_N } = options;
+
+    // 1. 校验模型
+    if (!data.model) {
+        return parseError(ERROR_CODES.INVALID_MODEL, '请求参数缺少 model');
+    }
+    if (!isModelAvailable(getModel, data.model)) {
+        return parseError(ERROR_CODES.INVALID_MODEL, `模型无效/后端 ${backendName} 不支持: ${data.model}`);
+    }
+    if (getModelType && getModelType(data.model) === 'text') {
+        return parseError(ERROR_CODES.INVALID_MODEL, `模型 ${data.model} 为文本模型，请使用 /v1/chat/completions`);
+    }
+
+    // 2. 校验数量
+    const n = data.n ?? 1;
+    if (!Number.isInteger(n) || n < 1 || n > maxN) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `n 必须是 1-${maxN} 之间的整数`);
+    }
+
+    // 3. 校验尺寸并映射为模型支持的宽高比与分辨率
+    const sizeResult = checkImageSize(data.model, data, getModelSizes);
+    if (!sizeResult.success) {
+        return sizeResult;
+    }
+
+    // 4. 校验返回格式
+    const responseFormat = data.response_format || 'b64_json';
+    if (!['b64_json', 'url'].includes(responseFormat)) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `response_format 必须是 b64_json 或 url`);
+    }
+
+    return { success: true, data: { modelId: data.model, n, size: sizeResult.size, responseFormat } };
+}
+
+/**
+ * 解析图片生成请求 (POST /v1/images/generations)
+ * @param {object} data - 请求体数据
+ * @param {object} options - 解析选项
+ * @param {string} options.backendName - 后端名称
+ * @param {Function} options.getModel - 获取模型详情函数
+ * @param {Function} options.getImagePolicy - 获取图片策略函数
+ * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.getModelSizes] - 获取模型支持尺寸的函数
+ * @param {number} [options.maxN=10] - 单次请求允许的最大 n
+ * @returns {{success: boolean, data?: ParsedImageGeneration, error?: ParseError}} 解析结果
+ */
+export function parseImageGenerationRequest(data, options) {
+    // 1. 校验提示词
+    if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+        return parseError(ERROR_CODES.NO_PROMPT);
+    }
+
+    // 2. 校验公共参数
+    const params = parseImageApiParams(data, options);
+    if (!params.success) {
+        return params;
+    }
+    const { modelId, n, size, responseFormat } = params.data;
+
+    // 3. 图片策略校验 (生成接口不携带参考图)
+    const policyError = checkImagePolicy(modelId, false, options.getImagePolicy);
+    if (policyError) {
+        return policyError;
+    }
+
     return {
         success: true,
         data: {
-            prompt,
-            imagePaths,
+            prompt: data.prompt.trim(),
+            imagePaths: [],
             modelId,
             modelName: modelId,
-            isStreaming
+            n,
+            size,
+            responseFormat
         }
     };
 }
 
+/** 变体接口未提供提示词时使用的默认提示词 */
+const VARIATION_PROMPT = '请生成一张与参考图主体、构图和风格相似，但细节不同的变体图片。';
+
+/** 蒙版图片附带的提示说明 */
+const MASK_HINT = '（最后一张图片为蒙版，仅修改蒙版中透明区域对应的内容）';
+
 /**
- * 保存 Base64 图片到临时文件
- * @param {string} dataUrl - data URL 格式的图片
+ * 解析图片编辑/变体请求 (POST /v1/images/edits, /v1/images/variations)
+ * 上传文件会被转换为标准格式，原始临时文件在解析结束后删除
+ * @param {Record<string, string>} fields - multipart 普通字段
+ * @param {import('../../multipart.js').UploadedFile[]} files - multipart 上传文件
+ * @param {object} options - 解析选项
+ * @param {'edits'|'variations'} options.mode - 接口类型
+ * @param {string} options.tempDir - 临时目录
+ * @param {number} options.imageLimit - 图片数量限制
+ * @param {string} options.backendName - 后端名称
+ * @param {Function} options.getModel - 获取模型详情函数
+ * @param {Function} options.getImagePolicy - 获取图片策略函数
+ * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.getModelSizes] - 获取模型支持尺寸的函数
+ * @param {number} [options.maxN=10] - 单次请求允许的最大 n
+ * @returns {Promise<{success: boolean, data?: ParsedImageGeneration, error?: ParseError}>} 解析结果
+ */
+export async function parseImageEditRequest(fields, files, options) {
+    const { mode, tempDir, imageLimit } = options;
+
+    try {
+        const images = files.filter(f => f.field === 'image' || f.field === 'image[]');
+        const mask = mode === 'edits' ? files.find(f => f.field === 'mask') : null;
+
+        // 1. 校验参考图
+        if (images.length === 0) {
+            return parseError(ERROR_CODES.IMAGE_REQUIRED, '请求缺少 image 文件');
+        }
+        if (mode === 'variations' && images.length > 1) {
+            return parseError(ERROR_CODES.TOO_MANY_IMAGES, '变体接口仅支持一张参考图');
+        }
+        const maxImages = Math.min(imageLimit, 10) - (mask ? 1 : 0);
+        if (images.length > maxImages) {
+            return parseError(ERROR_CODES.TOO_MANY_IMAGES, `图片数量超过限制（最大 ${maxImages} 张）`);
+        }
+
+        // 2. 校验提示词
+        let prompt = (fields.prompt || '').trim();
+        if (mode === 'edits' && !prompt) {
+            return parseError(ERROR_CODES.NO_PROMPT);
+        }
+        if (!prompt) {
+            prompt = VARIATION_PROMPT;
+        }
+
+        // 3. 校验公共参数 (表单字段均为字符串)
+        const params = parseImageApiParams({
+            model: fields.model,
+            n: fields.n !== undefined ? Number(fields.n) : undefined,
+            size: fields.size,
+            aspect_ratio: fields.aspect_ratio,
+            image_size: fields.image_size,
+            response_format: fields.response_format
+        }, options);
+        if (!params.success) {
+            return params;
+        }
+        const { modelId, n, size, responseFormat } = params.data;
+
+        // 4. 图片策略校验 (仅 optional / required 的模型可处理参考图)
+        const policyError = checkImagePolicy(modelId, true, options.getImagePolicy);
+        if (policyError) {
+            return policyError;
+        }
+
+        // 5. 转换上传图片
+        const imagePaths = [];
+        for (const file of images) {
+            const imagePath = await saveUploadedImage(file.path, tempDir);
+            if (!imagePath) {
+                cleanupFiles(imagePaths);
+                return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `无法识别的图片文件: ${file.filename}`);
+            }
+            imagePaths.push(imagePath);
+        }
+
+        // 蒙版保留透明通道，作为最后一张图片传入
+        if (mask) {
+            const maskPath = await saveUploadedImage(mask.path, tempDir, { keepAlpha: true });
+            if (!maskPath) {
+                cleanupFiles(imagePaths);
+                return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `无法识别的蒙版文件: ${mask.filename}`);
+            }
+            imagePaths.push(maskPath);
+            prompt += MASK_HINT;
+        }
+
+        return {
+            success: true,
+            data: {
+                prompt,
+                imagePaths,
+                modelId,
+                modelName: modelId,
+                n,
+                size,
+                responseFormat
+            }
+        };
+    } finally {
+        // 原始上传文件已转换或不再需要
+        cleanupFiles(files.map(f => f.path));
+    }
+}
+
+/**
+ * 删除临时文件（忽略错误）
+ * @param {string[]} paths - 文件路径列表
+ */
+function cleanupFiles(paths) {
+    for (const p of paths) {
+        try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+    }
+}
+
+/**
+ * 将上传的图片文件转换为标准格式
+ * @param {string} filePath - 上传的临时文件路径
  * @param {string} tempDir - 临时目录
- * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ * @param {object} [options={}] - 选项
+ * @param {boolean} [options.keepAlpha=false] - 是否保留透明通道 (输出 PNG)
+ * @returns {Promise<string|null>} 转换后的文件路径，失败返回 null
  */
-async function saveBase64Image(dataUrl, tempDir) {
-    const matches = dataUrl.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
+async function saveUploadedImage(filePath, tempDir, options = {}) {
+    const { keepAlpha = false } = options;
+    const ext = keepAlpha ? 'png' : 'jpg';
+    const outPath = path.join(tempDir, `img_${Date.now()}_${Math.random().toString(36).substring(7)}.${ext}`);
+
+    try {
+        const image = sharp(filePath);
+        if (keepAlpha) {
+            await image.png().toFile(outPath);
+        } else {
+            await image.jpeg({ quality: 90 }).toFile(outPath);
+        }
+        return outPath;
+    } catch (e) {
+        cleanupFiles([outPath]);
         return null;
     }
+}
+
+/**
+ * 判断是否为 http(s) 远程链接
+ * @param {string} url - 图片地址
+ * @returns {boolean}
+ */
+function isRemoteUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+/**
+ * 下载远程图片并保存到临时文件
+ * 失败时清理本次请求已保存的图片并抛出 IMAGE_FETCH_FAILED 错误
+ * @param {string} url - http(s) 图片地址
+ * @param {string} tempDir - 临时目录
+ * @param {import('../../fetcher.js').RemoteImageOptions} remoteImage - 下载选项
+ * @param {string[]} savedPaths - 本次请求已保存的图片路径
+ * @returns {Promise<string>} 保存的文件路径
+ */
+async function saveRemoteImage(url, tempDir, remoteImage, savedPaths) {
+    const displayUrl = url.length > 100 ? `${url.slice(0, 100)}...` : url;
+    try {
+        const { buffer } = await fetchRemoteImage(url, remoteImage);
+        const filePath = await saveImageBuffer(buffer, tempDir);
+        if (!filePath) {
+            const err = new Error('无法解码图片');
+            err.code = ERROR_CODES.IMAGE_FETCH_FAILED;
+            throw err;
+        }
+        return filePath;
+    } catch (err) {
+        cleanupFiles(savedPaths);
+        if (err.code === ERROR_CODES.IMAGE_FETCH_FAILED) {
+            err.message = `图片下载失败 (${displayUrl}): ${err.message}`;
+        }
+        throw err;
+    }
+}
 
+/**
+ * 压缩图片数据并保存到临时文件
+ * @param {Buffer} buffer - 图片数据
+ * @param {string} tempDir - 临时目录
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveImageBuffer(buffer, tempDir) {
     try {
-        const buffer = Buffer.from(matches[2], 'base64');
-        // 压缩图片
         const processedBuffer = await sharp(buffer)
             .jpeg({ quality: 90 })
             .toBuffer();
@@ -342,3 +803,19 @@ async function saveBase64Image(dataUrl, tempDir) {
         return null;
     }
 }
+
+/**
+ * 保存 Base64 图片到临时文件
+ * @param {string} dataUrl - data URL 格式的图片
+ * @param {string} tempDir - 临时目录
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveBase64Image(dataUrl, tempDir) {
+    const matches = dataUrl.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+    if (!matches || matches.length !== 3) {
+        return null;
+    }
+
+    // 压缩图片
+    return await saveImageBuffer(Buffer.from(matches[2], 'base64'), tempDir);
+}
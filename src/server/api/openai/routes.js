@@ -3,11 +3,35 @@
  * @description 处理 /v1 路径下的所有 API 请求
  */
 
+import fs from 'fs';
 import crypto from 'crypto';
 import { logger } from '../../../utils/logger.js';
 import { ERROR_CODES } from '../../errors.js';
 import { sendJson, sendApiError } from '../../respond.js';
-import { parseRequest } from './parse.js';
+import { parseRequest, parseImageGenerationRequest, parseImageEditRequest } from './parse.js';
+import { parseMultipart } from '../../multipart.js';
+import { normalizeToolOptions } from '../../tools.js';
+import { normalizeResponseFormat } from '../../structured.js';
+import { requestFingerprint, hashFile } from '../../idempotency.js';
+import { BATCH_ENDPOINTS, COMPLETION_WINDOWS } from '../../batches.js';
+
+/** 模型详情路径：/models/{id} (id 可包含 /，如 type/model 格式) */
+const MODEL_PATH = /^\/models\/(.+)$/;
+
+/** 异步任务查询路径：/jobs/{id} 或 /jobs/{id}/content (/videos 为别名) */
+const JOB_PATH = /^\/(?:jobs|videos)\/([^/]+)(\/content)?$/;
+
+/** 媒体文件下载路径：/media/{id} */
+const MEDIA_PATH = /^\/media\/([^/]+)$/;
+
+/** 文件路径：/files/{id} 或 /files/{id}/content */
+const FILE_PATH = /^\/files\/([^/]+)(\/content)?$/;
+
+/** 批处理路径：/batches/{id} 或 /batches/{id}/cancel */
+const BATCH_PATH = /^\/batches\/([^/]+)(\/cancel)?$/;
+
+/** 批处理列表的最大分页数量 */
+const MAX_BATCH_LIST_LIMIT = 100;
 
 /**
  * 创建 OpenAI API 路由处理器
@@ -18,13 +42,87 @@ export function createOpenAIRouter(context) {
     const {
         backendName,
         getModels,
+        getModel,
         getImagePolicy,
         getModelType,
+        getModelSizes,
         tempDir,
         imageLimit,
-        queueManager
+        remoteImage,
+        maxN,
+        maxUploadSize,
+        queueManager,
+        jobManager,
+        mediaStore,
+        idempotencyStore,
+        priorityResolver,
+        fileStore,
+        batchManager,
+        batchMaxFileSize
     } = context;
 
+    /**
+     * 处理请求头 Idempotency-Key
+     * 重复请求挂接到原任务的响应 (或回放已保存的响应)，请求体不同时返回 409
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} requestId - 请求 ID
+     * @param {string} pathname - 接口路径
+     * @param {...(string|Buffer)} parts - 计算请求指纹的请求内容
+     * @returns {import('http').ServerResponse|null} 后续处理使用的响应对象，已响应时返回 null
+     */
+    function claimIdempotencyKey(req, res, requestId, pathname, ...parts) {
+        const key = req.headers['idempotency-key'];
+        if (key === undefined || !idempotencyStore) return res;
+
+        const keyError = idempotencyStore.validateKey(key);
+        if (keyError) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: keyError });
+            return null;
+        }
+
+        const claimed = idempotencyStore.claim(key, requestFingerprint(pathname, ...parts), res);
+        if (claimed.conflict) {
+            logger.warn('服务器', '幂等键冲突 (请求体不同)', { id: requestId });
+            sendApiError(res, { code: ERROR_CODES.IDEMPOTENCY_CONFLICT });
+            return null;
+        }
+        if (claimed.attached) {
+            logger.info('服务器', '重复的幂等请求，返回原任务的响应', { id: requestId });
+            return null;
+        }
+        return claimed.res;
+    }
+
+    /**
+     * 解析请求的优先级及调用方，X-Priority 无效时返回 400
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {unknown} user - 请求中的 user 字段
+     * @returns {import('../../priority.js').RequestPriority|null} 已响应时返回 null
+     */
+    function resolvePriority(req, res, user) {
+        const caller = priorityResolver.resolve(req, user);
+        if (caller.error) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: caller.error });
+            return null;
+        }
+        return caller;
+    }
+
+    /**
+     * 排空队列期间拒绝新任务，返回 503
+     * @param {import('http').ServerResponse} res
+     * @param {string} requestId - 请求 ID
+     * @returns {boolean} 已拒绝时返回 true
+     */
+    function rejectIfDraining(res, requestId) {
+        if (!queueManager.isDraining()) return false;
+        logger.warn('服务器', '请求被拒绝 (正在排空队列)', { id: requestId });
+        sendApiError(res, { code: ERROR_CODES.SERVER_DRAINING });
+        return true;
+    }
+
     /**
      * 处理 GET /v1/models
      */
@@ -33,6 +131,28 @@ export function createOpenAIRouter(context) {
         sendJson(res, 200, models);
     }
 
+    /**
+     * 处理 GET /v1/models/{id}
+     * 返回模型能力及当前可用状态，没有可用 Worker 的模型 availability 为 no_worker
+     * @param {import('http').ServerResponse} res
+     * @param {string} encodedId - 路径中的模型 ID (URL 编码)
+     */
+    function handleGetModel(res, encodedId) {
+        let modelId;
+        try {
+            modelId = decodeURIComponent(encodedId);
+        } catch (e) {
+            modelId = encodedId;
+        }
+
+        const model = getModel(modelId);
+        if (!model) {
+            sendApiError(res, { code: ERROR_CODES.MODEL_NOT_FOUND, message: `模型不存在: ${modelId}` });
+            return;
+        }
+        sendJson(res, 200, model);
+    }
+
     /**
      * 处理 GET /v1/cookies
      */
@@ -75,23 +195,33 @@ export function createOpenAIRouter(context) {
         for await (const chunk of req) {
             chunks.push(chunk);
         }
+        const body = Buffer.concat(chunks).toString();
 
         try {
-            const body = Buffer.concat(chunks).toString();
             const data = JSON.parse(body);
             const isStreaming = data.stream === true;
 
-            // 限流检查
-            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
-                const status = queueManager.getStatus();
-                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+            const caller = resolvePriority(req, res, data.user);
+            if (!caller) return;
+            if (rejectIfDraining(res, requestId)) return;
+
+            // 限流检查 (按优先级分别计算)
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(caller.priority)) {
+                const queueSize = queueManager.getStatus().byPriority[caller.priority];
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, priority: caller.priority, queueSize });
+                const retryAfter = queueManager.getRetryAfter(caller.priority);
+                if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
                 sendApiError(res, {
                     code: ERROR_CODES.SERVER_BUSY,
-                    message: `服务器繁忙（队列: ${status.total}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
+                    message: `服务器繁忙（${caller.priority} 优先级队列: ${queueSize}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
                 });
                 return;
             }
 
+            // 通过准入检查后再认领幂等键，被拒绝的请求以相同的键重试时重新执行
+            res = claimIdempotencyKey(req, res, requestId, '/chat/completions', body);
+            if (!res) return;
+
             // 设置 SSE 响应头
             if (isStreaming) {
                 res.writeHead(200, {
@@ -105,10 +235,13 @@ export function createOpenAIRouter(context) {
             const parseResult = await parseRequest(data, {
                 tempDir,
                 imageLimit,
+                remoteImage,
+                maxN,
                 backendName,
-                getSupportedModels: getModels,
+                getModel,
                 getImagePolicy,
                 getModelType,
+                getModelSizes,
                 requestId,
                 logger
             });
@@ -122,9 +255,9 @@ export function createOpenAIRouter(context) {
                 return;
             }
 
-            const { prompt, imagePaths, modelId, modelName } = parseResult.data;
+            const { prompt, imagePaths, modelId, modelName, n, size, tools, responseFormat, conversation } = parseResult.data;
 
-            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length, n, tools: tools?.tools.length });
 
             // 加入队列
             queueManager.addTask({
@@ -135,8 +268,306 @@ export function createOpenAIRouter(context) {
                 modelId,
                 modelName,
                 id: requestId,
-                isStreaming
+                isStreaming,
+                n,
+                size,
+                tools,
+                jsonFormat: responseFormat,
+                conversation,
+                ...caller
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/images/generations
+     */
+    async function handleImageGenerations(req, res, requestId) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks).toString();
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (err) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `请求体不是有效的 JSON: ${err.message}`
+            });
+            return;
+        }
+
+        try {
+            const caller = resolvePriority(req, res, data.user);
+            if (!caller) return;
+            if (rejectIfDraining(res, requestId)) return;
+
+            // 限流检查 (图片接口始终为非流式)
+            if (!queueManager.canAcceptNonStreaming(caller.priority)) {
+                const queueSize = queueManager.getStatus().byPriority[caller.priority];
+                logger.warn('服务器', '图片请求被拒绝 (队列已满)', { id: requestId, priority: caller.priority, queueSize });
+                const retryAfter = queueManager.getRetryAfter(caller.priority);
+                if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（${caller.priority} 优先级队列: ${queueSize}/${queueManager.maxQueueSize}）。请稍后重试。`
+                });
+                return;
+            }
+
+            // 通过准入检查后再认领幂等键，被拒绝的请求以相同的键重试时重新执行
+            res = claimIdempotencyKey(req, res, requestId, '/images/generations', body);
+            if (!res) return;
+
+            const parseResult = parseImageGenerationRequest(data, {
+                maxN,
+                backendName,
+                getModel,
+                getImagePolicy,
+                getModelType,
+                getModelSizes
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, n, size, responseFormat } = parseResult.data;
+
+            logger.info('服务器', `[队列] 图片请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, model: modelId, n });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming: false,
+                apiFormat: 'images',
+                n,
+                size,
+                responseFormat,
+                ...caller
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/images/edits 和 /v1/images/variations (multipart/form-data)
+     * @param {'edits'|'variations'} mode - 接口类型
+     */
+    async function handleImageEdits(req, res, requestId, mode) {
+        // 限流检查在读取请求体之前进行，避免无效的上传 (此时尚未读到 user 字段，按请求头或默认优先级检查)
+        const headerCaller = resolvePriority(req, res);
+        if (!headerCaller || rejectIfDraining(res, requestId)) {
+            req.resume();
+            return;
+        }
+        if (!queueManager.canAcceptNonStreaming(headerCaller.priority)) {
+            const queueSize = queueManager.getStatus().byPriority[headerCaller.priority];
+            logger.warn('服务器', '图片请求被拒绝 (队列已满)', { id: requestId, priority: headerCaller.priority, queueSize });
+            const retryAfter = queueManager.getRetryAfter(headerCaller.priority);
+            if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+            sendApiError(res, {
+                code: ERROR_CODES.SERVER_BUSY,
+                message: `服务器繁忙（${headerCaller.priority} 优先级队列: ${queueSize}/${queueManager.maxQueueSize}）。请稍后重试。`
+            });
+            req.resume();
+            return;
+        }
+
+        let form;
+        try {
+            form = await parseMultipart(req, {
+                tempDir,
+                maxFileSize: maxUploadSize,
+                // 参考图 + 蒙版
+                maxFiles: Math.min(imageLimit, 10) + 1
+            });
+        } catch (err) {
+            logger.warn('服务器', '表单解析失败', { id: requestId, error: err.message });
+            // 请求体可能未读完，响应后直接关闭连接
+            res.setHeader('Connection', 'close');
+            sendApiError(res, { code: err.code, message: err.message });
+            return;
+        }
+
+        // 请求指纹包含表单字段和上传文件的内容，仅在携带幂等键时逐个文件流式计算摘要
+        const fileDigests = req.headers['idempotency-key'] !== undefined && idempotencyStore
+            ? await Promise.all(form.files.map(async f => `${f.field}\0${await hashFile(f.path)}`))
+            : [];
+        res = claimIdempotencyKey(req, res, requestId, `/images/${mode}`, JSON.stringify(form.fields), ...fileDigests);
+        if (!res) {
+            queueManager.cleanupTask({ imagePaths: form.files.map(f => f.path) });
+            return;
+        }
+
+        try {
+            const parseResult = await parseImageEditRequest(form.fields, form.files, {
+                mode,
+                tempDir,
+                imageLimit,
+                maxN,
+                backendName,
+                getModel,
+                getImagePolicy,
+                getModelType,
+                getModelSizes
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, n, size, responseFormat } = parseResult.data;
+            // 请求头已校验，此处只补充调用方
+            const caller = priorityResolver.resolve(req, form.fields.user);
+
+            logger.info('服务器', `[队列] 图片${mode === 'edits' ? '编辑' : '变体'}请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, model: modelId, images: imagePaths.length, n });
+
+            // 临时文件由队列的 cleanupTask 在任务结束后清理
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming: false,
+                apiFormat: 'images',
+                n,
+                size,
+                responseFormat,
+                ...caller
+            });
+
+        } catch (err) {
+            queueManager.cleanupTask({ imagePaths: form.files.map(f => f.path) });
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/jobs 和 /v1/videos (异步任务)
+     * jobs 接受与 /v1/chat/completions 相同的请求体 (不支持 tools、response_format)，videos 接受 {model, prompt, image, images, size, aspect_ratio}
+     * @param {'jobs'|'videos'} mode - 接口类型
+     */
+    async function handleCreateJob(req, res, requestId, mode) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `请求体不是有效的 JSON: ${err.message}`
             });
+            return;
+        }
+
+        try {
+            const caller = resolvePriority(req, res, data.user);
+            if (!caller) return;
+            if (rejectIfDraining(res, requestId)) return;
+
+            if (mode === 'videos') {
+                if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+                    sendApiError(res, { code: ERROR_CODES.NO_PROMPT });
+                    return;
+                }
+                // 转换为聊天请求格式，复用统一的解析逻辑
+                const images = [data.image, ...(Array.isArray(data.images) ? data.images : [])].filter(Boolean);
+                data = {
+                    model: data.model,
+                    size: data.size,
+                    aspect_ratio: data.aspect_ratio,
+                    image_size: data.image_size,
+                    messages: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: data.prompt },
+                            ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+                        ]
+                    }]
+                };
+            }
+
+            // 异步任务按单次生成保存原始结果，不经过工具调用模拟和 JSON 校验
+            if (normalizeToolOptions(data).options || normalizeResponseFormat(data).format) {
+                sendApiError(res, {
+                    code: ERROR_CODES.INVALID_REQUEST_BODY,
+                    message: '异步任务暂不支持 tools 和 response_format'
+                });
+                return;
+            }
+
+            // 异步任务只生成单个结果
+            const parseResult = await parseRequest({ ...data, stream: false, n: undefined }, {
+                tempDir,
+                imageLimit,
+                remoteImage,
+                maxN,
+                backendName,
+                getModel,
+                getImagePolicy,
+                getModelType,
+                getModelSizes,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, size } = parseResult.data;
+
+            // 异步任务不占用连接，不受非流式限流限制
+            const job = jobManager.submit({ prompt, imagePaths, modelId, modelName, size, ...caller });
+
+            logger.info('服务器', `[队列] 异步任务入队: ${prompt.slice(0, 10)}...`, { id: requestId, job: job.id, images: imagePaths.length });
+
+            sendJson(res, 202, jobManager.toJSON(job));
 
         } catch (err) {
             logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
@@ -147,6 +578,285 @@ export function createOpenAIRouter(context) {
         }
     }
 
+    /**
+     * 处理 GET /v1/jobs/{id}
+     */
+    function handleGetJob(res, jobId) {
+        const job = jobManager.get(jobId);
+        if (!job) {
+            sendApiError(res, { code: ERROR_CODES.JOB_NOT_FOUND });
+            return;
+        }
+        sendJson(res, 200, jobManager.toJSON(job));
+    }
+
+    /**
+     * 处理 GET /v1/jobs/{id}/content
+     */
+    function handleGetJobContent(res, jobId) {
+        const job = jobManager.get(jobId);
+        if (!job) {
+            sendApiError(res, { code: ERROR_CODES.JOB_NOT_FOUND });
+            return;
+        }
+        if (job.status === 'failed') {
+            sendApiError(res, {
+                code: ERROR_CODES.GENERATION_FAILED,
+                message: job.error
+            });
+            return;
+        }
+        if (!job.file) {
+            sendApiError(res, {
+                code: ERROR_CODES.JOB_NOT_READY,
+                message: `任务尚未完成（状态: ${job.status}）`
+            });
+            return;
+        }
+
+        const contentType = job.file.mimeType.startsWith('text/')
+            ? `${job.file.mimeType}; charset=utf-8`
+            : job.file.mimeType;
+        res.writeHead(200, {
+            'Content-Type': contentType,
+            'Content-Length': job.file.size
+        });
+        fs.createReadStream(job.file.path)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    /**
+     * 处理 GET /v1/media/{id}
+     * 带 sig 参数的请求未经过鉴权，必须通过签名校验
+     */
+    function handleGetMedia(res, mediaId, parsedUrl) {
+        const { searchParams } = parsedUrl;
+        if (searchParams.has('sig') && !mediaStore.verify(mediaId, searchParams.get('expires'), searchParams.get('sig'))) {
+            sendApiError(res, { code: ERROR_CODES.MEDIA_FORBIDDEN });
+            return;
+        }
+
+        const file = mediaStore.get(mediaId);
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.MEDIA_NOT_FOUND });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': file.mimeType,
+            'Content-Length': file.size,
+            'Cache-Control': 'private, max-age=' + Math.max(0, Math.floor((file.expiresAt - Date.now()) / 1000))
+        });
+        fs.createReadStream(file.path)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    /**
+     * 处理 POST /v1/files (multipart/form-data，字段 file 和 purpose)
+     * 目前仅支持上传批处理输入文件 (purpose: batch)
+     */
+    async function handleUploadFile(req, res, requestId) {
+        let form;
+        try {
+            form = await parseMultipart(req, {
+                tempDir,
+                maxFileSize: batchMaxFileSize,
+                maxFiles: 1
+            });
+        } catch (err) {
+            logger.warn('服务器', '表单解析失败', { id: requestId, error: err.message });
+            // 请求体可能未读完，响应后直接关闭连接
+            res.setHeader('Connection', 'close');
+            sendApiError(res, { code: err.code, message: err.message });
+            return;
+        }
+
+        const cleanup = () => queueManager.cleanupTask({ imagePaths: form.files.map(f => f.path) });
+        const upload = form.files.find(f => f.field === 'file');
+        if (form.fields.purpose !== 'batch') {
+            cleanup();
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: 'purpose 仅支持 batch' });
+            return;
+        }
+        if (!upload) {
+            cleanup();
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: '缺少上传文件 (file 字段)' });
+            return;
+        }
+
+        try {
+            const file = await fileStore.add(upload.path, { filename: upload.filename || 'input.jsonl', purpose: 'batch' });
+            logger.info('服务器', '文件已上传', { id: requestId, file: file.id, bytes: file.bytes });
+            sendJson(res, 200, fileStore.toJSON(file));
+        } catch (err) {
+            cleanup();
+            logger.error('服务器', '保存上传文件失败', { id: requestId, error: err.message });
+            sendApiError(res, { code: ERROR_CODES.INTERNAL_ERROR, message: err.message });
+        }
+    }
+
+    /**
+     * 处理 GET /v1/files (可按 purpose 过滤)
+     */
+    function handleListFiles(res, parsedUrl) {
+        const purpose = parsedUrl.searchParams.get('purpose') || undefined;
+        sendJson(res, 200, {
+            object: 'list',
+            data: fileStore.list(purpose).map(fileStore.toJSON)
+        });
+    }
+
+    /**
+     * 处理 GET /v1/files/{id}
+     */
+    function handleGetFile(res, fileId) {
+        const file = fileStore.get(fileId);
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.FILE_NOT_FOUND });
+            return;
+        }
+        sendJson(res, 200, fileStore.toJSON(file));
+    }
+
+    /**
+     * 处理 GET /v1/files/{id}/content
+     */
+    function handleGetFileContent(res, fileId) {
+        const file = fileStore.get(fileId);
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.FILE_NOT_FOUND });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'application/jsonl; charset=utf-8',
+            'Content-Length': file.bytes,
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(file.filename)}"`
+        });
+        fs.createReadStream(file.path)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    /**
+     * 处理 DELETE /v1/files/{id}
+     */
+    function handleDeleteFile(res, fileId) {
+        if (!fileStore.remove(fileId)) {
+            sendApiError(res, { code: ERROR_CODES.FILE_NOT_FOUND });
+            return;
+        }
+        sendJson(res, 200, { id: fileId, object: 'file', deleted: true });
+    }
+
+    /**
+     * 处理 POST /v1/batches
+     * 请求体: {input_file_id, endpoint, completion_window, metadata}
+     */
+    async function handleCreateBatch(req, res, requestId) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_REQUEST_BODY,
+                message: `请求体不是有效的 JSON: ${err.message}`
+            });
+            return;
+        }
+
+        const { input_file_id: inputFileId, endpoint, completion_window: completionWindow, metadata = null } = data || {};
+        let error = null;
+        if (!BATCH_ENDPOINTS.includes(endpoint)) {
+            error = `endpoint 仅支持 ${BATCH_ENDPOINTS.join(', ')}`;
+        } else if (!Object.hasOwn(COMPLETION_WINDOWS, completionWindow)) {
+            error = `completion_window 仅支持 ${Object.keys(COMPLETION_WINDOWS).join(', ')}`;
+        } else if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+            error = 'metadata 必须为对象';
+        }
+        if (error) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: error });
+            return;
+        }
+
+        const file = typeof inputFileId === 'string' ? fileStore.get(inputFileId) : null;
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.FILE_NOT_FOUND, message: `输入文件不存在: ${inputFileId}` });
+            return;
+        }
+        if (file.purpose !== 'batch') {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: '输入文件的 purpose 必须为 batch' });
+            return;
+        }
+        if (rejectIfDraining(res, requestId)) return;
+
+        try {
+            const batch = await batchManager.create({ inputFileId, endpoint, completionWindow, metadata });
+            logger.info('服务器', '批处理已提交', { id: requestId, batch: batch.id });
+            sendJson(res, 200, batchManager.toJSON(batch));
+        } catch (err) {
+            logger.error('服务器', '创建批处理失败', { id: requestId, error: err.message });
+            sendApiError(res, { code: ERROR_CODES.INTERNAL_ERROR, message: err.message });
+        }
+    }
+
+    /**
+     * 处理 GET /v1/batches (分页参数 limit、after)
+     */
+    function handleListBatches(res, parsedUrl) {
+        const { searchParams } = parsedUrl;
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 20, 1), MAX_BATCH_LIST_LIMIT);
+        const { data, hasMore } = batchManager.list({ limit, after: searchParams.get('after') || undefined });
+        sendJson(res, 200, {
+            object: 'list',
+            data: data.map(batchManager.toJSON),
+            first_id: data[0]?.id || null,
+            last_id: data[data.length - 1]?.id || null,
+            has_more: hasMore
+        });
+    }
+
+    /**
+     * 处理 GET /v1/batches/{id}
+     */
+    function handleGetBatch(res, batchId) {
+        const batch = batchManager.get(batchId);
+        if (!batch) {
+            sendApiError(res, { code: ERROR_CODES.BATCH_NOT_FOUND });
+            return;
+        }
+        sendJson(res, 200, batchManager.toJSON(batch));
+    }
+
+    /**
+     * 处理 POST /v1/batches/{id}/cancel
+     * 重复取消返回当前状态，已结束的批处理返回 409
+     */
+    async function handleCancelBatch(res, requestId, batchId) {
+        const batch = batchManager.get(batchId);
+        if (!batch) {
+            sendApiError(res, { code: ERROR_CODES.BATCH_NOT_FOUND });
+            return;
+        }
+        if (batch.status === 'validating' || batch.status === 'in_progress') {
+            await batchManager.cancel(batch);
+            logger.info('服务器', '批处理已请求取消', { id: requestId, batch: batchId });
+        } else if (batch.status !== 'cancelling' && batch.status !== 'cancelled') {
+            sendApiError(res, {
+                code: ERROR_CODES.BATCH_NOT_CANCELLABLE,
+                message: `批处理已结束，无法取消（状态: ${batch.status}）`
+            });
+            return;
+        }
+        sendJson(res, 200, batchManager.toJSON(batch));
+    }
+
     /**
      * OpenAI API 路由处理函数
      * @param {import('http').IncomingMessage} req
@@ -156,15 +866,58 @@ export function createOpenAIRouter(context) {
      */
     return async function handleOpenAIRequest(req, res, pathname, parsedUrl) {
         const requestId = crypto.randomUUID().slice(0, 8);
+        const jobMatch = pathname.match(JOB_PATH);
+        const mediaMatch = pathname.match(MEDIA_PATH);
+        const modelMatch = pathname.match(MODEL_PATH);
+        const fileMatch = pathname.match(FILE_PATH);
+        const batchMatch = pathname.match(BATCH_PATH);
 
         if (req.method === 'GET' && pathname === '/models') {
             handleModels(res);
+        } else if (req.method === 'GET' && modelMatch) {
+            handleGetModel(res, modelMatch[1]);
         } else if (req.method === 'GET' && pathname === '/cookies') {
             const workerName = parsedUrl.searchParams.get('name');
             const domain = parsedUrl.searchParams.get('domain');
             await handleCookies(res, requestId, workerName, domain);
         } else if (req.method === 'POST' && pathname.startsWith('/chat/completions')) {
             await handleChatCompletions(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/images/generations') {
+            await handleImageGenerations(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/images/edits') {
+            await handleImageEdits(req, res, requestId, 'edits');
+        } else if (req.method === 'POST' && pathname === '/images/variations') {
+            await handleImageEdits(req, res, requestId, 'variations');
+        } else if (req.method === 'POST' && (pathname === '/jobs' || pathname === '/videos')) {
+            await handleCreateJob(req, res, requestId, pathname.slice(1));
+        } else if (req.method === 'GET' && jobMatch) {
+            if (jobMatch[2]) {
+                handleGetJobContent(res, jobMatch[1]);
+            } else {
+                handleGetJob(res, jobMatch[1]);
+            }
+        } else if (req.method === 'GET' && mediaMatch) {
+            handleGetMedia(res, mediaMatch[1], parsedUrl);
+        } else if (req.method === 'POST' && pathname === '/files') {
+            await handleUploadFile(req, res, requestId);
+        } else if (req.method === 'GET' && pathname === '/files') {
+            handleListFiles(res, parsedUrl);
+        } else if (req.method === 'GET' && fileMatch) {
+            if (fileMatch[2]) {
+                handleGetFileContent(res, fileMatch[1]);
+            } else {
+                handleGetFile(res, fileMatch[1]);
+            }
+        } else if (req.method === 'DELETE' && fileMatch && !fileMatch[2]) {
+            handleDeleteFile(res, fileMatch[1]);
+        } else if (req.method === 'POST' && pathname === '/batches') {
+            await handleCreateBatch(req, res, requestId);
+        } else if (req.method === 'GET' && pathname === '/batches') {
+            handleListBatches(res, parsedUrl);
+        } else if (req.method === 'GET' && batchMatch && !batchMatch[2]) {
+            handleGetBatch(res, batchMatch[1]);
+        } else if (req.method === 'POST' && batchMatch && batchMatch[2]) {
+            await handleCancelBatch(res, requestId, batchMatch[1]);
         } else {
             res.writeHead(404);
             res.end();
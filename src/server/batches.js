@@ -0,0 +1,764 @@
+/**
+ * @fileoverview 批处理管理模块
+ * @description 实现 /v1/batches：按 OpenAI Batch API 格式读取上传的 JSONL 输入文件，逐行作为后台任务送入队列，结果写入输出/错误文件
+ *
+ * - 批处理任务以 background 标记入队，排在交互请求之后，且同时执行的请求数不超过 concurrency
+ * - 批处理状态及结果文件持久化在存储目录中，重启后按结果文件中已有的 custom_id 跳过已完成的请求继续处理
+ * - 取消或超过 completion_window 时停止送入新请求并取消执行中的请求，未完成的请求写入错误文件
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { ERROR_CODES } from './errors.js';
+import { sendApiError } from './respond.js';
+import { parseRequest, parseImageGenerationRequest } from './api/openai/parse.js';
+
+/** 支持的批处理接口 */
+export const BATCH_ENDPOINTS = ['/v1/chat/completions', '/v1/images/generations'];
+
+/** 支持的 completion_window 及对应时长 (毫秒) */
+export const COMPLETION_WINDOWS = { '24h': 24 * 60 * 60 * 1000 };
+
+/** 批处理 ID 格式 (同时作为文件名，防止路径穿越) */
+const BATCH_ID_PATTERN = /^batch_[0-9a-f]{24}$/;
+
+/** 过期批处理检查间隔 (毫秒) */
+const SWEEP_INTERVAL = 60 * 1000;
+
+/** 校验失败时最多返回的错误数 */
+const MAX_VALIDATION_ERRORS = 100;
+
+/** 尚未结束的状态 */
+const ACTIVE_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+/**
+ * @typedef {object} Batch
+ * @property {string} id - 批处理 ID
+ * @property {string} endpoint - 请求接口
+ * @property {string} inputFileId - 输入文件 ID
+ * @property {string} completionWindow - 完成时限
+ * @property {'validating'|'failed'|'in_progress'|'finalizing'|'completed'|'expired'|'cancelling'|'cancelled'} status - 状态
+ * @property {{code: string, message: string, line: number|null}[]|null} errors - 输入文件校验错误
+ * @property {string|null} outputFileId - 输出文件 ID (成功的请求)
+ * @property {string|null} errorFileId - 错误文件 ID (失败及未执行的请求)
+ * @property {{total: number, completed: number, failed: number}} requestCounts - 请求计数
+ * @property {object|null} metadata - 用户元数据
+ * @property {number} createdAt - 创建时间 (毫秒，以下时间相同)
+ * @property {number} expiresAt - 过期时间
+ * @property {number|null} inProgressAt - 开始处理时间
+ * @property {number|null} finalizingAt - 开始整理结果时间
+ * @property {number|null} completedAt - 完成时间
+ * @property {number|null} failedAt - 校验失败时间
+ * @property {number|null} expiredAt - 过期时间
+ * @property {number|null} cancellingAt - 开始取消时间
+ * @property {number|null} cancelledAt - 取消完成时间
+ */
+
+/**
+ * @typedef {object} BatchLine
+ * @property {string} customId - 请求的 custom_id
+ * @property {object} body - 请求体
+ */
+
+/**
+ * @typedef {object} BatchState
+ * @property {BatchLine[]} lines - 输入请求
+ * @property {('pending'|'in_progress'|'completed'|'failed'|'cancelled')[]} lineStatus - 各请求的状态
+ * @property {number} cursor - 下一个待送入队列的请求序号
+ * @property {number} running - 执行中的请求数
+ * @property {Set<EventEmitter>} sinks - 执行中请求的响应接收器
+ * @property {'cancelled'|'expired'|null} stopStatus - 停止送入请求后的最终状态
+ * @property {Promise<void>} writeChain - 结果文件的写入队列 (保证逐行追加)
+ * @property {boolean} finalizing - 是否已开始整理结果
+ */
+
+/**
+ * 创建响应接收器：实现队列及响应函数用到的 ServerResponse 接口，收集单个请求的响应
+ * destroy() 模拟客户端断开，由队列取消对应的任务
+ * @returns {EventEmitter & {done: Promise<{statusCode: number, text: string}|null>}}
+ */
+function createResponseSink() {
+    const sink = new EventEmitter();
+    const chunks = [];
+    let statusCode = 200;
+    let resolve;
+
+    Object.assign(sink, {
+        headersSent: false,
+        writableEnded: false,
+        destroyed: false,
+        /** 响应结束时返回状态码和内容，被取消时返回 null */
+        done: new Promise(r => { resolve = r; }),
+
+        setHeader() { },
+
+        writeHead(status) {
+            if (sink.headersSent) return sink;
+            statusCode = status;
+            sink.headersSent = true;
+            return sink;
+        },
+
+        write(chunk) {
+            if (sink.writableEnded || sink.destroyed) return false;
+            sink.headersSent = true;
+            chunks.push(String(chunk));
+            return true;
+        },
+
+        end(chunk) {
+            if (sink.writableEnded || sink.destroyed) return sink;
+            if (chunk !== undefined) sink.write(chunk);
+            sink.headersSent = true;
+            sink.writableEnded = true;
+            resolve({ statusCode, text: chunks.join('') });
+            sink.emit('finish');
+            sink.emit('close');
+            return sink;
+        },
+
+        destroy() {
+            if (sink.writableEnded || sink.destroyed) return sink;
+            sink.destroyed = true;
+            resolve(null);
+            sink.emit('close');
+            return sink;
+        }
+    });
+
+    return sink;
+}
+
+/**
+ * 解析输入文件
+ * @param {string} content - 文件内容
+ * @param {string} endpoint - 批处理接口
+ * @param {number} maxRequests - 最大请求数
+ * @returns {{lines: BatchLine[], errors: object[]}}
+ */
+function parseInputFile(content, endpoint, maxRequests) {
+    const lines = [];
+    const errors = [];
+    const customIds = new Set();
+
+    const addError = (code, message, line) => {
+        if (errors.length < MAX_VALIDATION_ERRORS) {
+            errors.push({ code, message, param: null, line });
+        }
+    };
+
+    content.split('\n').forEach((text, i) => {
+        const lineNumber = i + 1;
+        if (!text.trim()) return;
+
+        let item;
+        try {
+            item = JSON.parse(text);
+        } catch (e) {
+            addError('invalid_json_line', `第 ${lineNumber} 行不是有效的 JSON`, lineNumber);
+            return;
+        }
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            addError('invalid_json_line', `第 ${lineNumber} 行不是 JSON 对象`, lineNumber);
+            return;
+        }
+        if (typeof item.custom_id !== 'string' || !item.custom_id) {
+            addError('missing_custom_id', `第 ${lineNumber} 行缺少 custom_id`, lineNumber);
+            return;
+        }
+        if (customIds.has(item.custom_id)) {
+            addError('duplicate_custom_id', `第 ${lineNumber} 行的 custom_id 重复: ${item.custom_id}`, lineNumber);
+            return;
+        }
+        customIds.add(item.custom_id);
+        if (item.method !== 'POST') {
+            addError('invalid_method', `第 ${lineNumber} 行的 method 必须为 POST`, lineNumber);
+            return;
+        }
+        if (item.url !== endpoint) {
+            addError('mismatched_url', `第 ${lineNumber} 行的 url 与批处理接口 ${endpoint} 不一致`, lineNumber);
+            return;
+        }
+        if (!item.body || typeof item.body !== 'object' || Array.isArray(item.body)) {
+            addError('invalid_body', `第 ${lineNumber} 行的 body 必须为 JSON 对象`, lineNumber);
+            return;
+        }
+        lines.push({ customId: item.custom_id, body: item.body });
+    });
+
+    if (errors.length === 0 && lines.length === 0) {
+        addError('empty_file', '输入文件不包含任何请求', null);
+    }
+    if (lines.length > maxRequests) {
+        addError('too_many_requests', `请求数 ${lines.length} 超过上限 ${maxRequests}`, null);
+    }
+    return { lines, errors };
+}
+
+/**
+ * 读取结果文件中已有的记录，截掉未写完的最后一行
+ * @param {string} filePath - 结果文件路径
+ * @returns {Promise<object[]>}
+ */
+async function readResultFile(filePath) {
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (e) {
+        return [];
+    }
+
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+    if (complete.length !== content.length) {
+        await fs.promises.writeFile(filePath, complete);
+    }
+
+    const records = [];
+    for (const text of complete.split('\n')) {
+        if (!text) continue;
+        try {
+            records.push(JSON.parse(text));
+        } catch (e) { /* ignore */ }
+    }
+    return records;
+}
+
+/**
+ * 创建批处理管理器
+ * @param {object} options - 管理器选项
+ * @param {ReturnType<import('./queue.js').createQueueManager>} options.queueManager - 队列管理器
+ * @param {ReturnType<import('./fileStore.js').createFileStore>} options.fileStore - 文件存储
+ * @param {string} options.dir - 存储目录，保存批处理状态 {id}.json 及处理中的结果文件
+ * @param {number} options.concurrency - 所有批处理同时执行的最大请求数
+ * @param {number} options.maxRequests - 单个批处理的最大请求数
+ * @param {object} options.parseOptions - 请求解析选项 (与 OpenAI 路由相同)
+ */
+export function createBatchManager(options) {
+    const { queueManager, fileStore, dir, concurrency, maxRequests, parseOptions } = options;
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /** @type {Map<string, Batch>} 按创建顺序排列 */
+    const batches = new Map();
+
+    /** @type {Map<string, BatchState>} 尚未结束的批处理的运行状态 */
+    const states = new Map();
+
+    /** 所有批处理执行中的请求数 */
+    let running = 0;
+
+    /**
+     * 结果文件路径
+     * @param {string} batchId - 批处理 ID
+     * @param {'output'|'error'} kind - 文件类型
+     * @returns {string}
+     */
+    const resultPath = (batchId, kind) => path.join(dir, `${batchId}.${kind}.jsonl`);
+
+    /**
+     * 保存批处理状态 (先写临时文件再替换，避免中途退出留下不完整的状态)
+     * @param {Batch} batch - 批处理
+     * @returns {Promise<void>}
+     */
+    async function persist(batch) {
+        const filePath = path.join(dir, `${batch.id}.json`);
+        try {
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(batch));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        } catch (e) {
+            logger.error('服务器', '保存批处理状态失败', { id: batch.id, error: e.message });
+        }
+    }
+
+    /**
+     * 追加一条结果记录
+     * @param {Batch} batch - 批处理
+     * @param {'output'|'error'} kind - 文件类型
+     * @param {object} record - 结果记录
+     * @returns {Promise<void>}
+     */
+    function appendResult(batch, kind, record) {
+        const state = states.get(batch.id);
+        state.writeChain = state.writeChain
+            .then(() => fs.promises.appendFile(resultPath(batch.id, kind), JSON.stringify(record) + '\n'))
+            .catch(e => logger.error('服务器', '写入批处理结果失败', { id: batch.id, error: e.message }));
+        return state.writeChain;
+    }
+
+    /**
+     * 创建运行状态
+     * @param {BatchLine[]} lines - 输入请求
+     * @returns {BatchState}
+     */
+    function createState(lines) {
+        return {
+            lines,
+            lineStatus: lines.map(() => 'pending'),
+            cursor: 0,
+            running: 0,
+            sinks: new Set(),
+            stopStatus: null,
+            writeChain: Promise.resolve(),
+            finalizing: false
+        };
+    }
+
+    /**
+     * 将单个请求送入队列 (解析失败时直接向接收器写出错误响应)
+     * @param {Batch} batch - 批处理
+     * @param {BatchLine} line - 请求
+     * @param {string} requestId - 请求 ID
+     * @param {EventEmitter} sink - 响应接收器
+     */
+    async function submitLine(batch, line, requestId, sink) {
+        // 批处理请求始终为非流式
+        const data = { ...line.body, stream: false };
+
+        let parseResult;
+        if (batch.endpoint === '/v1/images/generations') {
+            parseResult = parseImageGenerationRequest(data, parseOptions);
+        } else {
+            parseResult = await parseRequest(data, { ...parseOptions, requestId, logger });
+        }
+
+        if (!parseResult.success) {
+            sendApiError(sink, { code: parseResult.error.code, message: parseResult.error.error });
+            return;
+        }
+
+        const { prompt, imagePaths, modelId, modelName, n, size, tools, responseFormat, conversation } = parseResult.data;
+        const task = {
+            req: null,
+            res: sink,
+            prompt,
+            imagePaths,
+            modelId,
+            modelName,
+            id: requestId,
+            isStreaming: false,
+            n,
+            size,
+            background: true,
+            // 同一批处理的请求为一个调用方，多个批处理之间公平调度
+            priority: 'low',
+            owner: batch.id
+        };
+        if (batch.endpoint === '/v1/images/generations') {
+            Object.assign(task, { apiFormat: 'images', responseFormat });
+        } else {
+            Object.assign(task, { tools, jsonFormat: responseFormat, conversation });
+        }
+        queueManager.addTask(task);
+    }
+
+    /**
+     * 执行单个请求并记录结果
+     * @param {Batch} batch - 批处理
+     * @param {BatchState} state - 运行状态
+     * @param {number} index - 请求序号
+     */
+    async function runLine(batch, state, index) {
+        const line = state.lines[index];
+        const requestId = crypto.randomUUID().slice(0, 8);
+        const sink = createResponseSink();
+
+        state.lineStatus[index] = 'in_progress';
+        state.running++;
+        state.sinks.add(sink);
+        running++;
+
+        try {
+            await submitLine(batch, line, requestId, sink);
+        } catch (err) {
+            logger.error('服务器', '批处理请求提交失败', { id: batch.id, customId: line.customId, error: err.message });
+            sendApiError(sink, { code: ERROR_CODES.INTERNAL_ERROR, message: err.message });
+        }
+
+        const response = await sink.done;
+        state.sinks.delete(sink);
+
+        if (!response) {
+            state.lineStatus[index] = 'cancelled';
+        } else {
+            let body;
+            try {
+                body = JSON.parse(response.text);
+            } catch (e) {
+                body = response.text;
+            }
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            await appendResult(batch, ok ? 'output' : 'error', {
+                id: 'batch_req_' + crypto.randomBytes(12).toString('hex'),
+                custom_id: line.customId,
+                response: { status_code: response.statusCode, request_id: requestId, body },
+                error: null
+            });
+            state.lineStatus[index] = ok ? 'completed' : 'failed';
+            batch.requestCounts[ok ? 'completed' : 'failed']++;
+        }
+
+        state.running--;
+        running--;
+        checkFinished(batch, state);
+        pump();
+    }
+
+    /**
+     * 按创建顺序向队列送入请求，直到达到并发上限
+     */
+    function pump() {
+        for (const batch of batches.values()) {
+            if (running >= concurrency) return;
+            const state = states.get(batch.id);
+            if (batch.status !== 'in_progress' || !state || state.stopStatus) continue;
+
+            while (running < concurrency && state.cursor < state.lines.length) {
+                const index = state.cursor++;
+                if (state.lineStatus[index] === 'pending') {
+                    runLine(batch, state, index);
+                }
+            }
+            checkFinished(batch, state);
+        }
+    }
+
+    /**
+     * 所有请求都已结束 (或已停止且执行中的请求均已取消) 时整理结果
+     * @param {Batch} batch - 批处理
+     * @param {BatchState} state - 运行状态
+     */
+    function checkFinished(batch, state) {
+        if (state.finalizing || state.running > 0) return;
+        if (state.stopStatus || state.cursor >= state.lines.length) {
+            finalize(batch, state);
+        }
+    }
+
+    /**
+     * 停止批处理：不再送入新请求，并取消执行中的请求
+     * @param {Batch} batch - 批处理
+     * @param {BatchState} state - 运行状态
+     * @param {'cancelled'|'expired'} status - 最终状态
+     */
+    function stop(batch, state, status) {
+        state.stopStatus = status;
+        for (const sink of state.sinks) {
+            sink.destroy();
+        }
+        checkFinished(batch, state);
+    }
+
+    /**
+     * 整理结果：未完成的请求写入错误文件，结果文件登记到文件存储
+     * @param {Batch} batch - 批处理
+     * @param {BatchState} state - 运行状态
+     */
+    async function finalize(batch, state) {
+        state.finalizing = true;
+        const finalStatus = state.stopStatus || 'completed';
+
+        if (finalStatus === 'completed' && batch.status !== 'finalizing') {
+            batch.status = 'finalizing';
+            batch.finalizingAt = Date.now();
+            await persist(batch);
+        }
+
+        const code = finalStatus === 'expired' ? 'batch_expired' : 'batch_cancelled';
+        const message = finalStatus === 'expired' ? '批处理超过完成时限，请求未执行' : '批处理已取消，请求未执行';
+        state.lineStatus.forEach((status, i) => {
+            if (status === 'pending' || status === 'cancelled') {
+                appendResult(batch, 'error', {
+                    id: 'batch_req_' + crypto.randomBytes(12).toString('hex'),
+                    custom_id: state.lines[i].customId,
+                    response: null,
+                    error: { code, message }
+                });
+            }
+        });
+        await state.writeChain;
+
+        for (const kind of ['output', 'error']) {
+            const filePath = resultPath(batch.id, kind);
+            if (!fs.existsSync(filePath)) continue;
+            try {
+                const file = await fileStore.add(filePath, { filename: `${batch.id}_${kind}.jsonl`, purpose: 'batch_output' });
+                batch[kind === 'output' ? 'outputFileId' : 'errorFileId'] = file.id;
+            } catch (e) {
+                logger.error('服务器', '保存批处理结果文件失败', { id: batch.id, error: e.message });
+            }
+        }
+
+        const now = Date.now();
+        batch.status = finalStatus;
+        batch[{ completed: 'completedAt', cancelled: 'cancelledAt', expired: 'expiredAt' }[finalStatus]] = now;
+        states.delete(batch.id);
+        await persist(batch);
+
+        logger.info('服务器', `批处理已结束: ${finalStatus}`, { id: batch.id, ...batch.requestCounts });
+        pump();
+    }
+
+    /**
+     * 读取并校验输入文件，通过后开始处理
+     * @param {Batch} batch - 批处理
+     * @returns {Promise<BatchLine[]|null>} 校验失败时返回 null
+     */
+    async function loadInput(batch) {
+        const file = fileStore.get(batch.inputFileId);
+        let result;
+        if (!file) {
+            result = { lines: [], errors: [{ code: 'input_file_not_found', message: `输入文件不存在: ${batch.inputFileId}`, param: 'input_file_id', line: null }] };
+        } else {
+            try {
+                result = parseInputFile(await fs.promises.readFile(file.path, 'utf8'), batch.endpoint, maxRequests);
+            } catch (e) {
+                result = { lines: [], errors: [{ code: 'input_file_unreadable', message: `读取输入文件失败: ${e.message}`, param: 'input_file_id', line: null }] };
+            }
+        }
+
+        if (result.errors.length > 0) {
+            batch.status = 'failed';
+            batch.failedAt = Date.now();
+            batch.errors = result.errors;
+            states.delete(batch.id);
+            await persist(batch);
+            logger.warn('服务器', '批处理输入文件校验失败', { id: batch.id, errors: result.errors.length });
+            return null;
+        }
+        return result.lines;
+    }
+
+    /**
+     * 校验新建的批处理并开始处理
+     * @param {Batch} batch - 批处理
+     */
+    async function validate(batch) {
+        const lines = await loadInput(batch);
+        if (!lines) return;
+
+        const state = createState(lines);
+        states.set(batch.id, state);
+        batch.requestCounts.total = lines.length;
+
+        // 校验期间被取消
+        if (batch.status === 'cancelling') {
+            stop(batch, state, 'cancelled');
+            return;
+        }
+
+        batch.status = 'in_progress';
+        batch.inProgressAt = Date.now();
+        await persist(batch);
+        logger.info('服务器', '批处理开始处理', { id: batch.id, total: lines.length });
+        pump();
+    }
+
+    /**
+     * 恢复上次运行中断的批处理：按结果文件中已有的 custom_id 跳过已完成的请求
+     * @param {Batch} batch - 批处理
+     */
+    async function resume(batch) {
+        if (batch.status === 'validating') {
+            await validate(batch);
+            return;
+        }
+
+        const lines = await loadInput(batch);
+        if (!lines) return;
+
+        const state = createState(lines);
+        states.set(batch.id, state);
+
+        const indexes = new Map(lines.map((line, i) => [line.customId, i]));
+        const counts = { total: lines.length, completed: 0, failed: 0 };
+        for (const kind of ['output', 'error']) {
+            for (const record of await readResultFile(resultPath(batch.id, kind))) {
+                const index = indexes.get(record.custom_id);
+                // 未执行的请求 (取消、过期) 在整理结果时才写入，重新整理时重新写入
+                if (index === undefined || !record.response) continue;
+                state.lineStatus[index] = kind === 'output' ? 'completed' : 'failed';
+                counts[kind === 'output' ? 'completed' : 'failed']++;
+            }
+        }
+        batch.requestCounts = counts;
+
+        if (batch.status === 'cancelling') {
+            stop(batch, state, 'cancelled');
+        } else if (batch.status === 'finalizing') {
+            finalize(batch, state);
+        } else if (batch.expiresAt <= Date.now()) {
+            stop(batch, state, 'expired');
+        } else {
+            logger.info('服务器', '恢复批处理', { id: batch.id, ...counts });
+            pump();
+        }
+    }
+
+    // 恢复上次运行保存的批处理
+    const restored = [];
+    for (const name of fs.readdirSync(dir)) {
+        if (path.extname(name) !== '.json' || !BATCH_ID_PATTERN.test(path.basename(name, '.json'))) continue;
+        try {
+            restored.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+        } catch (e) {
+            logger.warn('服务器', `读取批处理状态失败: ${name}`, { error: e.message });
+        }
+    }
+    restored.sort((a, b) => a.createdAt - b.createdAt);
+    for (const batch of restored) {
+        batches.set(batch.id, batch);
+    }
+
+    /**
+     * 继续处理上次运行未结束的批处理 (在 Pool 初始化完成后调用)
+     */
+    function start() {
+        for (const batch of restored) {
+            if (!ACTIVE_STATUSES.includes(batch.status)) continue;
+            resume(batch).catch(e => logger.error('服务器', '恢复批处理失败', { id: batch.id, error: e.message }));
+        }
+    }
+
+    // 定期检查超过完成时限的批处理
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const batch of batches.values()) {
+            const state = states.get(batch.id);
+            if (state && !state.stopStatus && batch.expiresAt <= now) {
+                logger.warn('服务器', '批处理超过完成时限', { id: batch.id });
+                stop(batch, state, 'expired');
+            }
+        }
+    }, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    /**
+     * 创建批处理
+     * @param {object} params - 批处理参数
+     * @param {string} params.inputFileId - 输入文件 ID
+     * @param {string} params.endpoint - 请求接口 (BATCH_ENDPOINTS 之一)
+     * @param {string} params.completionWindow - 完成时限 (COMPLETION_WINDOWS 之一)
+     * @param {object|null} [params.metadata] - 用户元数据
+     * @returns {Promise<Batch>}
+     */
+    async function create(params) {
+        const { inputFileId, endpoint, completionWindow, metadata = null } = params;
+        const now = Date.now();
+
+        /** @type {Batch} */
+        const batch = {
+            id: 'batch_' + crypto.randomBytes(12).toString('hex'),
+            endpoint,
+            inputFileId,
+            completionWindow,
+            status: 'validating',
+            errors: null,
+            outputFileId: null,
+            errorFileId: null,
+            requestCounts: { total: 0, completed: 0, failed: 0 },
+            metadata,
+            createdAt: now,
+            expiresAt: now + COMPLETION_WINDOWS[completionWindow],
+            inProgressAt: null,
+            finalizingAt: null,
+            completedAt: null,
+            failedAt: null,
+            expiredAt: null,
+            cancellingAt: null,
+            cancelledAt: null
+        };
+        batches.set(batch.id, batch);
+        await persist(batch);
+
+        logger.info('服务器', '批处理已创建', { id: batch.id, endpoint, input: inputFileId });
+        validate(batch).catch(e => logger.error('服务器', '批处理校验失败', { id: batch.id, error: e.message }));
+        return batch;
+    }
+
+    /**
+     * 获取批处理
+     * @param {string} batchId - 批处理 ID
+     * @returns {Batch|null}
+     */
+    function get(batchId) {
+        return batches.get(batchId) || null;
+    }
+
+    /**
+     * 列出批处理 (新的在前)
+     * @param {object} [options] - 分页选项
+     * @param {number} [options.limit=20] - 返回数量
+     * @param {string} [options.after] - 从该批处理之后开始
+     * @returns {{data: Batch[], hasMore: boolean}}
+     */
+    function list({ limit = 20, after } = {}) {
+        let all = [...batches.values()].reverse();
+        if (after) {
+            const index = all.findIndex(b => b.id === after);
+            all = index === -1 ? [] : all.slice(index + 1);
+        }
+        return { data: all.slice(0, limit), hasMore: all.length > limit };
+    }
+
+    /**
+     * 取消批处理，执行中的请求被取消后结束为 cancelled
+     * @param {Batch} batch - 批处理 (状态为 validating 或 in_progress)
+     * @returns {Promise<Batch>}
+     */
+    async function cancel(batch) {
+        batch.status = 'cancelling';
+        batch.cancellingAt = Date.now();
+        await persist(batch);
+        logger.info('服务器', '批处理正在取消', { id: batch.id });
+
+        // 校验中的批处理在校验结束后停止
+        const state = states.get(batch.id);
+        if (state) stop(batch, state, 'cancelled');
+        return batch;
+    }
+
+    /**
+     * 转换为 API 响应对象
+     * @param {Batch} batch - 批处理
+     * @returns {object}
+     */
+    function toJSON(batch) {
+        const seconds = (ms) => ms ? Math.floor(ms / 1000) : null;
+        return {
+            id: batch.id,
+            object: 'batch',
+            endpoint: batch.endpoint,
+            errors: batch.errors ? { object: 'list', data: batch.errors } : null,
+            input_file_id: batch.inputFileId,
+            completion_window: batch.completionWindow,
+            status: batch.status,
+            output_file_id: batch.outputFileId,
+            error_file_id: batch.errorFileId,
+            created_at: seconds(batch.createdAt),
+            in_progress_at: seconds(batch.inProgressAt),
+            expires_at: seconds(batch.expiresAt),
+            finalizing_at: seconds(batch.finalizingAt),
+            completed_at: seconds(batch.completedAt),
+            failed_at: seconds(batch.failedAt),
+            expired_at: seconds(batch.expiredAt),
+            cancelling_at: seconds(batch.cancellingAt),
+            cancelled_at: seconds(batch.cancelledAt),
+            request_counts: { ...batch.requestCounts },
+            metadata: batch.metadata
+        };
+    }
+
+    return {
+        start,
+        create,
+        get,
+        list,
+        cancel,
+        toJSON
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview 会话续接模块
+ * @description 记录网页会话的位置 (Worker、适配器、会话地址)，使后续请求在原会话中继续对话，而不是每次重新发送完整的历史对话
+ *
+ * 会话通过以下两种方式识别：
+ * - 请求携带 conversation_id：始终续接该 ID 最近一次使用的会话
+ * - 未携带时按消息指纹匹配：对历史消息逐条链式求哈希，上一次回复后的指纹与下一次请求的历史指纹一致即视为同一会话。
+ *   指纹只能使用一次，客户端重新生成或编辑历史时历史指纹不再对应原会话的最新状态，自动开启新会话
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/** 过期会话清理间隔 (毫秒) */
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {object} ConversationRequest
+ * @property {string|null} id - 客户端指定的会话 ID
+ * @property {string|null} historyKey - 历史消息指纹 (没有历史消息时为 null)
+ * @property {string} turnKey - 历史消息加本轮输入的指纹
+ * @property {string} prompt - 本轮输入 (续接时代替完整提示词发送)
+ * @property {string[]} imagePaths - 本轮输入中的图片
+ */
+
+/**
+ * @typedef {object} Thread
+ * @property {string} worker - 会话所在的 Worker 名称
+ * @property {string} adapter - 会话所在的适配器类型
+ * @property {string} url - 网页会话地址
+ */
+
+/**
+ * 计算消息指纹：在上一个指纹的基础上追加一条消息
+ * @param {string} key - 上一个指纹 (首条消息为模型 ID)
+ * @param {string} role - 消息角色
+ * @param {string} text - 消息内容 (已规范化)
+ * @returns {string}
+ */
+export function chainKey(key, role, text) {
+    return crypto.createHash('sha256').update(JSON.stringify([key, role, text])).digest('hex');
+}
+
+/**
+ * 规范化消息内容用于计算指纹：拼接文本，图片以链接代替，移除内联的思考过程
+ * @param {string|Array<object>|null} content - 消息内容
+ * @returns {string}
+ */
+export function normalizeContent(content) {
+    let text = '';
+    if (typeof content === 'string') {
+        text = content;
+    } else if (Array.isArray(content)) {
+        text = content.map(item => {
+            if (item.type === 'text') return item.text;
+            if (item.type === 'image_url') return `[image:${item.image_url?.url}]`;
+            return '';
+        }).join('');
+    }
+    return text.replace(/^\s*<think>[\s\S]*?<\/think>/, '').trim();
+}
+
+/**
+ * 创建会话存储
+ * @param {object} options - 存储选项
+ * @param {number} options.ttl - 会话闲置保留时长 (毫秒)
+ */
+export function createConversationStore(options) {
+    const { ttl } = options;
+
+    /** @type {Map<string, {thread: Thread, expiresAt: number}>} */
+    const threads = new Map();
+
+    // 定期清理过期会话
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of threads) {
+            if (entry.expiresAt <= now) threads.delete(key);
+        }
+    }, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    /**
+     * 查找可续接的会话
+     * 按指纹匹配到的会话随即失效，避免同一段历史被续接两次
+     * @param {ConversationRequest|null|undefined} conversation - 请求的会话信息
+     * @returns {Thread|null}
+     */
+    function find(conversation) {
+        const key = getKey(conversation);
+        const thread = peek(conversation);
+        if (thread && !conversation.id) threads.delete(key);
+        return thread;
+    }
+
+    /**
+     * 查找可续接的会话但不使其失效 (供队列按会话所在的 Worker 分配任务)
+     * @param {ConversationRequest|null|undefined} conversation - 请求的会话信息
+     * @returns {Thread|null}
+     */
+    function peek(conversation) {
+        const key = getKey(conversation);
+        if (!key) return null;
+
+        const entry = threads.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            threads.delete(key);
+            return null;
+        }
+        return entry.thread;
+    }
+
+    /**
+     * 会话的存储键
+     * @param {ConversationRequest|null|undefined} conversation - 请求的会话信息
+     * @returns {string|null}
+     */
+    function getKey(conversation) {
+        if (!conversation) return null;
+        return conversation.id ? `id:${conversation.id}` : conversation.historyKey;
+    }
+
+    /**
+     * 记录本轮对话后的会话位置
+     * @param {ConversationRequest|null|undefined} conversation - 请求的会话信息
+     * @param {string} reply - 返回给客户端的回复内容
+     * @param {Thread} thread - 会话位置
+     */
+    function remember(conversation, reply, thread) {
+        if (!conversation || !thread) return;
+        const key = conversation.id
+            ? `id:${conversation.id}`
+            : chainKey(conversation.turnKey, 'assistant', normalizeContent(reply));
+        threads.set(key, { thread, expiresAt: Date.now() + ttl });
+        logger.debug('服务器', '已记录会话位置', { worker: thread.worker, url: thread.url });
+    }
+
+    return {
+        find,
+        peek,
+        remember
+    };
+}
@@ -17,6 +17,35 @@ export const ERROR_TYPES = {
     RATE_LIMIT: 'rate_limit_error',
 };
 
+/**
+ * Anthropic 错误类型 (按 HTTP 状态码映射)
+ * @type {Record<number, string>}
+ */
+const ANTHROPIC_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    503: 'overloaded_error',
+};
+
+/**
+ * Google API 错误状态 (按 HTTP 状态码映射)
+ * @type {Record<number, string>}
+ */
+const GEMINI_ERROR_STATUSES = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    413: 'INVALID_ARGUMENT',
+    429: 'RESOURCE_EXHAUSTED',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED',
+};
+
 /**
  * 错误码枚举
  * @readonly
@@ -29,14 +58,24 @@ export const ERROR_CODES = {
     BROWSER_NOT_INITIALIZED: 'BROWSER_NOT_INITIALIZED',
     /** 服务器繁忙（队列已满） */
     SERVER_BUSY: 'SERVER_BUSY',
+    /** 请求体格式无效或参数错误 */
+    INVALID_REQUEST_BODY: 'INVALID_REQUEST_BODY',
     /** 请求参数缺少 messages */
     NO_MESSAGES: 'NO_MESSAGES',
+    /** 请求参数缺少 prompt */
+    NO_PROMPT: 'NO_PROMPT',
     /** messages 中缺少 role=user 的消息 */
     NO_USER_MESSAGES: 'NO_USER_MESSAGES',
     /** 图片数量超过限制 */
     TOO_MANY_IMAGES: 'TOO_MANY_IMAGES',
+    /** 远程图片下载失败 */
+    IMAGE_FETCH_FAILED: 'IMAGE_FETCH_FAILED',
+    /** 上传内容超过大小限制 */
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
     /** 模型无效/后端不支持 */
     INVALID_MODEL: 'INVALID_MODEL',
+    /** 模型不存在 */
+    MODEL_NOT_FOUND: 'MODEL_NOT_FOUND',
     /** 该模型需要参考图 */
     IMAGE_REQUIRED: 'IMAGE_REQUIRED',
     /** 该模型不支持图片输入 */
@@ -47,6 +86,28 @@ export const ERROR_CODES = {
     INTERNAL_ERROR: 'INTERNAL_ERROR',
     /** 生成失败 */
     GENERATION_FAILED: 'GENERATION_FAILED',
+    /** 任务不存在或已过期 */
+    JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+    /** 任务尚未完成 */
+    JOB_NOT_READY: 'JOB_NOT_READY',
+    /** 媒体文件不存在或已过期 */
+    MEDIA_NOT_FOUND: 'MEDIA_NOT_FOUND',
+    /** 媒体链接签名无效或已过期 */
+    MEDIA_FORBIDDEN: 'MEDIA_FORBIDDEN',
+    /** 幂等键已被请求体不同的请求使用 */
+    IDEMPOTENCY_CONFLICT: 'IDEMPOTENCY_CONFLICT',
+    /** 文件不存在 */
+    FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+    /** 批处理不存在 */
+    BATCH_NOT_FOUND: 'BATCH_NOT_FOUND',
+    /** 批处理已结束，无法取消 */
+    BATCH_NOT_CANCELLABLE: 'BATCH_NOT_CANCELLABLE',
+    /** 队列中不存在该任务 */
+    TASK_NOT_FOUND: 'TASK_NOT_FOUND',
+    /** 任务已被管理员取消 */
+    TASK_CANCELLED: 'TASK_CANCELLED',
+    /** 服务器正在排空队列，暂停接收新任务 */
+    SERVER_DRAINING: 'SERVER_DRAINING',
 };
 
 /**
@@ -69,11 +130,21 @@ const ERROR_DETAILS = {
         status: 429,
         type: ERROR_TYPES.RATE_LIMIT,
     },
+    [ERROR_CODES.INVALID_REQUEST_BODY]: {
+        message: '请求体格式无效或参数错误',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.NO_MESSAGES]: {
         message: '请求参数缺少 messages',
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.NO_PROMPT]: {
+        message: '请求参数缺少 prompt',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.NO_USER_MESSAGES]: {
         message: 'messages 中缺少 role=user 的消息',
         status: 400,
@@ -84,6 +155,16 @@ const ERROR_DETAILS = {
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.IMAGE_FETCH_FAILED]: {
+        message: '远程图片下载失败',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.PAYLOAD_TOO_LARGE]: {
+        message: '上传内容超过大小限制',
+        status: 413,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.INVALID_MODEL]: {
         message: '模型无效/后端不支持',
         status: 400,
@@ -114,6 +195,66 @@ const ERROR_DETAILS = {
         status: 502,
         type: ERROR_TYPES.SERVER_ERROR,
     },
+    [ERROR_CODES.JOB_NOT_FOUND]: {
+        message: '任务不存在或已过期',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.JOB_NOT_READY]: {
+        message: '任务尚未完成',
+        status: 409,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.MODEL_NOT_FOUND]: {
+        message: '模型不存在',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.MEDIA_NOT_FOUND]: {
+        message: '媒体文件不存在或已过期',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.MEDIA_FORBIDDEN]: {
+        message: '媒体链接签名无效或已过期',
+        status: 403,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.IDEMPOTENCY_CONFLICT]: {
+        message: '该 Idempotency-Key 已用于请求体不同的请求',
+        status: 409,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.FILE_NOT_FOUND]: {
+        message: '文件不存在',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.BATCH_NOT_FOUND]: {
+        message: '批处理不存在',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.BATCH_NOT_CANCELLABLE]: {
+        message: '批处理已结束，无法取消',
+        status: 409,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.TASK_NOT_FOUND]: {
+        message: '队列中不存在该任务',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.TASK_CANCELLED]: {
+        message: '任务已被管理员取消',
+        status: 409,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.SERVER_DRAINING]: {
+        message: '服务器正在排空队列，暂停接收新任务',
+        status: 503,
+        type: ERROR_TYPES.SERVER_ERROR,
+    },
 };
 
 /**
@@ -142,3 +283,21 @@ export function getErrorStatus(code) {
 export function getErrorDetails(code) {
     return ERROR_DETAILS[code] || { message: '未知错误', status: 500 };
 }
+
+/**
+ * 获取 Anthropic 格式的错误类型
+ * @param {number} status - HTTP 状态码
+ * @returns {string} Anthropic 错误类型
+ */
+export function getAnthropicErrorType(status) {
+    return ANTHROPIC_ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error');
+}
+
+/**
+ * 获取 Google API 格式的错误状态
+ * @param {number} status - HTTP 状态码
+ * @returns {string} Google RPC 状态名
+ */
+export function getGeminiErrorStatus(status) {
+    return GEMINI_ERROR_STATUSES[status] || (status >= 500 ? 'INTERNAL' : 'INVALID_ARGUMENT');
+}
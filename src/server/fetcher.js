@@ -0,0 +1,250 @@
+/**
+ * @fileoverview 远程图片下载模块
+ * @description 下载请求中 http(s) 链接形式的参考图，限制大小、超时与重定向次数，并阻止访问内网地址 (SSRF)
+ */
+
+import net from 'net';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {object} RemoteImageOptions
+ * @property {number} maxSize - 最大字节数
+ * @property {number} timeout - 总超时 (毫秒)，包含重定向
+ * @property {number} maxRedirects - 最大重定向次数
+ * @property {string[]} [allowlist=[]] - 允许访问的内网主机名、IP 或 CIDR
+ */
+
+/**
+ * 禁止访问的地址段：回环、内网、链路本地、CGNAT、保留及组播地址
+ */
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+]) {
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+]) {
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * 图片文件头特征 (按字节偏移匹配)
+ * @type {{mimeType: string, offset: number, bytes: number[]}[]}
+ */
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+    { mimeType: 'image/bmp', offset: 0, bytes: [0x42, 0x4d] },
+    { mimeType: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { mimeType: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { mimeType: 'image/avif', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] }
+];
+
+/**
+ * 构造下载错误
+ * @param {string} message - 错误消息
+ * @returns {Error}
+ */
+function fetchError(message) {
+    const err = new Error(message);
+    err.code = ERROR_CODES.IMAGE_FETCH_FAILED;
+    return err;
+}
+
+/**
+ * 根据文件头识别图片类型 (不信任服务器返回的 Content-Type)
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null} MIME 类型，无法识别时返回 null
+ */
+function sniffImageType(buffer) {
+    for (const { mimeType, offset, bytes } of IMAGE_SIGNATURES) {
+        if (buffer.length < offset + bytes.length) continue;
+        if (bytes.every((b, i) => buffer[offset + i] === b)) {
+            return mimeType;
+        }
+    }
+    return null;
+}
+
+/**
+ * 创建地址白名单匹配函数
+ * @param {string[]} allowlist - 主机名、IP 或 CIDR 列表
+ * @returns {{host: (hostname: string) => boolean, address: (ip: string) => boolean}}
+ */
+function createAllowlist(allowlist) {
+    const hosts = new Set();
+    const ranges = new net.BlockList();
+
+    for (const entry of allowlist) {
+        const [address, prefix] = String(entry).trim().toLowerCase().split('/');
+        const family = net.isIP(address);
+        if (!family) {
+            hosts.add(address);
+        } else if (prefix !== undefined) {
+            ranges.addSubnet(address, Number(prefix), family === 6 ? 'ipv6' : 'ipv4');
+        } else {
+            ranges.addAddress(address, family === 6 ? 'ipv6' : 'ipv4');
+        }
+    }
+
+    return {
+        host: (hostname) => hosts.has(hostname.toLowerCase()),
+        address: (ip) => ranges.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4')
+    };
+}
+
+/**
+ * 判断 IP 是否属于禁止访问的地址段
+ * @param {string} ip - IP 地址
+ * @returns {boolean}
+ */
+function isBlockedAddress(ip) {
+    // IPv4 映射的 IPv6 地址 (::ffff:127.0.0.1) 按 IPv4 判断
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+    return BLOCKED_RANGES.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 发起单次 GET 请求 (不跟随重定向)
+ * 在连接阶段校验解析出的 IP，避免 DNS 重绑定绕过检查
+ * @param {URL} url - 请求地址
+ * @param {object} options - 请求选项
+ * @param {number} options.maxSize - 最大字节数
+ * @param {AbortSignal} options.signal - 取消信号
+ * @param {ReturnType<typeof createAllowlist>} options.allow - 白名单
+ * @returns {Promise<{status: number, location?: string, buffer?: Buffer}>}
+ */
+function request(url, options) {
+    const { maxSize, signal, allow } = options;
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const trusted = allow.host(hostname);
+
+    const lookup = (host, lookupOptions, callback) => {
+        dns.lookup(host, lookupOptions, (err, address, family) => {
+            if (err) return callback(err);
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(a => isBlockedAddress(a.address) && !allow.address(a.address));
+            if (blocked && !trusted) {
+                return callback(fetchError(`禁止访问内网地址: ${blocked.address}`));
+            }
+            callback(null, address, family);
+        });
+    };
+
+    return new Promise((resolve, reject) => {
+        // IP 字面量不会经过 lookup，需要提前校验
+        if (net.isIP(hostname) && isBlockedAddress(hostname) && !trusted && !allow.address(hostname)) {
+            reject(fetchError(`禁止访问内网地址: ${hostname}`));
+            return;
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            lookup,
+            signal,
+            headers: { 'Accept': 'image/*', 'User-Agent': 'Mozilla/5.0' }
+        }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                resolve({ status: res.statusCode, location: res.headers.location });
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(fetchError(`HTTP ${res.statusCode}`));
+                return;
+            }
+
+            const declared = Number(res.headers['content-length']);
+            if (declared > maxSize) {
+                res.destroy();
+                reject(fetchError(`图片超过大小限制（最大 ${Math.floor(maxSize / 1024 / 1024)} MB）`));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxSize) {
+                    res.destroy();
+                    reject(fetchError(`图片超过大小限制（最大 ${Math.floor(maxSize / 1024 / 1024)} MB）`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ status: 200, buffer: Buffer.concat(chunks) }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 下载远程图片
+ * @param {string} rawUrl - http(s) 图片地址
+ * @param {RemoteImageOptions} options - 下载选项
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ * @throws {Error} 下载失败时抛出，err.code 为 IMAGE_FETCH_FAILED
+ */
+export async function fetchRemoteImage(rawUrl, options) {
+    const { maxSize, timeout, maxRedirects, allowlist = [] } = options;
+    const allow = createAllowlist(allowlist);
+    const signal = AbortSignal.timeout(timeout);
+
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (e) {
+        throw fetchError('无效的图片链接');
+    }
+
+    try {
+        for (let redirects = 0; ; redirects++) {
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw fetchError(`不支持的协议: ${url.protocol}`);
+            }
+
+            const result = await request(url, { maxSize, signal, allow });
+            if (!result.location) {
+                const mimeType = sniffImageType(result.buffer);
+                if (!mimeType) {
+                    throw fetchError('链接内容不是有效的图片');
+                }
+                return { buffer: result.buffer, mimeType };
+            }
+
+            if (redirects >= maxRedirects) {
+                throw fetchError(`重定向次数超过限制（最多 ${maxRedirects} 次）`);
+            }
+            url = new URL(result.location, url);
+        }
+    } catch (err) {
+        if (err.code === ERROR_CODES.IMAGE_FETCH_FAILED) throw err;
+        if (signal.aborted) {
+            throw fetchError(`下载超时（${Math.round(timeout / 1000)} 秒）`);
+        }
+        throw fetchError(err.message);
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview 文件存储模块
+ * @description 实现 /v1/files：保存上传的批处理输入文件及批处理生成的结果文件，元数据与文件一同持久化，重启后仍可访问
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/** 文件 ID 格式 (同时作为文件名，防止路径穿越) */
+const FILE_ID_PATTERN = /^file-[0-9a-f]{24}$/;
+
+/**
+ * @typedef {object} StoredFile
+ * @property {string} id - 文件 ID
+ * @property {string} filename - 文件名
+ * @property {'batch'|'batch_output'} purpose - 用途 (batch: 上传的批处理输入，batch_output: 批处理结果)
+ * @property {number} bytes - 文件大小 (字节)
+ * @property {number} createdAt - 创建时间 (毫秒)
+ * @property {string} path - 文件路径
+ */
+
+/**
+ * 创建文件存储
+ * @param {object} options - 存储选项
+ * @param {string} options.dir - 存储目录，每个文件保存为 {id}.jsonl 及元数据 {id}.json
+ */
+export function createFileStore(options) {
+    const { dir } = options;
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /** @type {Map<string, StoredFile>} */
+    const files = new Map();
+
+    // 恢复上次运行保存的文件，缺少内容或元数据的文件直接删除
+    for (const name of fs.readdirSync(dir)) {
+        if (path.extname(name) !== '.json') continue;
+        const id = path.basename(name, '.json');
+        const metaPath = path.join(dir, name);
+        const filePath = path.join(dir, `${id}.jsonl`);
+        try {
+            if (!FILE_ID_PATTERN.test(id) || !fs.existsSync(filePath)) {
+                fs.unlinkSync(metaPath);
+                continue;
+            }
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            files.set(id, { ...meta, id, path: filePath });
+        } catch (e) {
+            logger.warn('服务器', `读取文件元数据失败: ${name}`, { error: e.message });
+        }
+    }
+    for (const name of fs.readdirSync(dir)) {
+        const id = path.basename(name, path.extname(name));
+        if (path.extname(name) === '.jsonl' && !files.has(id)) {
+            try { fs.unlinkSync(path.join(dir, name)); } catch (e) { /* ignore */ }
+        }
+    }
+
+    /**
+     * 移入文件并保存元数据
+     * @param {string} srcPath - 源文件路径 (移动后源文件不再存在)
+     * @param {object} meta - 文件信息
+     * @param {string} meta.filename - 文件名
+     * @param {StoredFile['purpose']} meta.purpose - 用途
+     * @returns {Promise<StoredFile>}
+     */
+    async function add(srcPath, meta) {
+        const id = 'file-' + crypto.randomBytes(12).toString('hex');
+        const filePath = path.join(dir, `${id}.jsonl`);
+        try {
+            await fs.promises.rename(srcPath, filePath);
+        } catch (e) {
+            // 跨设备时改为复制
+            await fs.promises.copyFile(srcPath, filePath);
+            await fs.promises.unlink(srcPath).catch(() => { });
+        }
+
+        const { size } = await fs.promises.stat(filePath);
+        /** @type {StoredFile} */
+        const file = { id, filename: meta.filename, purpose: meta.purpose, bytes: size, createdAt: Date.now(), path: filePath };
+        const { path: _, ...stored } = file;
+        await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(stored));
+        files.set(id, file);
+        logger.debug('服务器', '文件已保存', { id, bytes: size });
+        return file;
+    }
+
+    /**
+     * 获取文件
+     * @param {string} id - 文件 ID
+     * @returns {StoredFile|null}
+     */
+    function get(id) {
+        return files.get(id) || null;
+    }
+
+    /**
+     * 列出文件 (新的在前)
+     * @param {string} [purpose] - 按用途过滤
+     * @returns {StoredFile[]}
+     */
+    function list(purpose) {
+        return [...files.values()]
+            .filter(f => !purpose || f.purpose === purpose)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * 删除文件
+     * @param {string} id - 文件 ID
+     * @returns {boolean} 文件不存在时返回 false
+     */
+    function remove(id) {
+        const file = files.get(id);
+        if (!file) return false;
+        files.delete(id);
+        fs.promises.unlink(file.path).catch(() => { });
+        fs.promises.unlink(path.join(dir, `${id}.json`)).catch(() => { });
+        return true;
+    }
+
+    /**
+     * 转换为 API 响应对象
+     * @param {StoredFile} file - 文件
+     * @returns {object}
+     */
+    function toJSON(file) {
+        return {
+            id: file.id,
+            object: 'file',
+            bytes: file.bytes,
+            created_at: Math.floor(file.createdAt / 1000),
+            filename: file.filename,
+            purpose: file.purpose
+        };
+    }
+
+    return {
+        add,
+        get,
+        list,
+        remove,
+        toJSON
+    };
+}
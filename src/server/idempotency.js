@@ -0,0 +1,294 @@
+/**
+ * @fileoverview 幂等请求模块
+ * @description 按请求头 Idempotency-Key 合并重复请求：执行中的重复请求挂接到原任务的响应，已完成的请求在保留期内直接回放响应
+ *
+ * 任务写入的是一个记录响应，由它转发给所有挂接的客户端并保存响应内容，因此：
+ * - 记录与具体的 Worker 无关，Pool 故障转移到其他 Worker 后结果照常记录
+ * - 客户端断开不会取消任务 (重试时需要回放结果)，所有客户端都断开后任务仍执行完毕
+ * - 失败的响应 (4xx/5xx 或流式错误事件) 不保存，重试时重新执行 (例如 429 排队已满时按 Retry-After 重试)
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+/** 过期记录清理间隔 (毫秒) */
+const SWEEP_INTERVAL = 60 * 1000;
+
+/** 幂等键最大长度 */
+const MAX_KEY_LENGTH = 255;
+
+/** 流式错误事件前缀 (见 sendApiError) */
+const SSE_ERROR_PREFIX = 'data: {"error":';
+
+/**
+ * @typedef {object} IdempotencyEntry
+ * @property {string} fingerprint - 请求指纹 (接口路径 + 请求体)
+ * @property {ReturnType<typeof createResponseRecorder>} recorder - 记录响应
+ * @property {number} expiresAt - 过期时间 (执行中为 Infinity)
+ */
+
+/**
+ * 计算请求指纹，同一幂等键的请求指纹不一致时视为冲突
+ * @param {string} pathname - 接口路径
+ * @param {...(string|Buffer)} parts - 请求内容 (请求体、表单字段、上传文件等)
+ * @returns {string}
+ */
+export function requestFingerprint(pathname, ...parts) {
+    const hash = crypto.createHash('sha256').update(pathname);
+    for (const part of parts) {
+        hash.update('\0').update(part);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * 流式计算文件的 sha256 摘要，用于上传文件的请求指纹 (不将文件读入内存)
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>}
+ */
+export async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * 创建记录响应：实现队列及响应函数用到的 ServerResponse 接口，写入内容转发给所有挂接的客户端并保存
+ * @returns {EventEmitter & object}
+ */
+function createResponseRecorder() {
+    const recorder = new EventEmitter();
+
+    /** @type {Map<import('http').ServerResponse, boolean>} 挂接的客户端 -> 是否为重复请求 */
+    const clients = new Map();
+
+    /** @type {string[]} */
+    const chunks = [];
+
+    let statusCode = null;
+    let headers = {};
+
+    /**
+     * 生成发送给客户端的响应头 (重复请求附加 Idempotent-Replayed)
+     * @param {boolean} replayed - 是否为重复请求
+     */
+    const clientHeaders = (replayed) => replayed ? { ...headers, 'Idempotent-Replayed': 'true' } : headers;
+
+    /**
+     * 向所有挂接的客户端执行操作，跳过已断开的客户端
+     * @param {(res: import('http').ServerResponse, replayed: boolean) => void} fn - 操作
+     */
+    const forEachClient = (fn) => {
+        for (const [res, replayed] of clients) {
+            if (res.writableEnded || res.destroyed) continue;
+            fn(res, replayed);
+        }
+    };
+
+    Object.assign(recorder, {
+        headersSent: false,
+        writableEnded: false,
+        destroyed: false,
+        /** 已保存内容的字节数 */
+        size: 0,
+        /** 是否写出了错误响应 */
+        failed: false,
+
+        /**
+         * 挂接客户端：先补发已记录的内容，再接收后续写入
+         * @param {import('http').ServerResponse} res - 客户端响应
+         * @param {boolean} replayed - 是否为重复请求
+         */
+        attach(res, replayed) {
+            if (recorder.headersSent) {
+                res.writeHead(statusCode, clientHeaders(replayed));
+            }
+            for (const chunk of chunks) {
+                res.write(chunk);
+            }
+            if (recorder.writableEnded) {
+                res.end();
+                return;
+            }
+            clients.set(res, replayed);
+            res.on('close', () => clients.delete(res));
+        },
+
+        setHeader(name, value) {
+            headers[name] = value;
+        },
+
+        writeHead(status, extraHeaders = {}) {
+            if (recorder.headersSent) return recorder;
+            statusCode = status;
+            headers = { ...headers, ...extraHeaders };
+            recorder.headersSent = true;
+            if (status >= 400) recorder.failed = true;
+            forEachClient((res, replayed) => res.writeHead(status, clientHeaders(replayed)));
+            return recorder;
+        },
+
+        write(chunk) {
+            if (recorder.writableEnded) return false;
+            if (!recorder.headersSent) recorder.writeHead(200);
+            const text = String(chunk);
+            if (text.startsWith(SSE_ERROR_PREFIX)) recorder.failed = true;
+            // 心跳只转发不保存
+            if (!text.startsWith(':')) {
+                chunks.push(text);
+                recorder.size += Buffer.byteLength(text);
+            }
+            forEachClient(res => res.write(text));
+            return true;
+        },
+
+        end(chunk) {
+            if (recorder.writableEnded) return recorder;
+            if (chunk !== undefined) recorder.write(chunk);
+            if (!recorder.headersSent) recorder.writeHead(200);
+            recorder.writableEnded = true;
+            forEachClient(res => res.end());
+            clients.clear();
+            recorder.emit('finish');
+            recorder.emit('close');
+            return recorder;
+        }
+    });
+
+    return recorder;
+}
+
+/**
+ * 创建幂等请求存储
+ * @param {object} options - 存储选项
+ * @param {number} options.ttl - 已完成请求的响应保留时长 (毫秒)
+ * @param {number} options.maxEntries - 最多保留的请求数
+ * @param {number} options.maxSize - 已保存响应的总大小上限 (字节)
+ */
+export function createIdempotencyStore(options) {
+    const { ttl, maxEntries, maxSize } = options;
+
+    /** @type {Map<string, IdempotencyEntry>} 按创建顺序排列 */
+    const entries = new Map();
+
+    /** @type {number} 已完成请求的响应总大小 */
+    let totalSize = 0;
+
+    /**
+     * 删除记录
+     * @param {string} key - 幂等键
+     */
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        if (entry.recorder.writableEnded) totalSize -= entry.recorder.size;
+    }
+
+    /**
+     * 超出数量或大小上限时，从最早的已完成记录开始淘汰 (执行中的记录不淘汰)
+     */
+    function evict() {
+        for (const [key, entry] of entries) {
+            if (entries.size <= maxEntries && totalSize <= maxSize) return;
+            if (entry.recorder.writableEnded) remove(key);
+        }
+    }
+
+    // 定期清理过期记录
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) remove(key);
+        }
+    }, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    /**
+     * 校验幂等键
+     * @param {string} key - 请求头 Idempotency-Key
+     * @returns {string|null} 错误信息
+     */
+    function validateKey(key) {
+        if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+            return `Idempotency-Key 长度应为 1-${MAX_KEY_LENGTH} 个字符`;
+        }
+        return null;
+    }
+
+    /**
+     * 认领幂等键
+     * - 首次出现：返回记录响应，调用方以它代替原响应交给队列
+     * - 重复请求：挂接到执行中的任务或回放已保存的响应，返回 attached
+     * - 请求指纹不一致：返回 conflict
+     * @param {string} key - 幂等键
+     * @param {string} fingerprint - 请求指纹
+     * @param {import('http').ServerResponse} res - 客户端响应
+     * @returns {{res: object}|{attached: true}|{conflict: true}}
+     */
+    function claim(key, fingerprint, res) {
+        const existing = entries.get(key);
+        if (existing && existing.expiresAt > Date.now()) {
+            if (existing.fingerprint !== fingerprint) {
+                return { conflict: true };
+            }
+            existing.recorder.attach(res, true);
+            return { attached: true };
+        }
+        remove(key);
+
+        const recorder = createEntry(key, fingerprint);
+        recorder.attach(res, false);
+        return { res: recorder };
+    }
+
+    /**
+     * 为服务重启前执行中的请求重新认领幂等键 (见 queue.js 的 recover)
+     * 返回的记录响应暂无挂接的客户端，客户端以相同的键重试时挂接到任务或回放结果
+     * @param {string} key - 幂等键
+     * @param {string} fingerprint - 请求指纹
+     * @returns {object|null} 幂等键已被认领时返回 null
+     */
+    function restore(key, fingerprint) {
+        if (entries.has(key)) return null;
+        return createEntry(key, fingerprint);
+    }
+
+    /**
+     * 创建执行中的记录
+     * @param {string} key - 幂等键
+     * @param {string} fingerprint - 请求指纹
+     * @returns {ReturnType<typeof createResponseRecorder>}
+     */
+    function createEntry(key, fingerprint) {
+        const recorder = createResponseRecorder();
+        // 随任务持久化，重启后据此重新认领
+        recorder.idempotency = { key, fingerprint };
+        const entry = { fingerprint, recorder, expiresAt: Infinity };
+        entries.set(key, entry);
+
+        // 成功的响应保留 ttl，失败的响应不保存，重试时重新执行
+        recorder.on('finish', () => {
+            if (entries.get(key) !== entry) return;
+            if (recorder.failed) {
+                entries.delete(key);
+                return;
+            }
+            entry.expiresAt = Date.now() + ttl;
+            totalSize += recorder.size;
+            evict();
+        });
+
+        evict();
+        return recorder;
+    }
+
+    return {
+        validateKey,
+        claim,
+        restore
+    };
+}
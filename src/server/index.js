@@ -3,18 +3,38 @@
  * @description 导出服务器相关模块
  */
 
-export { ERROR_CODES, getErrorMessage, getErrorStatus, getErrorDetails } from './errors.js';
+export { ERROR_CODES, getErrorMessage, getErrorStatus, getErrorDetails, getAnthropicErrorType, getGeminiErrorStatus } from './errors.js';
 export {
     sendJson,
     sendSse,
     sendSseDone,
     sendHeartbeat,
+    sendQueueUpdate,
     sendApiError,
+    buildAnnotations,
     buildChatCompletion,
-    buildChatCompletionChunk
+    buildChatCompletionChoices,
+    buildChatCompletionChunk,
+    buildToolCallsChunk,
+    buildImagesResponse,
+    sendSseEvent,
+    sendAnthropicError,
+    buildAnthropicMessage,
+    sendGeminiError,
+    buildGeminiResponse
 } from './respond.js';
 export { createQueueManager } from './queue.js';
-export { parseRequest } from './api/openai/parse.js';
+export { createJobManager } from './jobs.js';
+export { createMediaStore } from './mediaStore.js';
+export { createConversationStore } from './conversations.js';
+export { createIdempotencyStore } from './idempotency.js';
+export { createPriorityResolver, PRIORITIES } from './priority.js';
+export { createTaskStore } from './taskStore.js';
+export { createFileStore } from './fileStore.js';
+export { createBatchManager } from './batches.js';
+export { parseRequest, parseImageGenerationRequest, checkImagePolicy } from './api/openai/parse.js';
+export { parseMessagesRequest } from './api/anthropic/parse.js';
+export { parseGenerateContentRequest } from './api/gemini/parse.js';
 export { createGlobalRouter } from './api/index.js';
 export { createAuthMiddleware } from './middlewares/auth.js';
 
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview 异步任务管理模块
+ * @description 为视频等长耗时生成提供提交/轮询接口，任务与客户端连接解耦，结果按 TTL 保留
+ * 开启任务持久化时任务状态保存在任务存储中，服务重启后未完成的任务重新入队，已完成的结果仍可查询
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { resolveImageData, getExtension } from './media.js';
+
+/** 过期任务清理间隔 (毫秒) */
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {object} Job
+ * @property {string} id - 任务 ID
+ * @property {'queued'|'in_progress'|'completed'|'failed'} status - 任务状态
+ * @property {number} progress - 进度 (0-100)
+ * @property {string} model - 模型名称
+ * @property {number} createdAt - 创建时间 (毫秒)
+ * @property {number|null} completedAt - 结束时间 (毫秒)
+ * @property {number|null} expiresAt - 过期时间 (毫秒)，结束后才开始计时
+ * @property {{path: string, mimeType: string, size: number}|null} file - 结果文件
+ * @property {string|null} error - 失败原因
+ */
+
+/**
+ * 创建异步任务管理器
+ * @param {object} options - 管理器选项
+ * @param {ReturnType<import('./queue.js').createQueueManager>} options.queueManager - 队列管理器
+ * @param {string} options.tempDir - 临时目录，结果文件存放在其下的 jobs 子目录
+ * @param {number} options.ttl - 结果保留时长 (毫秒)
+ * @param {ReturnType<import('./taskStore.js').createTaskStore>} [options.taskStore] - 任务存储 (未开启持久化时为空)
+ */
+export function createJobManager(options) {
+    const { queueManager, tempDir, ttl, taskStore } = options;
+
+    // 独立子目录，避免被管理面板的「清理临时文件」误删
+    const jobsDir = path.join(tempDir, 'jobs');
+    if (!fs.existsSync(jobsDir)) {
+        fs.mkdirSync(jobsDir, { recursive: true });
+    }
+
+    /** @type {Map<string, Job>} */
+    const jobs = new Map();
+
+    // 恢复上次运行保存的任务：未完成的任务等待队列重新关联 (见 resume)，队列中已没有对应任务的标记为失败
+    const now = Date.now();
+    for (const job of taskStore?.listJobs() || []) {
+        if (job.expiresAt && job.expiresAt <= now) {
+            taskStore.removeJob(job.id);
+            continue;
+        }
+        if (job.status === 'queued' || job.status === 'in_progress') {
+            Object.assign(job, { status: 'queued', progress: 0 });
+            if (!taskStore.hasTask(job.id)) {
+                finishJob(job, { error: '服务重启时任务已丢失' });
+            }
+        }
+        jobs.set(job.id, job);
+    }
+
+    // 没有对应任务的结果文件 (过期或上次运行未保存的任务) 启动时清除
+    const resultFiles = new Set([...jobs.values()].map(job => job.file && path.basename(job.file.path)));
+    for (const file of fs.readdirSync(jobsDir)) {
+        if (resultFiles.has(file)) continue;
+        try { fs.unlinkSync(path.join(jobsDir, file)); } catch (e) { /* ignore */ }
+    }
+
+    /**
+     * 将生成结果写入结果文件
+     * @param {string} jobId - 任务 ID
+     * @param {{text?: string, image?: string}} result - 生成结果
+     * @returns {Promise<{path: string, mimeType: string, size: number}>}
+     */
+    async function saveResult(jobId, result) {
+        let mimeType;
+        let buffer;
+        if (result.image) {
+            const media = await resolveImageData(result.image);
+            mimeType = media.mimeType;
+            buffer = Buffer.from(media.data, 'base64');
+        } else {
+            mimeType = 'text/plain';
+            buffer = Buffer.from(result.text || '', 'utf8');
+        }
+
+        const filePath = path.join(jobsDir, `${jobId}${getExtension(mimeType)}`);
+        await fs.promises.writeFile(filePath, buffer);
+        return { path: filePath, mimeType, size: buffer.length };
+    }
+
+    /**
+     * 删除任务及其结果文件
+     * @param {Job} job - 任务
+     */
+    function removeJob(job) {
+        jobs.delete(job.id);
+        taskStore?.removeJob(job.id);
+        if (job.file) {
+            fs.promises.unlink(job.file.path).catch(() => { });
+        }
+    }
+
+    // 定期清理过期任务
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const job of jobs.values()) {
+            if (job.expiresAt && job.expiresAt <= now) {
+                logger.debug('服务器', '任务结果已过期', { id: job.id });
+                removeJob(job);
+            }
+        }
+    }, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    /**
+     * 记录任务结束并开始计算结果保留时长
+     * @param {Job} job - 任务
+     * @param {{error?: string}} [failure] - 失败时的错误信息
+     */
+    function finishJob(job, failure) {
+        if (failure) {
+            job.status = 'failed';
+            job.error = failure.error;
+        }
+        job.completedAt = Date.now();
+        job.expiresAt = job.completedAt + ttl;
+        taskStore?.saveJob(job);
+    }
+
+    /**
+     * 创建任务对应的队列任务，进度及结果通过回调写回任务
+     * @param {Job} job - 任务
+     * @param {object} params - 队列任务参数 (提示词、模型、尺寸、优先级等)
+     * @returns {import('./queue.js').TaskContext}
+     */
+    function createQueueTask(job, params) {
+        return {
+            ...params,
+            req: null,
+            res: null,
+            id: job.id,
+            isStreaming: false,
+            apiFormat: 'job',
+            onStart() {
+                job.status = 'in_progress';
+                taskStore?.saveJob(job);
+            },
+            onProgress(progress) {
+                // 进度只增不减，且在完成前不显示 100
+                job.progress = Math.max(job.progress, Math.min(99, Math.round(progress)));
+            },
+            async onComplete(result) {
+                try {
+                    if (result.error) {
+                        finishJob(job, { error: result.error });
+                        logger.warn('服务器', '异步任务失败', { id: job.id, error: result.error });
+                        return;
+                    }
+                    job.file = await saveResult(job.id, result);
+                    job.status = 'completed';
+                    job.progress = 100;
+                    finishJob(job);
+                    logger.info('服务器', '异步任务已完成', { id: job.id, size: job.file.size });
+                } catch (err) {
+                    finishJob(job, { error: `保存结果失败: ${err.message}` });
+                    logger.error('服务器', '保存任务结果失败', { id: job.id, error: err.message });
+                }
+            }
+        };
+    }
+
+    /**
+     * 提交任务
+     * 任务不占用非流式限流名额，由队列按顺序处理
+     * @param {object} params - 任务参数
+     * @param {string} params.prompt - 提示词
+     * @param {string[]} params.imagePaths - 参考图路径
+     * @param {string} params.modelId - 模型 ID
+     * @param {string} params.modelName - 模型名称
+     * @param {import('./sizes.js').ImageSize|null} [params.size] - 映射后的尺寸
+     * @param {'high'|'normal'|'low'} [params.priority] - 优先级
+     * @param {string} [params.owner] - 调用方
+     * @param {number} [params.weight] - 调用方的调度权重
+     * @returns {Job}
+     */
+    function submit(params) {
+        const { prompt, imagePaths, modelId, modelName, size = null, priority, owner, weight } = params;
+        const jobId = 'job_' + crypto.randomBytes(12).toString('hex');
+
+        /** @type {Job} */
+        const job = {
+            id: jobId,
+            status: 'queued',
+            progress: 0,
+            model: modelName,
+            createdAt: Date.now(),
+            completedAt: null,
+            expiresAt: null,
+            file: null,
+            error: null
+        };
+        jobs.set(jobId, job);
+        taskStore?.saveJob(job);
+
+        queueManager.addTask(createQueueTask(job, { prompt, imagePaths, modelId, modelName, size, priority, owner, weight }));
+
+        return job;
+    }
+
+    /**
+     * 重新关联服务重启前未完成的任务 (由队列恢复时调用)
+     * @param {import('./queue.js').TaskContext} task - 从任务存储恢复的队列任务
+     * @returns {import('./queue.js').TaskContext|null} 附带回调的队列任务，任务不存在或已结束时返回 null
+     */
+    function resume(task) {
+        const job = jobs.get(task.id);
+        if (!job || job.status !== 'queued') return null;
+        const { req, res, id, isStreaming, apiFormat, ...params } = task;
+        return createQueueTask(job, params);
+    }
+
+    /**
+     * 将服务重启前连接已断开、无法直接回复的非流式请求转为异步任务 (由队列恢复时调用)
+     * 任务 ID 沿用请求 ID，结果按单次生成保存，可通过 /v1/jobs/{请求 ID} 查询
+     * @param {import('./queue.js').TaskContext} task - 从任务存储恢复的队列任务
+     * @returns {import('./queue.js').TaskContext} 附带回调的队列任务
+     */
+    function adopt(task) {
+        const { req, res, id, isStreaming, apiFormat, ...params } = task;
+
+        /** @type {Job} */
+        const job = {
+            id,
+            status: 'queued',
+            progress: 0,
+            model: params.modelName,
+            createdAt: Date.now(),
+            completedAt: null,
+            expiresAt: null,
+            file: null,
+            error: null
+        };
+        jobs.set(id, job);
+        taskStore?.saveJob(job);
+
+        return createQueueTask(job, params);
+    }
+
+    /**
+     * 获取任务
+     * @param {string} jobId - 任务 ID
+     * @returns {Job|null}
+     */
+    function get(jobId) {
+        const job = jobs.get(jobId);
+        if (!job) return null;
+        if (job.expiresAt && job.expiresAt <= Date.now()) {
+            removeJob(job);
+            return null;
+        }
+        return job;
+    }
+
+    /**
+     * 转换为 API 响应对象
+     * @param {Job} job - 任务
+     * @returns {object}
+     */
+    function toJSON(job) {
+        const body = {
+            id: job.id,
+            object: 'job',
+            status: job.status,
+            progress: job.progress,
+            model: job.model,
+            created_at: Math.floor(job.createdAt / 1000),
+            completed_at: job.completedAt ? Math.floor(job.completedAt / 1000) : null,
+            expires_at: job.expiresAt ? Math.floor(job.expiresAt / 1000) : null
+        };
+        if (job.file) {
+            body.result = {
+                url: `/v1/jobs/${job.id}/content`,
+                mime_type: job.file.mimeType,
+                size: job.file.size
+            };
+        }
+        if (job.error) {
+            body.error = { message: job.error };
+        }
+        return body;
+    }
+
+    return {
+        submit,
+        resume,
+        adopt,
+        get,
+        toJSON
+    };
+}
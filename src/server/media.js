@@ -0,0 +1,56 @@
+/**
+ * @fileoverview 媒体结果处理模块
+ * @description 将适配器返回的媒体结果 (data URI 或远程 URL) 统一转换为二进制数据
+ */
+
+/** MIME 类型与文件扩展名的对应关系 */
+const EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'text/plain': '.txt'
+};
+
+/**
+ * 获取媒体结果的 MIME 类型和 Base64 数据
+ * @param {string} image - data URI 或远程 URL
+ * @returns {Promise<{mimeType: string, data: string}>}
+ */
+export async function resolveImageData(image) {
+    if (image.startsWith('data:')) {
+        const sep = image.indexOf(',');
+        const mimeType = image.slice(5, sep).split(';')[0] || 'image/png';
+        return { mimeType, data: image.slice(sep + 1) };
+    }
+
+    // 远程 URL (如 lmarena returnUrl)，下载后转为 Base64
+    const response = await fetch(image);
+    if (!response.ok) {
+        throw new Error(`下载图片失败: HTTP ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const mimeType = (response.headers.get('content-type') || 'image/png').split(';')[0].trim();
+    return { mimeType, data: buffer.toString('base64') };
+}
+
+/**
+ * 根据 MIME 类型获取文件扩展名
+ * @param {string} mimeType - MIME 类型
+ * @returns {string} 扩展名 (含点号)
+ */
+export function getExtension(mimeType) {
+    return EXTENSIONS[mimeType] || '.bin';
+}
+
+/**
+ * 根据文件扩展名获取 MIME 类型
+ * @param {string} ext - 扩展名 (含点号)
+ * @returns {string} MIME 类型
+ */
+export function getMimeType(ext) {
+    const entry = Object.entries(EXTENSIONS).find(([, value]) => value === ext.toLowerCase());
+    return entry ? entry[0] : 'application/octet-stream';
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview 媒体文件存储模块
+ * @description 将生成的图片/视频保存到本地，通过 /v1/media/{id} 以签名链接提供下载，过期文件由定时任务清理
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { resolveImageData, getExtension, getMimeType } from './media.js';
+
+/** 过期文件清理间隔 (毫秒) */
+const SWEEP_INTERVAL = 60 * 1000;
+
+/** 媒体 ID 格式 (同时作为文件名，防止路径穿越) */
+const MEDIA_ID_PATTERN = /^media_[0-9a-f]{24}$/;
+
+/**
+ * @typedef {object} MediaFile
+ * @property {string} id - 媒体 ID
+ * @property {string} path - 文件路径
+ * @property {string} mimeType - MIME 类型
+ * @property {number} size - 文件大小 (字节)
+ * @property {number} expiresAt - 过期时间 (毫秒)
+ */
+
+/**
+ * 创建媒体存储
+ * @param {object} options - 存储选项
+ * @param {string} options.dir - 存储目录
+ * @param {number} options.ttl - 文件保留时长 (毫秒)
+ * @param {string} [options.secret] - 链接签名密钥，未设置时使用随机密钥 (重启后旧链接失效)
+ * @param {string} [options.baseUrl] - 对外访问地址，未设置时按请求的 Host 生成
+ */
+export function createMediaStore(options) {
+    const { dir, ttl, baseUrl } = options;
+    const secret = options.secret || crypto.randomBytes(32).toString('hex');
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /** @type {Map<string, MediaFile>} */
+    const files = new Map();
+
+    // 恢复上次运行保存的文件，保留时长按文件修改时间计算
+    for (const name of fs.readdirSync(dir)) {
+        const ext = path.extname(name);
+        const id = path.basename(name, ext);
+        const filePath = path.join(dir, name);
+        try {
+            const stat = fs.statSync(filePath);
+            if (!MEDIA_ID_PATTERN.test(id) || stat.mtimeMs + ttl <= Date.now()) {
+                fs.unlinkSync(filePath);
+                continue;
+            }
+            files.set(id, {
+                id,
+                path: filePath,
+                mimeType: getMimeType(ext),
+                size: stat.size,
+                expiresAt: stat.mtimeMs + ttl
+            });
+        } catch (e) { /* ignore */ }
+    }
+
+    /**
+     * 删除媒体文件
+     * @param {MediaFile} file - 媒体文件
+     */
+    function remove(file) {
+        files.delete(file.id);
+        fs.promises.unlink(file.path).catch(() => { });
+    }
+
+    // 定期清理过期文件
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const file of files.values()) {
+            if (file.expiresAt <= now) {
+                logger.debug('服务器', '媒体文件已过期', { id: file.id });
+                remove(file);
+            }
+        }
+    }, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    /**
+     * 计算链接签名
+     * @param {string} id - 媒体 ID
+     * @param {number} expires - 链接过期时间 (秒)
+     * @returns {string}
+     */
+    function sign(id, expires) {
+        return crypto.createHmac('sha256', secret).update(`${id}:${expires}`).digest('base64url');
+    }
+
+    /**
+     * 保存生成结果
+     * @param {string} image - data URI 或远程 URL
+     * @returns {Promise<MediaFile>}
+     */
+    async function save(image) {
+        const { mimeType, data } = await resolveImageData(image);
+        const buffer = Buffer.from(data, 'base64');
+        const id = 'media_' + crypto.randomBytes(12).toString('hex');
+        const filePath = path.join(dir, `${id}${getExtension(mimeType)}`);
+        await fs.promises.writeFile(filePath, buffer);
+
+        /** @type {MediaFile} */
+        const file = { id, path: filePath, mimeType, size: buffer.length, expiresAt: Date.now() + ttl };
+        files.set(id, file);
+        logger.debug('服务器', '媒体文件已保存', { id, size: buffer.length });
+        return file;
+    }
+
+    /**
+     * 获取媒体文件
+     * @param {string} id - 媒体 ID
+     * @returns {MediaFile|null}
+     */
+    function get(id) {
+        const file = files.get(id);
+        if (!file) return null;
+        if (file.expiresAt <= Date.now()) {
+            remove(file);
+            return null;
+        }
+        return file;
+    }
+
+    /**
+     * 生成带签名的访问链接，有效期与文件保留时长一致
+     * @param {MediaFile} file - 媒体文件
+     * @param {import('http').IncomingMessage} [req] - 原始请求 (未配置 baseUrl 时用于确定访问地址)
+     * @returns {string}
+     */
+    function getUrl(file, req) {
+        let origin = baseUrl?.replace(/\/+$/, '');
+        if (!origin) {
+            const headers = req?.headers || {};
+            const proto = String(headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+            const host = headers['x-forwarded-host'] || headers.host || 'localhost';
+            origin = `${proto}://${host}`;
+        }
+        const expires = Math.floor(file.expiresAt / 1000);
+        return `${origin}/v1/media/${file.id}?expires=${expires}&sig=${sign(file.id, expires)}`;
+    }
+
+    /**
+     * 校验链接签名
+     * @param {string} id - 媒体 ID
+     * @param {string|null} expires - 链接中的过期时间 (秒)
+     * @param {string|null} sig - 链接中的签名
+     * @returns {boolean}
+     */
+    function verify(id, expires, sig) {
+        if (!expires || !sig || !/^\d+$/.test(expires)) return false;
+        if (Number(expires) * 1000 <= Date.now()) return false;
+        const expected = Buffer.from(sign(id, expires));
+        const actual = Buffer.from(sig);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    return {
+        save,
+        get,
+        getUrl,
+        verify
+    };
+}
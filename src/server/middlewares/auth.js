@@ -8,13 +8,28 @@ import { ERROR_CODES } from '../errors.js';
 
 /**
  * 鉴权检查
+ * 所有路由均支持 Authorization: Bearer；各 SDK 专用的凭据只在对应接口下接受：
+ * x-api-key 仅限 Anthropic (/v1/messages)，x-goog-api-key 请求头和 ?key= 查询参数仅限 Gemini (/v1beta/*)
  * @param {import('http').IncomingMessage} req - HTTP 请求
  * @param {string} authToken - 有效的认证令牌
  * @returns {boolean} 是否通过鉴权
  */
 export function checkAuth(req, authToken) {
     const authHeader = req.headers['authorization'];
-    return authHeader === `Bearer ${authToken}`;
+    if (authHeader === `Bearer ${authToken}`) return true;
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/v1/messages' || pathname.startsWith('/v1/messages/')) {
+        return req.headers['x-api-key'] === authToken;
+    }
+
+    if (pathname.startsWith('/v1beta/')) {
+        if (req.headers['x-goog-api-key'] === authToken) return true;
+        return searchParams.get('key') === authToken;
+    }
+
+    return false;
 }
 
 /**
@@ -27,11 +42,12 @@ export function createAuthMiddleware(authToken) {
      * 鉴权中间件
      * @param {import('http').IncomingMessage} req
      * @param {import('http').ServerResponse} res
+     * @param {Function} [sendError=sendApiError] - 错误响应函数 (用于不同 API 格式)
      * @returns {boolean} 是否通过鉴权
      */
-    return function authMiddleware(req, res) {
+    return function authMiddleware(req, res, sendError = sendApiError) {
         if (!checkAuth(req, authToken)) {
-            sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED });
+            sendError(res, { code: ERROR_CODES.UNAUTHORIZED });
             return false;
         }
         return true;
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview multipart/form-data 流式解析模块
+ * @description 边接收边将文件写入临时目录，不在内存中缓冲整个请求体
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { ERROR_CODES } from './errors.js';
+
+/** 单个 part 头部的最大字节数 */
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/** 普通字段的最大字节数 */
+const MAX_FIELD_SIZE = 64 * 1024;
+
+/** 普通字段的最大数量 */
+const MAX_FIELDS = 50;
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * @typedef {object} UploadedFile
+ * @property {string} field - 表单字段名
+ * @property {string} filename - 客户端文件名
+ * @property {string} mimeType - 客户端声明的 Content-Type
+ * @property {string} path - 临时文件路径
+ * @property {number} size - 文件字节数
+ */
+
+/**
+ * @typedef {object} MultipartResult
+ * @property {Record<string, string>} fields - 普通字段
+ * @property {UploadedFile[]} files - 已写入临时目录的文件
+ */
+
+/**
+ * 构造带错误码的解析错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ * @returns {Error}
+ */
+function multipartError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * 从 Content-Type 中提取 boundary
+ * @param {string} [contentType] - 请求头 Content-Type
+ * @returns {string|null}
+ */
+function getBoundary(contentType) {
+    if (!contentType || !/^multipart\/form-data/i.test(contentType)) return null;
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * 解析 part 头部
+ * @param {string} headerText - 头部文本
+ * @returns {{name: string|null, filename: string|null, mimeType: string}}
+ */
+function parsePartHeaders(headerText) {
+    let name = null;
+    let filename = null;
+    let mimeType = 'application/octet-stream';
+
+    for (const line of headerText.split('\r\n')) {
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+        const key = line.slice(0, sep).trim().toLowerCase();
+        const value = line.slice(sep + 1).trim();
+
+        if (key === 'content-disposition') {
+            const nameMatch = value.match(/(?:^|;)\s*name="([^"]*)"/i);
+            const filenameMatch = value.match(/(?:^|;)\s*filename="([^"]*)"/i);
+            if (nameMatch) name = nameMatch[1];
+            if (filenameMatch) filename = filenameMatch[1];
+        } else if (key === 'content-type') {
+            mimeType = value;
+        }
+    }
+
+    return { name, filename, mimeType };
+}
+
+/**
+ * 流式解析 multipart/form-data 请求
+ * 解析失败时会自动删除已写入的临时文件
+ * @param {import('http').IncomingMessage} req - HTTP 请求对象
+ * @param {object} options - 解析选项
+ * @param {string} options.tempDir - 临时目录
+ * @param {number} options.maxFileSize - 单个文件最大字节数
+ * @param {number} options.maxFiles - 最大文件数量
+ * @returns {Promise<MultipartResult>}
+ */
+export async function parseMultipart(req, options) {
+    const { tempDir, maxFileSize, maxFiles } = options;
+
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+        throw multipartError(ERROR_CODES.INVALID_REQUEST_BODY, '请求必须为 multipart/form-data 格式');
+    }
+
+    // 在开头补一个 CRLF，使首个分隔符与后续分隔符格式一致
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let finished = false;
+
+    /** @type {object|null} 当前正在接收的 part */
+    let part = null;
+    const fields = {};
+    const files = [];
+    let fieldCount = 0;
+
+    /**
+     * 开始一个新的 part
+     */
+    function startPart(headerText) {
+        const { name, filename, mimeType } = parsePartHeaders(headerText);
+        if (!name) {
+            throw multipartError(ERROR_CODES.INVALID_REQUEST_BODY, 'multipart 字段缺少 name');
+        }
+
+        // 空文件输入框 (filename="") 直接丢弃
+        if (filename === '') {
+            return { name, skip: true };
+        }
+
+        if (filename !== null) {
+            if (files.length >= maxFiles) {
+                throw multipartError(ERROR_CODES.TOO_MANY_IMAGES, `上传文件数量超过限制（最大 ${maxFiles} 个）`);
+            }
+            const filePath = path.join(tempDir, `upload_${Date.now()}_${Math.random().toString(36).substring(7)}.tmp`);
+            return {
+                name,
+                filename,
+                mimeType,
+                path: filePath,
+                stream: fs.createWriteStream(filePath),
+                size: 0
+            };
+        }
+
+        if (++fieldCount > MAX_FIELDS) {
+            throw multipartError(ERROR_CODES.INVALID_REQUEST_BODY, `表单字段数量超过限制（最大 ${MAX_FIELDS} 个）`);
+        }
+        return { name, chunks: [], size: 0 };
+    }
+
+    /**
+     * 写入当前 part 的数据
+     */
+    async function writePart(data) {
+        if (part.skip || data.length === 0) return;
+        part.size += data.length;
+
+        if (part.stream) {
+            if (part.size > maxFileSize) {
+                throw multipartError(ERROR_CODES.PAYLOAD_TOO_LARGE, `文件 ${part.filename} 超过大小限制（最大 ${Math.floor(maxFileSize / 1024 / 1024)} MB）`);
+            }
+            // 背压：写入缓冲区满时等待落盘
+            if (!part.stream.write(data)) {
+                await once(part.stream, 'drain');
+            }
+        } else {
+            if (part.size > MAX_FIELD_SIZE) {
+                throw multipartError(ERROR_CODES.PAYLOAD_TOO_LARGE, `字段 ${part.name} 超过大小限制`);
+            }
+            part.chunks.push(Buffer.from(data));
+        }
+    }
+
+    /**
+     * 结束当前 part
+     */
+    async function endPart() {
+        if (part.stream) {
+            const stream = part.stream;
+            stream.end();
+            await once(stream, 'finish');
+            files.push({
+                field: part.name,
+                filename: part.filename,
+                mimeType: part.mimeType,
+                path: part.path,
+                size: part.size
+            });
+        } else if (!part.skip) {
+            fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+        }
+        part = null;
+    }
+
+    /**
+     * 消费缓冲区，返回是否已读到结束分隔符
+     */
+    async function consume() {
+        while (true) {
+            if (state === 'preamble') {
+                const idx = buffer.indexOf(delimiter);
+                if (idx === -1) {
+                    buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+                    return false;
+                }
+                buffer = buffer.subarray(idx + delimiter.length);
+                state = 'delimiter';
+            }
+
+            if (state === 'delimiter') {
+                if (buffer.length < 2) return false;
+                // "--" 表示整个表单结束
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) return true;
+                buffer = buffer.subarray(2);
+                state = 'headers';
+            }
+
+            if (state === 'headers') {
+                // 头部为空时 part 直接以 CRLF 开始
+                const idx = buffer.subarray(0, 2).equals(HEADER_END.subarray(0, 2))
+                    ? -2
+                    : buffer.indexOf(HEADER_END);
+                if (idx === -1) {
+                    if (buffer.length > MAX_HEADER_SIZE) {
+                        throw multipartError(ERROR_CODES.INVALID_REQUEST_BODY, 'multipart 头部过大');
+                    }
+                    return false;
+                }
+                const headerText = idx < 0 ? '' : buffer.subarray(0, idx).toString('utf8');
+                buffer = buffer.subarray(idx + HEADER_END.length);
+                part = startPart(headerText);
+                state = 'body';
+            }
+
+            if (state === 'body') {
+                const idx = buffer.indexOf(delimiter);
+                if (idx === -1) {
+                    // 保留可能是分隔符前缀的尾部字节
+                    const safeLength = buffer.length - delimiter.length + 1;
+                    if (safeLength > 0) {
+                        await writePart(buffer.subarray(0, safeLength));
+                        buffer = buffer.subarray(safeLength);
+                    }
+                    return false;
+                }
+                await writePart(buffer.subarray(0, idx));
+                await endPart();
+                buffer = buffer.subarray(idx + delimiter.length);
+                state = 'delimiter';
+            }
+        }
+    }
+
+    try {
+        for await (const chunk of req) {
+            // 结束分隔符之后的内容 (epilogue) 直接丢弃
+            if (finished) continue;
+            buffer = Buffer.concat([buffer, chunk]);
+            finished = await consume();
+        }
+
+        if (!finished) {
+            throw multipartError(ERROR_CODES.INVALID_REQUEST_BODY, 'multipart 请求体不完整');
+        }
+
+        return { fields, files };
+    } catch (err) {
+        // 清理已写入的临时文件
+        const paths = files.map(f => f.path);
+        if (part?.stream) {
+            const stream = part.stream;
+            stream.destroy();
+            // 文件是异步打开的，等句柄关闭后再删除，否则删除可能早于文件创建而留下临时文件
+            if (!stream.closed) await once(stream, 'close');
+            paths.push(part.path);
+        }
+        for (const p of paths) {
+            try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+        }
+        if (!err.code || !Object.values(ERROR_CODES).includes(err.code)) {
+            err.code = ERROR_CODES.INVALID_REQUEST_BODY;
+        }
+        throw err;
+    }
+}
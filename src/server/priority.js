@@ -0,0 +1,67 @@
+/**
+ * @fileoverview 请求优先级模块
+ * @description 解析请求的优先级 (X-Priority 请求头或调用方默认值) 及调用方，供队列进行加权公平调度
+ */
+
+/** 优先级 (由高到低) */
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+/** 各优先级的调度权重：同时排队时，权重越大的请求越早得到 Worker */
+export const PRIORITY_WEIGHTS = { high: 4, normal: 2, low: 1 };
+
+/** 未提供 user 字段的请求归属的调用方 */
+export const DEFAULT_OWNER = 'default';
+
+/** 调用方名称的最大长度 */
+const MAX_OWNER_LENGTH = 64;
+
+/**
+ * @typedef {object} CallerOptions
+ * @property {'high'|'normal'|'low'} [priority] - 该调用方的默认优先级
+ * @property {number} [weight=1] - 该调用方的调度权重
+ */
+
+/**
+ * @typedef {object} RequestPriority
+ * @property {'high'|'normal'|'low'} priority - 优先级
+ * @property {string} owner - 调用方 (请求的 user 字段)
+ * @property {number} weight - 调用方的调度权重
+ */
+
+/**
+ * 创建优先级解析器
+ * @param {object} options - 解析选项
+ * @param {'high'|'normal'|'low'} [options.defaultPriority='normal'] - 未指定优先级时的默认值
+ * @param {Object<string, CallerOptions>} [options.users] - 按调用方设置的默认优先级及权重
+ */
+export function createPriorityResolver(options = {}) {
+    const { defaultPriority = 'normal', users = {} } = options;
+
+    /**
+     * 解析请求的优先级及调用方
+     * X-Priority 请求头优先于调用方的默认优先级
+     * @param {import('http').IncomingMessage} req - HTTP 请求
+     * @param {unknown} [user] - 请求体中的 user 字段
+     * @returns {RequestPriority|{error: string}}
+     */
+    function resolve(req, user) {
+        const owner = typeof user === 'string' && user.trim()
+            ? user.trim().slice(0, MAX_OWNER_LENGTH)
+            : DEFAULT_OWNER;
+        const caller = (Object.hasOwn(users, owner) && users[owner]) || {};
+
+        let priority = caller.priority || defaultPriority;
+        const header = req.headers['x-priority'];
+        if (header !== undefined) {
+            const value = String(header).trim().toLowerCase();
+            if (!PRIORITIES.includes(value)) {
+                return { error: `X-Priority 必须是 ${PRIORITIES.join(', ')} 之一` };
+            }
+            priority = value;
+        }
+
+        return { priority, owner, weight: caller.weight || 1 };
+    }
+
+    return { resolve };
+}
@@ -9,22 +9,73 @@ import {
     sendSse,
     sendSseDone,
     sendHeartbeat,
+    sendQueueUpdate,
     sendApiError,
+    buildAnnotations,
     buildChatCompletion,
-    buildChatCompletionChunk
+    buildChatCompletionChoices,
+    buildChatCompletionChunk,
+    buildToolCallsChunk,
+    buildImagesResponse,
+    sendSseEvent,
+    sendAnthropicError,
+    buildAnthropicMessage,
+    sendGeminiError,
+    buildGeminiResponse
 } from './respond.js';
-import { ERROR_CODES } from './errors.js';
+import { ERROR_CODES, getErrorMessage } from './errors.js';
+import { resolveImageData } from './media.js';
+import { parseToolCalls } from './tools.js';
+import { checkStructuredOutput, buildRetryPrompt } from './structured.js';
+import { PRIORITIES, PRIORITY_WEIGHTS, DEFAULT_OWNER } from './priority.js';
+
+/** 管理面板展示的最近取消任务数量 */
+const RECENT_CANCELLED_LIMIT = 20;
+
+/** 队列上限中为每个更高优先级预留的比例，低优先级请求无法占满队列 */
+const PRIORITY_HEADROOM = 0.2;
+
+/** 每个模型保留的最近任务耗时样本数，用于估算排队等待时间 */
+const DURATION_SAMPLES = 20;
+
+/** 持久化的任务参数，重启后据此重新入队 */
+const PERSISTED_FIELDS = [
+    'prompt', 'imagePaths', 'modelId', 'modelName', 'isStreaming', 'apiFormat', 'n', 'tools', 'jsonFormat',
+    'size', 'conversation', 'responseFormat', 'priority', 'owner', 'weight'
+];
+
+/** 持久化的请求头 (用于重启后生成媒体下载链接) */
+const PERSISTED_HEADERS = ['host', 'x-forwarded-host', 'x-forwarded-proto'];
 
 /**
  * @typedef {object} TaskContext
- * @property {import('http').IncomingMessage} req - HTTP 请求对象
- * @property {import('http').ServerResponse} res - HTTP 响应对象
+ * @property {import('http').IncomingMessage} [req] - HTTP 请求对象 (job 任务为空)
+ * @property {import('http').ServerResponse} [res] - HTTP 响应对象 (job 任务为空)
  * @property {string} prompt - 用户提示词
  * @property {string[]} imagePaths - 图片路径列表
  * @property {string|null} modelId - 模型 ID
  * @property {string|null} modelName - 模型名称
  * @property {string} id - 请求唯一标识
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {'chat'|'anthropic'|'gemini'|'images'|'job'} [apiFormat='chat'] - 响应格式 (chat: OpenAI 聊天补全, anthropic: Anthropic Messages, gemini: Gemini generateContent, images: 图片接口, job: 异步任务)
+ * @property {number} [n=1] - 生成数量 (chat、images)
+ * @property {import('./tools.js').ToolOptions|null} [tools] - 工具调用选项 (仅 chat)
+ * @property {import('./structured.js').ResponseFormat|null} [jsonFormat] - 结构化输出格式 (仅 chat)
+ * @property {import('./sizes.js').ImageSize|null} [size] - 映射后的尺寸，经生成上下文传给适配器
+ * @property {import('./conversations.js').ConversationRequest|null} [conversation] - 会话续接信息 (chat、anthropic、gemini)
+ * @property {'b64_json'|'url'} [responseFormat] - 图片返回格式 (仅 images)
+ * @property {AbortController} [abortController] - 客户端断开连接或管理员取消时中止任务，signal 经生成上下文传给适配器
+ * @property {boolean} [background=false] - 后台任务 (批处理)：排在等待中的交互请求之后，且不占用非流式请求的队列容量
+ * @property {'high'|'normal'|'low'} [priority='normal'] - 优先级
+ * @property {string} [owner] - 调用方，同优先级的任务在调用方之间按权重公平调度
+ * @property {number} [weight=1] - 调用方的调度权重
+ * @property {number} [finishTag] - 加权公平调度的虚拟完成时间，等待中的任务按其排序 (入队时计算)
+ * @property {string[]} [candidateWorkers] - 可处理该任务的 Worker (调度时填充)
+ * @property {string[]} [workers] - 为该任务预留的 Worker (开始处理时填充)，经生成上下文的 preferredWorkers 传给 Pool
+ * @property {number} [startedAt] - 开始处理的时间 (毫秒)
+ * @property {() => void} [onStart] - 开始处理时的回调 (仅 job)
+ * @property {(progress: number) => void} [onProgress] - 进度回调，0-100 (仅 job)
+ * @property {(result: object) => Promise<void>} [onComplete] - 生成结束时的回调 (仅 job)
  */
 
 /**
@@ -32,6 +83,10 @@ import { ERROR_CODES } from './errors.js';
  * @property {number} maxConcurrent - 最大并发数
  * @property {number} maxQueueSize - 最大队列大小
  * @property {string} keepaliveMode - 心跳模式 ('comment' | 'content')
+ * @property {string} [reasoningMode='field'] - 思考过程输出方式 ('field' | 'think')
+ * @property {number} [jsonRetries=2] - 结构化输出校验失败时的重试次数
+ * @property {boolean} [returnUrl=false] - 对话接口是否以媒体存储的下载链接代替内联的媒体结果
+ * @property {{mode: 'comment'|'event'|'off', interval: number}} [positionUpdates] - 向等待中的流式请求推送排队位置及预计等待时间 (interval 单位为秒)
  */
 
 /**
@@ -40,46 +95,765 @@ import { ERROR_CODES } from './errors.js';
  * @property {object} config - 配置对象
  */
 
+/**
+ * @typedef {object} ChatWriter
+ * @property {() => void} start - 开始输出 (流式请求)
+ * @property {() => void} heartbeat - 发送心跳
+ * @property {(text: string) => void} delta - 发送增量文本
+ * @property {(text: string) => void} [reasoning] - 发送增量思考过程 (未实现时丢弃思考过程)
+ * @property {(content: string, streamed: boolean, reasoning?: string, citations?: object[]) => void} complete - 发送剩余内容 (及尚未发送的思考过程、搜索引用) 并结束响应
+ * @property {(options: {code: string, message?: string, status?: number}) => void} error - 发送错误并结束响应
+ * @property {(image: string) => Promise<void>} [completeImage] - 以原生格式返回媒体结果并结束响应 (未实现时按 markdown 文本返回)
+ */
+
+/**
+ * 将生成结果转换为对话文本
+ * @param {{text?: string, image?: string}} result - 生成结果
+ * @returns {string}
+ */
+function formatResultContent(result) {
+    if (result.image) {
+        // 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
+        if (result.image.startsWith('data:image/')) {
+            return `![generated](${result.image})`;
+        }
+        return result.image;
+    }
+    return result.text || '生成失败';
+}
+
+/**
+ * 以 <think> 标签将思考过程内联到正文开头
+ * @param {string} reasoning - 思考过程
+ * @param {string} content - 正文
+ * @returns {string}
+ */
+function inlineReasoning(reasoning, content) {
+    return `<think>\n${reasoning}\n</think>\n\n${content}`;
+}
+
+/**
+ * 创建对话响应写出器，屏蔽 OpenAI / Anthropic 的响应格式差异
+ * @param {TaskContext} task - 任务上下文
+ * @param {string} keepaliveMode - 心跳模式
+ * @param {string} reasoningMode - 思考过程输出方式 (仅 OpenAI 格式)
+ * @returns {ChatWriter}
+ */
+function createChatWriter(task, keepaliveMode, reasoningMode) {
+    const { res, modelName, isStreaming } = task;
+
+    if (task.apiFormat === 'anthropic') {
+        const messageId = 'msg_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+        return {
+            start() {
+                sendSseEvent(res, 'message_start', {
+                    type: 'message_start',
+                    message: buildAnthropicMessage(messageId, '', modelName, null)
+                });
+                sendSseEvent(res, 'content_block_start', {
+                    type: 'content_block_start',
+                    index: 0,
+                    content_block: { type: 'text', text: '' }
+                });
+            },
+            heartbeat() {
+                sendSseEvent(res, 'ping', { type: 'ping' });
+            },
+            delta(text) {
+                sendSseEvent(res, 'content_block_delta', {
+                    type: 'content_block_delta',
+                    index: 0,
+                    delta: { type: 'text_delta', text }
+                });
+            },
+            complete(content) {
+                if (!isStreaming) {
+                    sendJson(res, 200, buildAnthropicMessage(messageId, content, modelName));
+                    return;
+                }
+                if (content) this.delta(content);
+                sendSseEvent(res, 'content_block_stop', { type: 'content_block_stop', index: 0 });
+                sendSseEvent(res, 'message_delta', {
+                    type: 'message_delta',
+                    delta: { stop_reason: 'end_turn', stop_sequence: null },
+                    usage: { output_tokens: 0 }
+                });
+                sendSseEvent(res, 'message_stop', { type: 'message_stop' });
+                if (!res.writableEnded) res.end();
+            },
+            error(options) {
+                sendAnthropicError(res, { ...options, isStreaming });
+            }
+        };
+    }
+
+    if (task.apiFormat === 'gemini') {
+        return {
+            start() { },
+            heartbeat() {
+                sendHeartbeat(res, 'comment');
+            },
+            delta(text) {
+                sendSse(res, buildGeminiResponse([{ text }], modelName, null));
+            },
+            complete(content) {
+                const parts = content ? [{ text: content }] : [];
+                if (!isStreaming) {
+                    sendJson(res, 200, buildGeminiResponse(parts, modelName));
+                    return;
+                }
+                sendSse(res, buildGeminiResponse(parts, modelName));
+                if (!res.writableEnded) res.end();
+            },
+            async completeImage(image) {
+                const inlineData = await resolveImageData(image);
+                const response = buildGeminiResponse([{ inlineData }], modelName);
+                if (!isStreaming) {
+                    sendJson(res, 200, response);
+                    return;
+                }
+                sendSse(res, response);
+                if (!res.writableEnded) res.end();
+            },
+            error(options) {
+                sendGeminiError(res, { ...options, isStreaming });
+            }
+        };
+    }
+
+    // think 模式下 <think> 标签是否已打开、尚未闭合
+    let thinkOpen = false;
+    // 正文之前已输出的思考过程长度 (think 模式)，用于修正引用位置
+    let prefixLength = 0;
+
+    return {
+        start() { },
+        heartbeat() {
+            sendHeartbeat(res, keepaliveMode, modelName);
+        },
+        reasoning(text) {
+            if (reasoningMode === 'think') {
+                const chunk = thinkOpen ? text : `<think>\n${text}`;
+                prefixLength += chunk.length;
+                sendSse(res, buildChatCompletionChunk(chunk, modelName, null));
+                thinkOpen = true;
+            } else {
+                sendSse(res, buildChatCompletionChunk(null, modelName, null, 0, text));
+            }
+        },
+        delta(text) {
+            if (thinkOpen) {
+                prefixLength += '\n</think>\n\n'.length;
+                text = `\n</think>\n\n${text}`;
+                thinkOpen = false;
+            }
+            sendSse(res, buildChatCompletionChunk(text, modelName, null));
+        },
+        complete(content, streamed, reasoning, citations) {
+            if (!isStreaming) {
+                if (reasoning && reasoningMode === 'think') {
+                    const annotations = citations && buildAnnotations(citations, inlineReasoning(reasoning, '').length);
+                    sendJson(res, 200, buildChatCompletion(inlineReasoning(reasoning, content), modelName, null, null, annotations));
+                } else {
+                    sendJson(res, 200, buildChatCompletion(content, modelName, reasoning, null, citations && buildAnnotations(citations)));
+                }
+                return;
+            }
+            if (reasoning) this.reasoning(reasoning);
+            let finish;
+            if (streamed || reasoning) {
+                // 已增量输出：补发剩余部分 (并闭合 <think> 标签)，再发送结束块
+                if (content || thinkOpen) this.delta(content);
+                finish = buildChatCompletionChunk('', modelName);
+            } else {
+                finish = buildChatCompletionChunk(content, modelName);
+            }
+            // 搜索引用随结束块一起发送
+            if (citations?.length) {
+                finish.choices[0].delta.annotations = buildAnnotations(citations, prefixLength);
+            }
+            sendSse(res, finish);
+            sendSseDone(res);
+        },
+        error(options) {
+            sendApiError(res, { ...options, isStreaming });
+        }
+    };
+}
+
 /**
  * 创建任务队列管理器
  * @param {QueueConfig} queueConfig - 队列配置
  * @param {object} callbacks - 回调函数
  * @param {Function} callbacks.initBrowser - 初始化 Pool 函数
  * @param {Function} callbacks.generate - 生成图片函数
+ * @param {Function} [callbacks.generateBatch] - 批量生成函数 (n > 1 时分散到多个 Worker)
+ * @param {(modelId: string, imagePaths: string[], size: object|null) => string[]|null} [callbacks.getWorkers] - 获取可处理请求的 Worker 名称，未提供时所有任务共用 maxConcurrent 个并发名额 (提供时 maxConcurrent 仍为并发上限)
  * @param {object} callbacks.config - 配置对象
+ * @param {ReturnType<import('./mediaStore.js').createMediaStore>} [callbacks.mediaStore] - 媒体存储
+ * @param {ReturnType<import('./conversations.js').createConversationStore>} [callbacks.conversationStore] - 会话存储 (未开启会话续接时为空)
+ * @param {ReturnType<import('./taskStore.js').createTaskStore>} [callbacks.taskStore] - 任务存储 (未开启持久化时为空)，后台任务不持久化
  * @param {Function} [callbacks.navigateToMonitor] - 监控导航函数
  * @param {Function} [callbacks.getCookies] - 获取 Cookies 函数
  * @returns {object} 队列管理器
  */
 export function createQueueManager(queueConfig, callbacks) {
-    const { maxConcurrent, queueBuffer, keepaliveMode } = queueConfig;
-    const { initBrowser, generate, config, navigateToMonitor, getCookies } = callbacks;
+    const {
+        maxConcurrent,
+        queueBuffer,
+        keepaliveMode,
+        reasoningMode = 'field',
+        jsonRetries = 2,
+        returnUrl = false,
+        positionUpdates = { mode: 'comment', interval: 5 }
+    } = queueConfig;
+    const { initBrowser, generate, generateBatch, getWorkers, config, mediaStore, conversationStore, taskStore, navigateToMonitor, getCookies } = callbacks;
+
+    // 计算有效队列大小：0 表示不限制，否则为 maxConcurrent + buffer
+    const effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
+
+    /** @type {TaskContext[]} */
+    const queue = [];
+
+    /** @type {TaskContext[]} */
+    const processingTasks = [];  // 跟踪正在处理的任务
+
+    /** @type {Map<string, TaskContext>} */
+    const reservedWorkers = new Map();  // Worker 名称 -> 占用它的任务
+
+    // 加权公平调度：交互任务与后台任务分别计时，虚拟时间为最近开始处理的任务的虚拟完成时间
+    const virtualTime = { interactive: 0, background: 0 };
+
+    /** @type {Map<string, number>} */
+    const flowFinish = new Map();  // 调度流 (层级:优先级:调用方) -> 最后入队任务的虚拟完成时间
+
+    /** @type {number} */
+    let processingCount = 0;
+
+    /** @type {number} */
+    let cancelledCount = 0;  // 客户端断开连接或管理员取消的任务总数
+
+    /** @type {object[]} */
+    const recentCancelled = [];  // 最近取消的任务 (新的在前)
+
+    /** @type {Map<string, number[]>} */
+    const durations = new Map();  // 模型 ID -> 最近完成的任务耗时 (毫秒)
+
+    /** @type {PoolContext|null} */
+    let poolContext = null;
+
+    // 管理员的调度控制 (仅保存在内存中，重启后恢复默认)
+    let paused = false;  // 暂停全部调度，处理中的任务不受影响
+    const pausedModels = new Set();  // 暂停调度的模型 ID
+    let draining = false;  // 排空：不再接受新任务，已接受的任务照常处理
+
+    // 定期向等待中的流式请求推送排队进度
+    if (positionUpdates.mode !== 'off') {
+        const positionTimer = setInterval(sendPositionUpdates, positionUpdates.interval * 1000);
+        positionTimer.unref();
+    }
+
+    /**
+     * 清理任务临时文件
+     * @param {TaskContext} task - 任务上下文
+     */
+    async function cleanupTask(task) {
+        if (task?.imagePaths) {
+            const fs = await import('fs');
+            for (const p of task.imagePaths) {
+                try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+            }
+        }
+    }
+
+    /**
+     * 为不做增量输出的流式任务启动心跳
+     * @param {TaskContext} task - 任务上下文
+     * @returns {NodeJS.Timeout|null} 非流式请求返回 null
+     */
+    function startHeartbeat(task) {
+        const { res, modelName, isStreaming } = task;
+        if (!isStreaming) return null;
+
+        const interval = setInterval(() => {
+            if (res.writableEnded) {
+                clearInterval(interval);
+                return;
+            }
+            sendHeartbeat(res, keepaliveMode, modelName);
+        }, 3000);
+        return interval;
+    }
+
+    /**
+     * 构建单次生成的上下文：在 Pool 上下文上附加请求指定的尺寸及其他选项
+     * @param {TaskContext} task - 任务上下文
+     * @param {object} [extra] - 其他选项 (如 onDelta、validateResult)
+     * @returns {object}
+     */
+    function createGenerateContext(task, extra) {
+        return { ...poolContext, size: task.size || null, signal: task.abortController?.signal, preferredWorkers: task.workers || [], ...extra };
+    }
+
+    /**
+     * 任务是否已取消 (客户端断开连接或管理员取消)
+     * @param {TaskContext} task - 任务上下文
+     * @returns {boolean}
+     */
+    function isCancelled(task) {
+        return !!task.abortController?.signal.aborted;
+    }
+
+    /**
+     * 取消任务：等待中的任务直接移出队列，处理中的任务通过 signal 通知适配器停止生成并释放 Worker
+     * 管理员取消时连接仍然打开，向其返回 TASK_CANCELLED 错误
+     * @param {TaskContext} task - 任务上下文
+     * @param {'client'|'admin'} [reason='client'] - 取消原因
+     */
+    function cancelTask(task, reason = 'client') {
+        if (isCancelled(task)) return;
+
+        const queueIndex = queue.indexOf(task);
+        let stage;
+        if (queueIndex !== -1) {
+            queue.splice(queueIndex, 1);
+            if (isPersisted(task)) taskStore.removeTask(task.id);
+            cleanupTask(task);
+            stage = 'waiting';
+        } else if (processingTasks.includes(task)) {
+            stage = 'processing';
+        } else {
+            return;
+        }
+
+        task.abortController.abort();
+        cancelledCount++;
+        recentCancelled.unshift({
+            id: task.id,
+            model: task.modelName || task.modelId,
+            isStreaming: task.isStreaming,
+            stage,
+            reason,
+            cancelledAt: Date.now()
+        });
+        recentCancelled.length = Math.min(recentCancelled.length, RECENT_CANCELLED_LIMIT);
+
+        if (reason === 'admin') {
+            sendCancelled(task, stage);
+            logger.info('服务器', stage === 'waiting' ? '任务已被管理员移出队列' : '任务已被管理员取消，正在停止生成', { id: task.id });
+            return;
+        }
+        logger.info('服务器', stage === 'waiting' ? '客户端已断开，任务已移出队列' : '客户端已断开，正在取消任务', { id: task.id });
+    }
+
+    /**
+     * 向被管理员取消的任务返回 TASK_CANCELLED 错误，按任务的响应格式写出
+     * 异步任务记录为失败 (处理中的异步任务在适配器退出后由 processJobTask 记录)
+     * @param {TaskContext} task - 任务上下文
+     * @param {'waiting'|'processing'} stage - 取消时的阶段
+     */
+    function sendCancelled(task, stage) {
+        if (task.apiFormat === 'job') {
+            if (stage === 'waiting') {
+                task.onComplete({ error: getErrorMessage(ERROR_CODES.TASK_CANCELLED) }).catch(err => {
+                    logger.error('服务器', '保存任务结果失败', { id: task.id, error: err.message });
+                });
+            }
+            return;
+        }
+        if (!task.res) return;
+        if (task.apiFormat === 'images') {
+            sendApiError(task.res, { code: ERROR_CODES.TASK_CANCELLED });
+            return;
+        }
+        createChatWriter(task, keepaliveMode, reasoningMode).error({ code: ERROR_CODES.TASK_CANCELLED });
+    }
+
+    /**
+     * 生成 n 个结果，结果按顺序返回，单个失败以 {error} 表示
+     * @param {object} ctx - 生成上下文
+     * @param {string} prompt - 提示词
+     * @param {string[]} imagePaths - 图片路径
+     * @param {string} modelId - 模型 ID
+     * @param {string} id - 请求 ID
+     * @param {number} n - 生成数量
+     * @returns {Promise<object[]>}
+     */
+    async function generateMany(ctx, prompt, imagePaths, modelId, id, n) {
+        if (n === 1) {
+            return [await generate(ctx, prompt, imagePaths, modelId, { id })];
+        }
+        if (generateBatch) {
+            return await generateBatch(ctx, prompt, imagePaths, modelId, { id }, n);
+        }
+        const results = [];
+        for (let i = 0; i < n; i++) {
+            results.push(ctx.signal?.aborted
+                ? { error: '任务已取消' }
+                : await generate(ctx, prompt, imagePaths, modelId, { id }));
+        }
+        return results;
+    }
+
+    /**
+     * 将媒体结果保存到媒体存储，并以下载链接代替 (仅 returnUrl 开启时)
+     * 保存失败时保留原结果，按内联方式返回
+     * @param {TaskContext} task - 任务上下文
+     * @param {object} result - 生成结果
+     * @returns {Promise<object>}
+     */
+    async function linkMedia(task, result) {
+        if (!returnUrl || !mediaStore || !result.image) return result;
+        try {
+            const file = await mediaStore.save(result.image);
+            const url = mediaStore.getUrl(file, task.req);
+            // 只有图片格式才使用 markdown，视频等其他格式直接返回链接
+            const { image, ...rest } = result;
+            return { ...rest, text: file.mimeType.startsWith('image/') ? `![generated](${url})` : url };
+        } catch (err) {
+            logger.warn('服务器', '保存媒体文件失败，改为内联返回', { id: task.id, error: err.message });
+            return result;
+        }
+    }
+
+    /**
+     * 将生成结果转换为 Images API 的数据项
+     * @param {string} image - data URI 或远程 URL
+     * @param {'b64_json'|'url'} responseFormat - 返回格式
+     * @param {string} revisedPrompt - 实际使用的提示词
+     * @param {import('http').IncomingMessage} req - 原始请求 (用于生成下载链接)
+     * @returns {Promise<{b64_json?: string, url?: string, revised_prompt: string}>}
+     */
+    async function toImageItem(image, responseFormat, revisedPrompt, req) {
+        if (responseFormat === 'url') {
+            if (!mediaStore) return { url: image, revised_prompt: revisedPrompt };
+            const file = await mediaStore.save(image);
+            return { url: mediaStore.getUrl(file, req), revised_prompt: revisedPrompt };
+        }
+
+        const { data } = await resolveImageData(image);
+        return { b64_json: data, revised_prompt: revisedPrompt };
+    }
+
+    /**
+     * 处理图片接口任务 (/v1/images/*)
+     * @param {TaskContext} task - 任务上下文
+     */
+    async function processImagesTask(task) {
+        const { req, res, prompt, imagePaths, modelId, id, n = 1, responseFormat = 'b64_json' } = task;
+
+        try {
+            // 确保 Pool 已初始化
+            if (!poolContext) {
+                poolContext = await initBrowser(config);
+            }
+
+            const results = await generateMany(createGenerateContext(task), prompt, imagePaths, modelId, id, n);
+            if (isCancelled(task)) return;
+
+            const items = [];
+            const errors = [];
+            let lastFailure = null;
+            for (const [index, result] of results.entries()) {
+                let message = result.error;
+                if (!message && !result.image) {
+                    message = result.text || '未获得图片结果';
+                }
+                if (!message) {
+                    try {
+                        items.push(await toImageItem(result.image, responseFormat, prompt, req));
+                        continue;
+                    } catch (err) {
+                        message = err.message;
+                    }
+                }
+                lastFailure = result;
+                errors.push({ index, code: ERROR_CODES.GENERATION_FAILED, message });
+            }
+
+            // 全部失败时返回错误，部分失败时返回成功的结果和各自的错误
+            if (items.length === 0) {
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: errors[0].message,
+                    status: lastFailure.retryable ? 503 : 502
+                });
+                return;
+            }
+
+            sendJson(res, 200, buildImagesResponse(items, errors));
+            logger.info('服务器', '图片响应已发送', { id, count: items.length, failed: errors.length });
+
+        } catch (err) {
+            logger.error('服务器', '任务处理失败', { id, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理多选项对话任务 (n > 1)
+     * 各选项并行生成，不做增量输出，全部完成后按 choice 序号返回
+     * @param {TaskContext} task - 任务上下文
+     */
+    async function processChoicesTask(task) {
+        const { res, prompt, imagePaths, modelId, modelName, id, isStreaming, n } = task;
+
+        const heartbeatInterval = startHeartbeat(task);
+
+        try {
+            // 确保 Pool 已初始化
+            if (!poolContext) {
+                poolContext = await initBrowser(config);
+            }
+
+            const results = await Promise.all(
+                (await generateMany(createGenerateContext(task), prompt, imagePaths, modelId, id, n)).map(r => r.error ? r : linkMedia(task, r))
+            );
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            if (isCancelled(task)) return;
+
+            // 全部失败时按单个请求的方式返回错误
+            const failures = results.filter(r => r.error);
+            if (failures.length === results.length) {
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: failures[0].error,
+                    status: failures[0].retryable ? 503 : 502,
+                    isStreaming
+                });
+                return;
+            }
+
+            const choices = results.map(result => {
+                if (result.error) {
+                    return { error: { code: ERROR_CODES.GENERATION_FAILED, message: result.error } };
+                }
+                const content = formatResultContent(result);
+                const citations = result.citations || [];
+                if (!result.reasoning) return { content, annotations: buildAnnotations(citations) };
+                if (reasoningMode === 'think') {
+                    const prefix = inlineReasoning(result.reasoning, '');
+                    return { content: prefix + content, annotations: buildAnnotations(citations, prefix.length) };
+                }
+                return { content, reasoning: result.reasoning, annotations: buildAnnotations(citations) };
+            });
+
+            if (!isStreaming) {
+                sendJson(res, 200, buildChatCompletionChoices(choices, modelName));
+            } else {
+                for (const [index, choice] of choices.entries()) {
+                    if (choice.error) {
+                        const chunk = buildChatCompletionChunk('', modelName, 'error', index);
+                        chunk.choices[0].error = choice.error;
+                        sendSse(res, chunk);
+                    } else {
+                        const chunk = buildChatCompletionChunk(choice.content, modelName, 'stop', index, choice.reasoning);
+                        if (choice.annotations.length) chunk.choices[0].delta.annotations = choice.annotations;
+                        sendSse(res, chunk);
+                    }
+                }
+                sendSseDone(res);
+            }
+            logger.info('服务器', '多选项响应已发送', { id, n, failed: failures.length });
+
+        } catch (err) {
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            logger.error('服务器', '任务处理失败', { id, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming
+            });
+        }
+    }
+
+    /**
+     * 处理带工具的对话任务 (tools)
+     * 回复可能包含工具调用块，因此不做增量输出；格式不合格时由 Pool 在同一 Worker 上重试一次
+     * @param {TaskContext} task - 任务上下文
+     */
+    async function processToolsTask(task) {
+        const { res, prompt, imagePaths, modelId, modelName, id, isStreaming, tools } = task;
+
+        const heartbeatInterval = startHeartbeat(task);
+
+        try {
+            // 确保 Pool 已初始化
+            if (!poolContext) {
+                poolContext = await initBrowser(config);
+            }
+
+            const validateResult = (result) => parseToolCalls(result.text || '', tools).error;
+            const result = await generate(createGenerateContext(task, { validateResult }), prompt, imagePaths, modelId, { id });
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            if (isCancelled(task)) return;
+
+            if (result.error) {
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: result.error,
+                    status: result.retryable ? 503 : 502,
+                    isStreaming
+                });
+                return;
+            }
+
+            const parsed = parseToolCalls(formatResultContent(result), tools);
+            if (parsed.error) {
+                logger.warn('服务器', `工具调用解析失败: ${parsed.error}`, { id });
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: `模型未返回有效的工具调用: ${parsed.error}`,
+                    isStreaming
+                });
+                return;
+            }
+
+            let { content } = parsed;
+            let reasoning = result.reasoning;
+            if (reasoning && reasoningMode === 'think') {
+                content = inlineReasoning(reasoning, content || '');
+                reasoning = undefined;
+            }
+
+            const { toolCalls } = parsed;
+            const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
+            if (!isStreaming) {
+                sendJson(res, 200, buildChatCompletion(content, modelName, reasoning, toolCalls));
+            } else {
+                if (content || reasoning) {
+                    sendSse(res, buildChatCompletionChunk(content, modelName, null, 0, reasoning));
+                }
+                if (toolCalls.length > 0) {
+                    sendSse(res, buildToolCallsChunk(toolCalls, modelName));
+                }
+                sendSse(res, buildChatCompletionChunk('', modelName, finishReason));
+                sendSseDone(res);
+            }
+            logger.info('服务器', '工具调用响应已发送', { id, toolCalls: toolCalls.length });
+
+        } catch (err) {
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            logger.error('服务器', '任务处理失败', { id, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming
+            });
+        }
+    }
+
+    /**
+     * 处理结构化输出任务 (response_format 为 json_object / json_schema)
+     * 回复需校验后才能返回，因此不做增量输出；校验失败时附带错误重新分发，全部失败则返回错误而非无效 JSON
+     * @param {TaskContext} task - 任务上下文
+     */
+    async function processStructuredTask(task) {
+        const { res, prompt, imagePaths, modelId, modelName, id, isStreaming, jsonFormat } = task;
+
+        const heartbeatInterval = startHeartbeat(task);
+
+        try {
+            // 确保 Pool 已初始化
+            if (!poolContext) {
+                poolContext = await initBrowser(config);
+            }
+
+            let attemptPrompt = prompt;
+            let errors = [];
+            let output = null;
+            let result;
+            for (let attempt = 0; attempt <= jsonRetries; attempt++) {
+                result = await generate(createGenerateContext(task), attemptPrompt, imagePaths, modelId, { id });
+                if (result.error || isCancelled(task)) break;
 
-    // 计算有效队列大小：0 表示不限制，否则为 maxConcurrent + buffer
-    const effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
+                const checked = checkStructuredOutput(formatResultContent(result), jsonFormat);
+                if (checked.json) {
+                    output = checked.json;
+                    break;
+                }
+                errors = checked.errors;
+                logger.warn('服务器', `结构化输出校验失败 (第 ${attempt + 1} 次): ${errors.join('; ')}`, { id });
+                attemptPrompt = buildRetryPrompt(prompt, errors);
+            }
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            if (isCancelled(task)) return;
 
-    /** @type {TaskContext[]} */
-    const queue = [];
+            if (result.error) {
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: result.error,
+                    status: result.retryable ? 503 : 502,
+                    isStreaming
+                });
+                return;
+            }
 
-    /** @type {TaskContext[]} */
-    const processingTasks = [];  // 跟踪正在处理的任务
+            if (output === null) {
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: `模型未返回符合要求的 JSON: ${errors.join('; ')}`,
+                    isStreaming
+                });
+                return;
+            }
 
-    /** @type {number} */
-    let processingCount = 0;
+            // think 模式会破坏 JSON 正文，此时不返回思考过程
+            const reasoning = reasoningMode === 'field' ? result.reasoning : undefined;
+            if (!isStreaming) {
+                sendJson(res, 200, buildChatCompletion(output, modelName, reasoning));
+            } else {
+                sendSse(res, buildChatCompletionChunk(output, modelName, 'stop', 0, reasoning));
+                sendSseDone(res);
+            }
+            logger.info('服务器', '结构化输出响应已发送', { id, length: output.length });
 
-    /** @type {PoolContext|null} */
-    let poolContext = null;
+        } catch (err) {
+            if (heartbeatInterval) clearInterval(heartbeatInterval);
+            logger.error('服务器', '任务处理失败', { id, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming
+            });
+        }
+    }
 
     /**
-     * 清理任务临时文件
+     * 处理异步任务 (/v1/jobs、/v1/videos)
+     * 结果通过回调交给任务管理器，不依赖客户端连接
      * @param {TaskContext} task - 任务上下文
      */
-    async function cleanupTask(task) {
-        if (task?.imagePaths) {
-            const fs = await import('fs');
-            for (const p of task.imagePaths) {
-                try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+    async function processJobTask(task) {
+        const { prompt, imagePaths, modelId, id, onStart, onProgress, onComplete } = task;
+
+        onStart?.();
+
+        let result;
+        try {
+            // 确保 Pool 已初始化
+            if (!poolContext) {
+                poolContext = await initBrowser(config);
             }
+
+            result = await generate(createGenerateContext(task, { onProgress }), prompt, imagePaths, modelId, { id });
+        } catch (err) {
+            logger.error('服务器', '任务处理失败', { id, error: err.message });
+            result = { error: err.message };
+        }
+
+        // 异步任务只会被管理员取消
+        if (isCancelled(task)) {
+            result = { error: getErrorMessage(ERROR_CODES.TASK_CANCELLED) };
+        }
+
+        try {
+            await onComplete(result);
+        } catch (err) {
+            logger.error('服务器', '保存任务结果失败', { id, error: err.message });
         }
     }
 
@@ -90,80 +864,165 @@ export function createQueueManager(queueConfig, callbacks) {
     async function processTask(task) {
         const { res, prompt, imagePaths, modelId, modelName, id, isStreaming } = task;
 
-        logger.info('服务器', '[队列] 开始处理任务', { id, remaining: queue.length });
+        logger.info('服务器', '[队列] 开始处理任务', { id, priority: task.priority, owner: task.owner, remaining: queue.length });
+
+        if (task.apiFormat === 'images') {
+            await processImagesTask(task);
+            return;
+        }
+
+        if (task.apiFormat === 'job') {
+            await processJobTask(task);
+            return;
+        }
+
+        if (task.n > 1) {
+            await processChoicesTask(task);
+            return;
+        }
+
+        if (task.tools) {
+            await processToolsTask(task);
+            return;
+        }
+
+        if (task.jsonFormat) {
+            await processStructuredTask(task);
+            return;
+        }
+
+        const writer = createChatWriter(task, keepaliveMode, reasoningMode);
 
         // 启动心跳（流式请求）
         let heartbeatInterval = null;
         if (isStreaming) {
+            writer.start();
             heartbeatInterval = setInterval(() => {
                 if (res.writableEnded) {
                     clearInterval(heartbeatInterval);
                     return;
                 }
-                sendHeartbeat(res, keepaliveMode, modelName);
+                writer.heartbeat();
             }, 3000);
         }
 
+        // 增量输出（流式请求）：适配器通过 onDelta 推送文本片段，kind 为 'reasoning' 时为思考过程
+        let streamedText = '';
+        let streamedReasoning = '';
+        let streamClosed = false;
+        const onDelta = isStreaming ? (delta, kind) => {
+            if (streamClosed || !delta || res.writableEnded) return;
+            if (kind === 'reasoning') {
+                // 不支持思考过程的响应格式直接丢弃
+                if (!writer.reasoning) return;
+                streamedReasoning += delta;
+                writer.reasoning(delta);
+                return;
+            }
+            streamedText += delta;
+            writer.delta(delta);
+        } : undefined;
+        const hasStreamed = () => streamedText.length > 0 || streamedReasoning.length > 0;
+
         try {
             // 确保 Pool 已初始化
             if (!poolContext) {
                 poolContext = await initBrowser(config);
             }
 
+            // 找到可续接的会话时，附带会话位置和本轮输入，由 Pool 分发到原会话
+            const thread = conversationStore?.find(task.conversation);
+            const conversation = thread
+                ? { ...thread, prompt: task.conversation.prompt, imagePaths: task.conversation.imagePaths }
+                : null;
+            if (thread) {
+                logger.info('服务器', '续接会话', { id, worker: thread.worker });
+            }
+
             // 调用核心生图逻辑 (通过 Pool 分发)
-            const result = await generate(poolContext, prompt, imagePaths, modelId, { id });
+            const generateContext = isStreaming
+                ? createGenerateContext(task, { onDelta, hasStreamed, conversation })
+                : createGenerateContext(task, { conversation });
+            let result = await generate(generateContext, prompt, imagePaths, modelId, { id });
+            streamClosed = true;
 
             // 清除心跳
             if (heartbeatInterval) clearInterval(heartbeatInterval);
 
+            // 客户端已断开，不再返回结果
+            if (isCancelled(task)) {
+                logger.info('服务器', '任务已取消', { id });
+                return;
+            }
+
             // 处理结果
             if (result.error) {
                 // 生成失败：使用标准错误格式返回
-                sendApiError(res, {
+                writer.error({
                     code: ERROR_CODES.GENERATION_FAILED,
                     message: result.error,
-                    status: result.retryable ? 503 : 502,
-                    isStreaming
+                    status: result.retryable ? 503 : 502
                 });
                 return;
             }
 
-            // 生成成功
-            let finalContent = '';
-            if (result.image) {
-                // 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
-                if (result.image.startsWith('data:image/')) {
-                    finalContent = `![generated](${result.image})`;
+            // 生成成功：按配置将媒体结果替换为下载链接，否则优先使用原生格式返回
+            result = await linkMedia(task, result);
+            if (result.image && writer.completeImage && !hasStreamed()) {
+                await writer.completeImage(result.image);
+                logger.info('服务器', '媒体响应已发送', { id });
+                return;
+            }
+
+            const finalContent = formatResultContent(result);
+            logger.info('服务器', '结果已准备就绪', { id });
+
+            // 已增量输出时只补发尚未发送的部分 (适配器返回的最终结果可能已去除首尾空白，比较前同样去除已发送内容的开头空白)
+            let restContent = finalContent;
+            if (streamedText) {
+                const sentText = streamedText.trimStart();
+                if (finalContent.startsWith(sentText)) {
+                    restContent = finalContent.slice(sentText.length);
                 } else {
-                    finalContent = result.image;
+                    logger.debug('服务器', '增量内容与最终结果不一致，以已发送内容为准', { id });
+                    restContent = '';
                 }
-            } else {
-                finalContent = result.text || '生成失败';
             }
-            logger.info('服务器', '结果已准备就绪', { id });
+
+            // 思考过程同理；正文已开始输出后不再补发思考过程
+            let restReasoning = writer.reasoning ? (result.reasoning || '') : '';
+            if (streamedText) {
+                restReasoning = '';
+            } else if (streamedReasoning) {
+                const sentReasoning = streamedReasoning.trimStart();
+                restReasoning = restReasoning.startsWith(sentReasoning)
+                    ? restReasoning.slice(sentReasoning.length)
+                    : '';
+            }
+
+            // 记录会话位置，供下一轮请求续接
+            if (conversationStore && result.thread) {
+                conversationStore.remember(task.conversation, streamedText + restContent, result.thread);
+            }
 
             // 发送成功响应
             logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: finalContent.length });
+            writer.complete(restContent, hasStreamed(), restReasoning, result.citations);
             if (isStreaming) {
-                const chunk = buildChatCompletionChunk(finalContent, modelName);
-                sendSse(res, chunk);
-                sendSseDone(res);
                 logger.info('服务器', '流式响应已结束', { id });
             } else {
-                const response = buildChatCompletion(finalContent, modelName);
-                sendJson(res, 200, response);
                 logger.info('服务器', 'JSON 响应已发送', { id });
             }
 
         } catch (err) {
+            streamClosed = true;
             // 清除心跳
             if (heartbeatInterval) clearInterval(heartbeatInterval);
 
             logger.error('服务器', '任务处理失败', { id, error: err.message });
-            sendApiError(res, {
+            writer.error({
                 code: ERROR_CODES.INTERNAL_ERROR,
-                message: err.message,
-                isStreaming
+                message: err.message
             });
         }
     }
@@ -171,81 +1030,546 @@ export function createQueueManager(queueConfig, callbacks) {
     /**
      * 处理队列中的任务
      */
-    async function processQueue() {
-        // 如果正在处理的任务已满，或队列为空，则停止
-        if (processingCount >= maxConcurrent || queue.length === 0) {
-            // 队列空闲时，触发监控跳转
-            if (processingCount === 0 && queue.length === 0 && navigateToMonitor) {
-                navigateToMonitor().catch(() => { });
-            }
+    function processQueue() {
+        // 队列空闲时，触发监控跳转
+        if (processingCount === 0 && queue.length === 0) {
+            if (navigateToMonitor) navigateToMonitor().catch(() => { });
             return;
         }
 
-        // 取出下一个任务
-        const task = queue.shift();
+        // 按顺序检查等待中的任务，可处理它的 Worker 都在忙时跳过，不阻塞后面使用其他 Worker 的任务
+        for (let i = 0; i < queue.length;) {
+            const task = queue[i];
+            const workers = isPaused(task) ? null : reserveWorkers(task);
+            if (!workers) {
+                i++;
+                continue;
+            }
+            queue.splice(i, 1);
+            advanceVirtualTime(task);
+            runTask(task, workers);
+        }
+    }
+
+    /**
+     * 任务是否因管理员暂停调度而不能开始
+     * @param {TaskContext} task - 任务上下文
+     * @returns {boolean}
+     */
+    function isPaused(task) {
+        return paused || pausedModels.has(task.modelId);
+    }
+
+    /**
+     * 任务所属的调度流：同一调用方的同一优先级为一个流，流内按入队顺序处理
+     * @param {TaskContext} task - 任务上下文
+     * @returns {{tier: 'interactive'|'background', key: string}}
+     */
+    function getFlow(task) {
+        const tier = task.background ? 'background' : 'interactive';
+        return { tier, key: `${tier}:${task.priority}:${task.owner}` };
+    }
+
+    /**
+     * 计算任务的虚拟完成时间并插入队列
+     * 后台任务始终排在交互任务之后；同一层级内按虚拟完成时间排序，
+     * 每个流的任务依次累加 1 / 权重，使排队的调用方按权重轮流得到 Worker，不会被单个调用方的大量请求挤占
+     * @param {TaskContext} task - 任务上下文
+     */
+    function enqueue(task) {
+        const { tier, key } = getFlow(task);
+        const start = Math.max(virtualTime[tier], flowFinish.get(key) || 0);
+        task.finishTag = start + 1 / (PRIORITY_WEIGHTS[task.priority] * task.weight);
+        flowFinish.set(key, task.finishTag);
+
+        const background = !!task.background;
+        const index = queue.findIndex(t => background
+            ? t.background && t.finishTag > task.finishTag
+            : t.background || t.finishTag > task.finishTag);
+        if (index === -1) {
+            queue.push(task);
+        } else {
+            queue.splice(index, 0, task);
+        }
+    }
+
+    /**
+     * 任务开始处理时推进虚拟时间，流中已没有更晚入队的任务时移除该流
+     * @param {TaskContext} task - 任务上下文
+     */
+    function advanceVirtualTime(task) {
+        const { tier, key } = getFlow(task);
+        virtualTime[tier] = Math.max(virtualTime[tier], task.finishTag);
+        if (flowFinish.get(key) <= task.finishTag) flowFinish.delete(key);
+    }
+
+    /**
+     * 可处理任务的 Worker (按负载均衡策略排序，首次调度时获取)
+     * @param {TaskContext} task - 任务上下文
+     * @returns {string[]|null} 后端未提供 Worker 信息时返回 null
+     */
+    function getCandidateWorkers(task) {
+        if (task.candidateWorkers) return task.candidateWorkers;
+        const workers = getWorkers?.(task.modelId, task.imagePaths, task.size || null) || null;
+        if (workers) task.candidateWorkers = workers;
+        return workers;
+    }
+
+    /**
+     * 为任务预留空闲的 Worker
+     * 每个 Worker 同时只分配一个任务，n > 1 的任务最多预留 n 个；续接会话的任务优先使用会话所在的 Worker
+     * 同时处理的任务数始终不超过 maxConcurrent
+     * @param {TaskContext} task - 任务上下文
+     * @returns {string[]|null} 预留的 Worker，暂时不能开始时返回 null (无需预留时返回空数组)
+     */
+    function reserveWorkers(task) {
+        if (processingCount >= maxConcurrent) return null;
+
+        const candidates = getCandidateWorkers(task);
+        // 未知 Worker 时所有任务共用 maxConcurrent 个并发名额
+        if (!candidates) return [];
+        // 没有 Worker 支持该模型时不预留，由后端直接返回错误
+        if (candidates.length === 0) return [];
+
+        const free = candidates.filter(name => !reservedWorkers.has(name));
+        if (free.length === 0) return null;
+
+        const pinned = task.conversation && conversationStore?.peek(task.conversation)?.worker;
+        if (pinned && free.includes(pinned)) {
+            free.splice(free.indexOf(pinned), 1);
+            free.unshift(pinned);
+        }
+        return free.slice(0, Math.max(1, task.n || 1));
+    }
+
+    /**
+     * 在预留的 Worker 上处理任务，结束后释放 Worker 并调度下一个任务
+     * @param {TaskContext} task - 任务上下文
+     * @param {string[]} workers - 预留的 Worker
+     */
+    async function runTask(task, workers) {
         processingCount++;
         processingTasks.push(task);  // 添加到处理中列表
+        task.workers = workers;
+        for (const name of workers) reservedWorkers.set(name, task);
+        if (isPersisted(task)) taskStore.markProcessing(task.id);
+        task.startedAt = Date.now();
 
         try {
             await processTask(task);
         } finally {
+            recordDuration(task);
             // 从处理中列表移除
             const idx = processingTasks.indexOf(task);
             if (idx !== -1) processingTasks.splice(idx, 1);
+            for (const name of workers) reservedWorkers.delete(name);
+            if (isPersisted(task)) taskStore.removeTask(task.id);
             // 清理临时文件
             cleanupTask(task);
             processingCount--;
-            // 递归处理下一个任务
+            // 处理下一个任务
             processQueue();
         }
     }
 
+    /**
+     * 记录已完成任务的耗时 (取消的任务不计入)
+     * @param {TaskContext} task - 任务上下文
+     */
+    function recordDuration(task) {
+        if (!task.modelId || isCancelled(task)) return;
+        const samples = durations.get(task.modelId) || [];
+        samples.push(Date.now() - task.startedAt);
+        if (samples.length > DURATION_SAMPLES) samples.shift();
+        durations.set(task.modelId, samples);
+    }
+
+    /**
+     * 模型最近任务的平均耗时，没有该模型的样本时使用所有模型的平均值
+     * @param {string} modelId - 模型 ID
+     * @returns {number|null} 平均耗时 (毫秒)，尚无任何样本时返回 null
+     */
+    function getAverageDuration(modelId) {
+        const samples = durations.get(modelId) || [...durations.values()].flat();
+        if (samples.length === 0) return null;
+        return samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+    }
+
+    /**
+     * 估算等待中任务的排队位置及预计等待时间
+     * 按队列顺序模拟调度：处理中的 Worker 按平均耗时推算空闲时间，等待中的任务依次占用最早空闲的候选 Worker；
+     * 排队位置为排在前面、与该任务争用相同 Worker 的任务数 + 1
+     * @returns {Map<TaskContext, {position: number, eta: number|null, finishAt: number|null}>} eta 为预计开始处理前的等待时长 (毫秒)，
+     * finishAt 为预计结束时间，尚无耗时样本时均为 null
+     */
+    function estimateQueue() {
+        const now = Date.now();
+        const hasSamples = durations.size > 0;
+        // 后端未提供 Worker 信息时以并发名额代替 Worker
+        const slots = Array.from({ length: maxConcurrent }, (_, i) => `#${i}`);
+
+        /** @type {Map<string, number>} Worker -> 预计空闲时间 */
+        const freeAt = new Map();
+        let slotIndex = 0;
+        for (const task of processingTasks) {
+            const workers = task.workers?.length ? task.workers : [slots[slotIndex++ % slots.length]];
+            const finishAt = hasSamples ? task.startedAt + getAverageDuration(task.modelId) : now;
+            for (const name of workers) freeAt.set(name, Math.max(now, finishAt));
+        }
+
+        const estimates = new Map();
+        const ahead = [];
+        for (const task of queue) {
+            const candidates = getCandidateWorkers(task) || slots;
+            const position = ahead.filter(c => c.some(name => candidates.includes(name))).length + 1;
+            ahead.push(candidates);
+
+            // 暂停调度的任务无法预计开始时间
+            if (isPaused(task)) {
+                estimates.set(task, { position, eta: null, finishAt: null });
+                continue;
+            }
+            if (candidates.length === 0) {
+                estimates.set(task, { position, eta: hasSamples ? 0 : null, finishAt: null });
+                continue;
+            }
+            const chosen = candidates
+                .map(name => freeAt.get(name) ?? now)
+                .sort((a, b) => a - b)
+                .slice(0, Math.max(1, task.n || 1));
+            const start = chosen[chosen.length - 1];
+            const finishAt = hasSamples ? start + getAverageDuration(task.modelId) : now;
+            // n > 1 的任务占用多个 Worker，按最早空闲的几个计算
+            const busy = candidates.filter(name => (freeAt.get(name) ?? now) <= start).slice(0, chosen.length);
+            for (const name of busy) freeAt.set(name, finishAt);
+            estimates.set(task, { position, eta: hasSamples ? start - now : null, finishAt: hasSamples ? finishAt : null });
+        }
+        return estimates;
+    }
+
+    /**
+     * 向等待中的流式请求推送排队位置及预计等待时间 (秒)
+     */
+    function sendPositionUpdates() {
+        const waiting = queue.filter(t => t.isStreaming && t.res);
+        if (waiting.length === 0) return;
+
+        const estimates = estimateQueue();
+        for (const task of waiting) {
+            const { position, eta } = estimates.get(task);
+            // event 模式仅用于 OpenAI 格式的流：Anthropic 流须以 message_start 开头，Gemini 客户端忽略事件名、会把 queue 事件当作响应块解析
+            const mode = task.apiFormat === 'anthropic' || task.apiFormat === 'gemini' ? 'comment' : positionUpdates.mode;
+            sendQueueUpdate(task.res, mode, {
+                position,
+                eta_seconds: eta === null ? null : Math.ceil(eta / 1000)
+            });
+        }
+    }
+
+    /**
+     * 估算指定优先级的队列腾出名额的等待时间，用于 SERVER_BUSY 响应的 Retry-After
+     * 即该优先级中最早结束的任务 (处理中或等待中) 的预计剩余时间
+     * @param {'high'|'normal'|'low'} [priority='normal'] - 请求的优先级
+     * @returns {number|null} 秒数 (至少为 1)，尚无耗时样本时返回 null
+     */
+    function getRetryAfter(priority = 'normal') {
+        if (durations.size === 0) return null;
+
+        const finishTimes = processingTasks
+            .filter(t => !t.background && t.priority === priority)
+            .map(t => t.startedAt + getAverageDuration(t.modelId));
+        for (const [task, estimate] of estimateQueue()) {
+            if (!task.background && task.priority === priority && estimate.finishAt !== null) {
+                finishTimes.push(estimate.finishAt);
+            }
+        }
+        if (finishTimes.length === 0) return 1;
+        return Math.max(1, Math.ceil((Math.min(...finishTimes) - Date.now()) / 1000));
+    }
+
+    /**
+     * 任务是否需要持久化 (后台任务由批处理管理器自行恢复)
+     * @param {TaskContext} task - 任务上下文
+     * @returns {boolean}
+     */
+    function isPersisted(task) {
+        return !!taskStore && !task.background;
+    }
+
+    /**
+     * 保存任务参数，重启后据此重新入队
+     * 携带 Idempotency-Key 的请求一并保存幂等键 (记录响应的 idempotency)，重启后客户端以相同的键重试即可取回结果
+     * @param {TaskContext} task - 任务上下文
+     */
+    function persistTask(task) {
+        const payload = {};
+        for (const field of PERSISTED_FIELDS) {
+            if (task[field] !== undefined) payload[field] = task[field];
+        }
+        const headers = task.req?.headers || {};
+        payload.headers = Object.fromEntries(PERSISTED_HEADERS.filter(h => headers[h]).map(h => [h, headers[h]]));
+        payload.idempotency = task.res?.idempotency || null;
+        taskStore.saveTask(task.id, payload);
+    }
+
+    /**
+     * 恢复上次运行未结束的任务 (Pool 初始化后调用)
+     * - 异步任务交给任务管理器重新关联后入队
+     * - 携带 Idempotency-Key 的非流式请求重新入队，客户端以相同的键重试时挂接到任务或回放结果
+     * - 其余非流式请求转为异步任务重新入队，结果可通过 /v1/jobs/{请求 ID} 查询
+     * - 流式请求连接已断开、无法续传，标记为失败；多选项 (n > 1)、工具调用及结构化输出请求的结果无法以异步任务保存，同样标记为失败
+     * @param {object} handlers - 恢复回调
+     * @param {(task: TaskContext) => TaskContext|null} handlers.resumeJob - 重新关联异步任务，返回附带回调的任务 (异步任务已结束时返回 null)
+     * @param {(idempotency: {key: string, fingerprint: string}) => object|null} handlers.restoreResponse - 重新认领幂等键，返回记录响应 (未开启幂等请求时返回 null)
+     * @param {(task: TaskContext) => TaskContext} handlers.adoptTask - 将非流式请求转为异步任务，返回附带回调的任务
+     */
+    function recover(handlers) {
+        if (!taskStore) return;
+
+        let resumed = 0;
+        let failed = 0;
+        for (const { id, payload } of taskStore.listUnfinished()) {
+            const { headers, idempotency, ...fields } = payload;
+            /** @type {TaskContext} */
+            const task = { ...fields, id, req: { headers }, res: null };
+
+            let restored = null;
+            let error;
+            if (task.apiFormat === 'job') {
+                restored = handlers.resumeJob(task);
+                if (!restored) {
+                    taskStore.removeTask(id);
+                    continue;
+                }
+            } else if (task.isStreaming) {
+                error = '服务重启时流式连接已断开';
+            } else {
+                const res = idempotency && handlers.restoreResponse(idempotency);
+                if (res) {
+                    restored = { ...task, res };
+                } else if (task.n > 1 || task.tools || task.jsonFormat) {
+                    error = '服务重启时连接已断开，多选项、工具调用及结构化输出请求无法转为异步任务';
+                } else {
+                    // 未携带 Idempotency-Key (或未开启幂等请求) 时无法按原请求取回，结果改为保存在同 ID 的异步任务中
+                    restored = handlers.adoptTask(task);
+                    logger.info('服务器', '[队列] 请求已转为异步任务，结果可通过 /v1/jobs 查询', { id });
+                }
+            }
+
+            if (restored) {
+                addTask(restored);
+                resumed++;
+            } else {
+                taskStore.markFailed(id, error);
+                cleanupTask(task);
+                failed++;
+                logger.warn('服务器', `[队列] 任务无法恢复: ${error}`, { id });
+            }
+        }
+
+        if (resumed > 0 || failed > 0) {
+            logger.info('服务器', '[队列] 已恢复上次运行未结束的任务', { resumed, failed });
+        }
+    }
+
     /**
      * 添加任务到队列
      * @param {TaskContext} task - 任务上下文
      */
     function addTask(task) {
-        queue.push(task);
+        task.abortController = new AbortController();
+        // 监听客户端断开连接 (响应正常结束时同样触发 close，需排除)
+        if (task.res) {
+            task.res.on('close', () => {
+                if (!task.res.writableEnded) cancelTask(task);
+            });
+        }
+        task.priority = task.priority || 'normal';
+        task.owner = task.owner || DEFAULT_OWNER;
+        task.weight = task.weight || 1;
+        if (isPersisted(task)) persistTask(task);
+        enqueue(task);
+        // 入队前客户端已断开
+        if (task.res?.destroyed && !task.res.writableEnded) {
+            cancelTask(task);
+            return;
+        }
+        processQueue();
+    }
+
+    /**
+     * 按 ID 查找队列中的任务 (等待中或处理中)
+     * @param {string} id - 任务 ID
+     * @returns {TaskContext|null}
+     */
+    function findTask(id) {
+        return queue.find(t => t.id === id) || processingTasks.find(t => t.id === id) || null;
+    }
+
+    /**
+     * 管理员取消任务，连接仍打开的请求收到 TASK_CANCELLED 错误
+     * @param {string} id - 任务 ID
+     * @returns {boolean} 任务不存在或已取消时返回 false
+     */
+    function cancelById(id) {
+        const task = findTask(id);
+        if (!task || isCancelled(task)) return false;
+        cancelTask(task, 'admin');
+        return true;
+    }
+
+    /**
+     * 将等待中的任务移到所在层级 (交互/后台) 的队首
+     * 虚拟完成时间设为当前虚拟时间，开始处理时不推进虚拟时间，不影响其他调用方的公平调度
+     * @param {string} id - 任务 ID
+     * @returns {boolean} 任务不在等待中时返回 false
+     */
+    function moveToFront(id) {
+        const index = queue.findIndex(t => t.id === id);
+        if (index === -1) return false;
+
+        const [task] = queue.splice(index, 1);
+        task.finishTag = virtualTime[getFlow(task).tier];
+        const head = task.background ? queue.findIndex(t => t.background) : 0;
+        queue.splice(head === -1 ? queue.length : head, 0, task);
+
+        logger.info('服务器', '[队列] 任务已被管理员移到队首', { id });
+        return true;
+    }
+
+    /**
+     * 暂停调度：等待中的任务不再开始，处理中的任务不受影响
+     * @param {string} [modelId] - 只暂停该模型的任务，未指定时暂停全部
+     */
+    function pause(modelId) {
+        if (modelId) {
+            pausedModels.add(modelId);
+            logger.info('服务器', `[队列] 已暂停模型 ${modelId} 的调度`);
+        } else {
+            paused = true;
+            logger.info('服务器', '[队列] 已暂停调度');
+        }
+    }
+
+    /**
+     * 恢复调度 (全局恢复不影响单独暂停的模型)
+     * @param {string} [modelId] - 只恢复该模型的任务，未指定时恢复全局调度
+     */
+    function resume(modelId) {
+        if (modelId) {
+            pausedModels.delete(modelId);
+            logger.info('服务器', `[队列] 已恢复模型 ${modelId} 的调度`);
+        } else {
+            paused = false;
+            logger.info('服务器', '[队列] 已恢复调度');
+        }
         processQueue();
     }
 
+    /**
+     * 开启或关闭排空：开启后路由拒绝新任务 (SERVER_DRAINING)，已接受的任务 (含批处理中的剩余请求) 照常处理
+     * @param {boolean} enabled - 是否排空
+     */
+    function setDraining(enabled) {
+        draining = enabled;
+        logger.info('服务器', enabled ? '[队列] 开始排空，不再接受新任务' : '[队列] 已结束排空，恢复接受新任务', { remaining: processingCount + queue.length });
+    }
+
+    /**
+     * 是否正在排空 (路由据此拒绝新任务)
+     * @returns {boolean}
+     */
+    function isDraining() {
+        return draining;
+    }
+
     /**
      * 获取当前队列状态
-     * @returns {{queueLength: number, processing: number, total: number}}
+     * byPriority 为各优先级的交互任务数 (处理中 + 等待中)，用于按优先级限流
+     * paused、pausedModels、draining 为管理员的调度控制状态
+     * @returns {{queueLength: number, processing: number, total: number, background: number, byPriority: Object<string, number>, cancelled: number, paused: boolean, pausedModels: string[], draining: boolean}}
      */
     function getStatus() {
+        const byPriority = Object.fromEntries(Object.keys(PRIORITY_WEIGHTS).map(p => [p, 0]));
+        for (const t of [...processingTasks, ...queue]) {
+            if (!t.background) byPriority[t.priority]++;
+        }
         return {
             queueLength: queue.length,
             processing: processingCount,
-            total: processingCount + queue.length
+            total: processingCount + queue.length,
+            background: countBackground(processingTasks) + countBackground(queue),
+            byPriority,
+            cancelled: cancelledCount,
+            paused,
+            pausedModels: [...pausedModels],
+            draining
         };
     }
 
     /**
      * 获取详细队列状态（包含任务列表）
-     * @returns {{processing: object[], waiting: object[]}}
+     * 任务附带优先级 (priority) 及调用方 (owner)；处理中的任务附带占用的 Worker (workers)，等待中的任务附带可处理它的 Worker (waitingFor，为空表示不区分 Worker)
+     * 等待中的任务附带排队位置 (position)、预计等待秒数 (eta，尚无耗时样本或已暂停调度时为 null) 及是否暂停调度 (paused)；interrupted 为重启后无法恢复的任务
+     * @returns {{processing: object[], waiting: object[], cancelled: object[], interrupted: object[]}}
      */
     function getDetailedStatus() {
+        const estimates = estimateQueue();
         return {
             processing: processingTasks.map(t => ({
                 id: t.id,
                 model: t.modelName || t.modelId,
-                isStreaming: t.isStreaming
+                isStreaming: t.isStreaming,
+                background: !!t.background,
+                priority: t.priority,
+                owner: t.owner,
+                workers: t.workers || []
             })),
             waiting: queue.map(t => ({
                 id: t.id,
                 model: t.modelName || t.modelId,
-                isStreaming: t.isStreaming
-            }))
+                isStreaming: t.isStreaming,
+                background: !!t.background,
+                priority: t.priority,
+                owner: t.owner,
+                waitingFor: getCandidateWorkers(t) || [],
+                position: estimates.get(t).position,
+                eta: estimates.get(t).eta === null ? null : Math.ceil(estimates.get(t).eta / 1000),
+                paused: isPaused(t)
+            })),
+            cancelled: recentCancelled.slice(),
+            interrupted: taskStore ? taskStore.listFailed(RECENT_CANCELLED_LIMIT).map(r => ({
+                id: r.id,
+                model: r.payload.modelName || r.payload.modelId,
+                isStreaming: r.payload.isStreaming,
+                error: r.error,
+                failedAt: r.updatedAt
+            })) : []
         };
     }
 
     /**
-     * 检查是否可以接受新请求（非流式）
+     * 统计后台任务数
+     * @param {TaskContext[]} tasks - 任务列表
+     * @returns {number}
+     */
+    function countBackground(tasks) {
+        return tasks.filter(t => t.background).length;
+    }
+
+    /**
+     * 检查是否可以接受新请求（非流式），后台任务不计入
+     * 所有优先级共用同一队列上限，每个更高的优先级在其中预留一部分空位：
+     * 低优先级请求在队列接近上限时先被拒绝，高优先级请求可用满整个队列
+     * @param {'high'|'normal'|'low'} [priority='normal'] - 请求的优先级
      * @returns {boolean}
      */
-    function canAcceptNonStreaming() {
-        return processingCount + queue.length < effectiveQueueSize;
+    function canAcceptNonStreaming(priority = 'normal') {
+        if (effectiveQueueSize === Infinity) return true;
+        const total = Object.values(getStatus().byPriority).reduce((sum, count) => sum + count, 0);
+        const headroom = Math.ceil(effectiveQueueSize * PRIORITY_HEADROOM);
+        const limit = Math.max(1, effectiveQueueSize - headroom * PRIORITIES.indexOf(priority));
+        return total < limit;
     }
 
     /**
@@ -283,10 +1607,20 @@ export function createQueueManager(queueConfig, callbacks) {
     }
 
     return {
+        maxQueueSize: effectiveQueueSize,
         addTask,
+        recover,
+        cleanupTask,
         getStatus,
         getDetailedStatus,
         canAcceptNonStreaming,
+        getRetryAfter,
+        cancelById,
+        moveToFront,
+        pause,
+        resume,
+        setDraining,
+        isDraining,
         initializePool,
         getPoolContext,
         getWorkerCookies
@@ -3,7 +3,7 @@
  * @description 封装 JSON、SSE 响应和错误响应的统一处理函数
  */
 
-import { getErrorDetails } from './errors.js';
+import { getErrorDetails, getAnthropicErrorType, getGeminiErrorStatus } from './errors.js';
 
 /**
  * 发送 JSON 响应
@@ -65,6 +65,22 @@ export function sendHeartbeat(res, mode, modelName) {
     }
 }
 
+/**
+ * 发送排队进度 (等待中的流式请求)
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {'comment'|'event'} mode - comment: SSE 注释 (客户端通常直接忽略)，event: 自定义 queue 事件
+ * @param {{position: number, eta_seconds: number|null}} payload - 排队位置及预计等待时间
+ */
+export function sendQueueUpdate(res, mode, payload) {
+    if (res.writableEnded) return;
+
+    if (mode === 'event') {
+        res.write(`event: queue\ndata: ${JSON.stringify(payload)}\n\n`);
+    } else {
+        res.write(`: queue ${JSON.stringify(payload)}\n\n`);
+    }
+}
+
 /**
  * 发送统一 API 错误响应 (OpenAI 标准格式)
  * @param {import('http').ServerResponse} res - HTTP 响应对象
@@ -102,13 +118,40 @@ export function sendApiError(res, options) {
     }
 }
 
+/**
+ * 将搜索引用转换为 OpenAI 格式的 url_citation 注释
+ * @param {import('../backend/utils/citations.js').Citation[]} citations - 搜索引用
+ * @param {number} [offset=0] - 正文前插入内容 (如 <think> 标签) 的长度，用于修正引用位置
+ * @returns {object[]}
+ */
+export function buildAnnotations(citations, offset = 0) {
+    return citations.map(({ url, title, span }) => {
+        const urlCitation = { url, title: title || url };
+        if (span) {
+            urlCitation.start_index = span.start + offset;
+            urlCitation.end_index = span.end + offset;
+        }
+        return { type: 'url_citation', url_citation: urlCitation };
+    });
+}
+
 /**
  * 构造 OpenAI 格式的聊天完成响应（非流式）
- * @param {string} content - 响应内容
+ * @param {string|null} content - 响应内容
  * @param {string} [modelName] - 模型名称
+ * @param {string} [reasoning] - 思考过程，有值时以 reasoning_content 字段返回
+ * @param {import('./tools.js').ToolCall[]} [toolCalls] - 工具调用，有值时 finish_reason 为 tool_calls
+ * @param {object[]} [annotations] - url_citation 注释 (见 buildAnnotations)
  * @returns {object} OpenAI 格式的响应对象
  */
-export function buildChatCompletion(content, modelName) {
+export function buildChatCompletion(content, modelName, reasoning, toolCalls, annotations) {
+    const message = {
+        role: 'assistant',
+        content: content
+    };
+    if (reasoning) message.reasoning_content = reasoning;
+    if (toolCalls?.length) message.tool_calls = toolCalls;
+    if (annotations?.length) message.annotations = annotations;
     return {
         id: 'chatcmpl-' + Date.now(),
         object: 'chat.completion',
@@ -116,32 +159,216 @@ export function buildChatCompletion(content, modelName) {
         model: modelName || 'default-model',
         choices: [{
             index: 0,
-            message: {
-                role: 'assistant',
-                content: content
-            },
-            finish_reason: 'stop'
+            message,
+            finish_reason: toolCalls?.length ? 'tool_calls' : 'stop'
         }]
     };
 }
 
+/**
+ * 构造包含多个 choice 的聊天完成响应 (n > 1)
+ * 失败的 choice 以 finish_reason: 'error' 和 error 字段返回
+ * @param {Array<{content?: string, reasoning?: string, annotations?: object[], error?: {code: string, message: string}}>} results - 每个 choice 的结果
+ * @param {string} [modelName] - 模型名称
+ * @returns {object} OpenAI 格式的响应对象
+ */
+export function buildChatCompletionChoices(results, modelName) {
+    return {
+        id: 'chatcmpl-' + Date.now(),
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: modelName || 'default-model',
+        choices: results.map((result, index) => {
+            const choice = {
+                index,
+                message: {
+                    role: 'assistant',
+                    content: result.error ? null : result.content
+                },
+                finish_reason: result.error ? 'error' : 'stop'
+            };
+            if (result.reasoning && !result.error) choice.message.reasoning_content = result.reasoning;
+            if (result.annotations?.length && !result.error) choice.message.annotations = result.annotations;
+            if (result.error) choice.error = result.error;
+            return choice;
+        })
+    };
+}
+
 /**
  * 构造 OpenAI 格式的流式聊天完成响应块
- * @param {string} content - 响应内容
+ * @param {string|null} content - 响应内容，仅含思考过程的块为 null
  * @param {string} [modelName] - 模型名称
  * @param {string|null} [finishReason='stop'] - 完成原因
+ * @param {number} [index=0] - choice 序号
+ * @param {string} [reasoning] - 思考过程片段，有值时以 reasoning_content 字段返回
  * @returns {object} OpenAI 格式的流式响应块
  */
-export function buildChatCompletionChunk(content, modelName, finishReason = 'stop') {
+export function buildChatCompletionChunk(content, modelName, finishReason = 'stop', index = 0, reasoning) {
+    const delta = { content };
+    if (reasoning) delta.reasoning_content = reasoning;
     return {
         id: 'chatcmpl-' + Date.now(),
         object: 'chat.completion.chunk',
         created: Math.floor(Date.now() / 1000),
         model: modelName || 'default-model',
         choices: [{
-            index: 0,
-            delta: { content },
+            index,
+            delta,
             finish_reason: finishReason
         }]
     };
 }
+
+/**
+ * 构造 OpenAI 格式的流式工具调用响应块
+ * 每个调用一次性给出完整的名称和参数
+ * @param {import('./tools.js').ToolCall[]} toolCalls - 工具调用
+ * @param {string} [modelName] - 模型名称
+ * @returns {object} OpenAI 格式的流式响应块
+ */
+export function buildToolCallsChunk(toolCalls, modelName) {
+    return {
+        id: 'chatcmpl-' + Date.now(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: modelName || 'default-model',
+        choices: [{
+            index: 0,
+            delta: {
+                tool_calls: toolCalls.map((call, index) => ({ index, ...call }))
+            },
+            finish_reason: null
+        }]
+    };
+}
+
+/**
+ * 构造 OpenAI 格式的图片生成响应
+ * @param {Array<{b64_json?: string, url?: string, revised_prompt?: string}>} items - 图片结果列表
+ * @param {Array<{index: number, code: string, message: string}>} [errors] - 部分失败时各子任务的错误
+ * @returns {object} OpenAI Images API 格式的响应对象
+ */
+export function buildImagesResponse(items, errors) {
+    const response = {
+        created: Math.floor(Date.now() / 1000),
+        data: items
+    };
+    if (errors?.length) response.errors = errors;
+    return response;
+}
+
+/**
+ * 发送带事件名的 SSE 事件 (Anthropic 格式)
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {string} event - 事件名
+ * @param {object} payload - 事件数据
+ */
+export function sendSseEvent(res, event, payload) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * 发送 Anthropic 格式的错误响应
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项 (同 sendApiError)
+ * @param {string} [options.code] - 错误码（使用 ERROR_CODES 枚举）
+ * @param {string} [options.message] - 自定义错误消息
+ * @param {number} [options.status] - 自定义 HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否为流式响应
+ */
+export function sendAnthropicError(res, options) {
+    const { code, message, status, isStreaming = false } = options;
+
+    const details = code ? getErrorDetails(code) : null;
+    const httpStatus = status || (details ? details.status : 500);
+
+    const payload = {
+        type: 'error',
+        error: {
+            type: getAnthropicErrorType(httpStatus),
+            message: message || (details ? details.message : '未知错误')
+        }
+    };
+
+    if (isStreaming) {
+        sendSseEvent(res, 'error', payload);
+        if (!res.writableEnded) res.end();
+    } else {
+        sendJson(res, httpStatus, payload);
+    }
+}
+
+/**
+ * 构造 Anthropic 格式的消息对象
+ * @param {string} id - 消息 ID
+ * @param {string} content - 响应内容 (流式开始时为空)
+ * @param {string} [modelName] - 模型名称
+ * @param {string|null} [stopReason='end_turn'] - 停止原因
+ * @returns {object} Anthropic Messages API 格式的消息对象
+ */
+export function buildAnthropicMessage(id, content, modelName, stopReason = 'end_turn') {
+    return {
+        id,
+        type: 'message',
+        role: 'assistant',
+        model: modelName || 'default-model',
+        content: content ? [{ type: 'text', text: content }] : [],
+        stop_reason: stopReason,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+    };
+}
+
+/**
+ * 发送 Google API 格式的错误响应
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项 (同 sendApiError)
+ * @param {string} [options.code] - 错误码（使用 ERROR_CODES 枚举）
+ * @param {string} [options.message] - 自定义错误消息
+ * @param {number} [options.status] - 自定义 HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否为流式响应
+ */
+export function sendGeminiError(res, options) {
+    const { code, message, status, isStreaming = false } = options;
+
+    const details = code ? getErrorDetails(code) : null;
+    const httpStatus = status || (details ? details.status : 500);
+
+    const payload = {
+        error: {
+            code: httpStatus,
+            message: message || (details ? details.message : '未知错误'),
+            status: getGeminiErrorStatus(httpStatus)
+        }
+    };
+
+    if (isStreaming) {
+        sendSse(res, payload);
+        if (!res.writableEnded) res.end();
+    } else {
+        sendJson(res, httpStatus, payload);
+    }
+}
+
+/**
+ * 构造 Gemini 格式的 generateContent 响应
+ * @param {object[]} parts - 内容片段 ({text} 或 {inlineData: {mimeType, data}})
+ * @param {string} [modelName] - 模型名称
+ * @param {string|null} [finishReason='STOP'] - 完成原因 (流式中间块为 null)
+ * @returns {object} Gemini GenerateContentResponse 格式的响应对象
+ */
+export function buildGeminiResponse(parts, modelName, finishReason = 'STOP') {
+    const candidate = {
+        content: { role: 'model', parts },
+        index: 0
+    };
+    if (finishReason) candidate.finishReason = finishReason;
+
+    return {
+        candidates: [candidate],
+        usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 },
+        modelVersion: modelName || 'default-model'
+    };
+}
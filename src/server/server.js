@@ -4,8 +4,22 @@
  *
  * 支持的端点：
  * - GET  /v1/models          - 获取可用模型列表
+ * - GET  /v1/models/{id}     - 获取模型能力及当前可用状态
  * - GET  /v1/cookies         - 获取当前浏览器 Cookies
  * - POST /v1/chat/completions - 生成图像（OpenAI 兼容格式）
+ * - POST /v1/images/generations - 生成图像（OpenAI Images API 格式）
+ * - POST /v1/images/edits    - 编辑图像（multipart/form-data）
+ * - POST /v1/images/variations - 图像变体（multipart/form-data）
+ * - POST /v1/messages        - 对话生成（Anthropic Messages 兼容格式）
+ * - POST /v1beta/models/{model}:generateContent - 内容生成（Gemini 兼容格式，另有 :streamGenerateContent）
+ * - POST /v1/jobs            - 提交异步任务（请求体同 chat/completions，/v1/videos 为视频简化格式）
+ * - GET  /v1/jobs/{id}       - 查询异步任务状态与进度
+ * - GET  /v1/jobs/{id}/content - 下载异步任务结果文件
+ * - GET  /v1/media/{id}      - 下载生成的媒体文件（鉴权或带签名链接）
+ * - POST /v1/files           - 上传批处理输入文件（multipart/form-data，purpose: batch）
+ * - GET  /v1/files[/{id}[/content]] - 列出文件、查询文件信息、下载文件内容（DELETE /v1/files/{id} 删除）
+ * - POST /v1/batches         - 创建批处理（OpenAI Batch API 格式，后台执行）
+ * - GET  /v1/batches[/{id}]  - 列出或查询批处理（POST /v1/batches/{id}/cancel 取消）
  *
  * 启动方式：
  * - 通过 supervisor.js 启动（推荐，支持自动重启和 Xvfb 管理）
@@ -16,6 +30,7 @@
  */
 
 import http from 'http';
+import path from 'path';
 
 // ==================== 启动前自检 ====================
 import { runPreflight } from './preflight.js';
@@ -23,7 +38,7 @@ runPreflight();
 // ==================== 加载其他依赖 ====================
 const { getBackend } = await import('../backend/index.js');
 const { logger } = await import('../utils/logger.js');
-const { createQueueManager, createGlobalRouter } = await import('./index.js');
+const { createQueueManager, createJobManager, createMediaStore, createConversationStore, createIdempotencyStore, createPriorityResolver, createTaskStore, createFileStore, createBatchManager, createGlobalRouter } = await import('./index.js');
 const { isUnderSupervisor } = await import('../utils/ipc.js');
 
 // ==================== 初始化配置 ====================
@@ -45,10 +60,13 @@ const {
     name: backendName,
     initBrowser,
     generate,
+    generateBatch,
     TEMP_DIR,
     getModels,
+    getModel,
     getImagePolicy,
-    getModelType
+    getModelType,
+    getModelSizes
 } = backend;
 
 /** @type {number} 服务器端口 */
@@ -60,6 +78,9 @@ const AUTH_TOKEN = config.server?.auth;
 /** @type {string} 心跳模式 */
 const KEEPALIVE_MODE = config.server?.keepalive?.mode || 'comment';
 
+/** @type {string} 思考过程输出方式 */
+const REASONING_MODE = config.server?.reasoning?.mode || 'field';
+
 /** @type {number} 最大并发数 */
 const MAX_CONCURRENT = config.queue?.maxConcurrent || 1;
 
@@ -69,8 +90,77 @@ const QUEUE_BUFFER = config.queue?.queueBuffer ?? 2;
 /** @type {number} 图片数量限制 */
 const IMAGE_LIMIT = config.queue?.imageLimit || 5;
 
+/** @type {number} 单个上传文件大小上限（字节） */
+const MAX_UPLOAD_SIZE = (config.queue?.maxUploadSize || 20) * 1024 * 1024;
+
+/** @type {import('./fetcher.js').RemoteImageOptions} 远程图片下载选项 */
+const REMOTE_IMAGE = {
+    maxSize: (config.queue?.remoteImage?.maxSize || 20) * 1024 * 1024,
+    timeout: (config.queue?.remoteImage?.timeout || 15) * 1000,
+    maxRedirects: config.queue?.remoteImage?.maxRedirects ?? 3,
+    allowlist: config.queue?.remoteImage?.allowlist || []
+};
+
+/** @type {number} 单次请求 n 的上限 */
+const MAX_N = config.queue?.maxN || 10;
+
+/** @type {number} 结构化输出校验失败时的重试次数 */
+const JSON_RETRIES = config.queue?.jsonRetries ?? 2;
+
+/** @type {number} 异步任务结果保留时长（毫秒） */
+const JOB_TTL = (config.queue?.jobTtl || 60) * 60 * 1000;
+
+/** @type {number} 批处理输入文件大小上限（字节） */
+const BATCH_MAX_FILE_SIZE = (config.queue?.batch?.maxFileSize || 100) * 1024 * 1024;
+
+/** @type {boolean} 对话接口是否以链接形式返回媒体结果 */
+const MEDIA_RETURN_URL = config.queue?.media?.returnUrl || false;
+
 // ==================== 创建服务组件 ====================
 
+/**
+ * 媒体存储：生成的图片/视频保存在 data/media，按 TTL 清理
+ */
+const mediaStore = createMediaStore({
+    dir: path.join(process.cwd(), 'data', 'media'),
+    ttl: (config.queue?.media?.ttl || 1440) * 60 * 1000,
+    secret: AUTH_TOKEN,
+    baseUrl: config.queue?.media?.baseUrl
+});
+
+/**
+ * 会话存储：记录网页会话位置，多轮对话在原会话中续接 (需开启 queue.conversation.enabled)
+ */
+const conversationStore = config.queue?.conversation?.enabled
+    ? createConversationStore({ ttl: (config.queue.conversation.ttl || 60) * 60 * 1000 })
+    : null;
+
+/**
+ * 幂等请求存储：携带 Idempotency-Key 的重复请求挂接到原任务或回放已保存的响应
+ */
+const idempotencyStore = config.queue?.idempotency?.enabled !== false
+    ? createIdempotencyStore({
+        ttl: (config.queue?.idempotency?.ttl || 60) * 60 * 1000,
+        maxEntries: config.queue?.idempotency?.maxEntries || 1000,
+        maxSize: (config.queue?.idempotency?.maxSize || 100) * 1024 * 1024
+    })
+    : null;
+
+/**
+ * 任务存储：等待及处理中的任务、异步任务状态保存在 data/tasks.db，重启后恢复 (需开启 queue.persistence.enabled)
+ */
+const taskStore = config.queue?.persistence?.enabled
+    ? createTaskStore({ file: path.join(process.cwd(), 'data', 'tasks.db') })
+    : null;
+
+/**
+ * 优先级解析器：按 X-Priority 请求头或调用方 (user 字段) 的默认值确定请求优先级
+ */
+const priorityResolver = createPriorityResolver({
+    defaultPriority: config.queue?.priority?.default || 'normal',
+    users: config.queue?.priority?.users || {}
+});
+
 /**
  * 队列管理器：负责任务队列、并发控制和心跳机制
  */
@@ -78,12 +168,24 @@ const queueManager = createQueueManager(
     {
         maxConcurrent: MAX_CONCURRENT,
         queueBuffer: QUEUE_BUFFER,
-        keepaliveMode: KEEPALIVE_MODE
+        keepaliveMode: KEEPALIVE_MODE,
+        reasoningMode: REASONING_MODE,
+        jsonRetries: JSON_RETRIES,
+        returnUrl: MEDIA_RETURN_URL,
+        positionUpdates: {
+            mode: config.queue?.positionUpdates?.mode || 'comment',
+            interval: config.queue?.positionUpdates?.interval || 5
+        }
     },
     {
         initBrowser,
         generate,
+        generateBatch,
+        getWorkers: backend.getWorkers,
         config,
+        mediaStore,
+        conversationStore,
+        taskStore,
         navigateToMonitor: backend.navigateToMonitor
             ? () => backend.navigateToMonitor()
             : null,
@@ -93,6 +195,45 @@ const queueManager = createQueueManager(
     }
 );
 
+/**
+ * 异步任务管理器：任务经由队列执行，结果文件按 TTL 保留
+ */
+const jobManager = createJobManager({
+    queueManager,
+    tempDir: TEMP_DIR,
+    ttl: JOB_TTL,
+    taskStore
+});
+
+/**
+ * 文件存储：批处理的输入及结果文件保存在 data/files
+ */
+const fileStore = createFileStore({
+    dir: path.join(process.cwd(), 'data', 'files')
+});
+
+/**
+ * 批处理管理器：逐行作为后台任务送入队列，状态保存在 data/batches，重启后继续处理
+ */
+const batchManager = createBatchManager({
+    queueManager,
+    fileStore,
+    dir: path.join(process.cwd(), 'data', 'batches'),
+    concurrency: config.queue?.batch?.concurrency || 1,
+    maxRequests: config.queue?.batch?.maxRequests || 50000,
+    parseOptions: {
+        tempDir: TEMP_DIR,
+        imageLimit: IMAGE_LIMIT,
+        remoteImage: REMOTE_IMAGE,
+        maxN: MAX_N,
+        backendName,
+        getModel,
+        getImagePolicy,
+        getModelType,
+        getModelSizes
+    }
+});
+
 // ==================== 创建路由 ====================
 
 /**
@@ -114,11 +255,23 @@ const handleRequest = createGlobalRouter({
     authToken: AUTH_TOKEN,
     backendName,
     getModels,
+    getModel,
     getImagePolicy,
     getModelType,
+    getModelSizes,
     tempDir: TEMP_DIR,
     imageLimit: IMAGE_LIMIT,
+    maxUploadSize: MAX_UPLOAD_SIZE,
+    remoteImage: REMOTE_IMAGE,
+    maxN: MAX_N,
     queueManager,
+    jobManager,
+    mediaStore,
+    idempotencyStore,
+    priorityResolver,
+    fileStore,
+    batchManager,
+    batchMaxFileSize: BATCH_MAX_FILE_SIZE,
     config,
     loginMode: isLoginMode,
     getSafeMode: () => ({ enabled: safeMode, reason: safeModeReason })
@@ -140,6 +293,13 @@ async function startServer() {
     // 预先启动工作池（失败时进入安全模式）
     try {
         await queueManager.initializePool();
+        // 恢复上次运行未结束的任务及批处理
+        queueManager.recover({
+            resumeJob: task => jobManager.resume(task),
+            restoreResponse: ({ key, fingerprint }) => idempotencyStore?.restore(key, fingerprint) || null,
+            adoptTask: task => jobManager.adopt(task)
+        });
+        batchManager.start();
     } catch (err) {
         logger.error('服务器', '工作池初始化失败', { error: err.message });
         logger.warn('服务器', '进入安全模式：WebUI 和 Admin API 可用，OpenAI API 不可用');
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview 图片尺寸映射模块
+ * @description 将请求中的 size (宽x高)、aspect_ratio 等参数映射为模型声明支持的宽高比与分辨率
+ */
+
+/** 宽高比匹配的相对误差上限 (如 1792x1024 视为 16:9) */
+const RATIO_TOLERANCE = 0.05;
+
+/**
+ * @typedef {object} ModelSizes
+ * @property {string[]} aspectRatios - 支持的宽高比 (如 16:9)，为空表示模型不支持选择宽高比
+ * @property {string[]} resolutions - 支持的分辨率档位 (如 1K、2K)，为空表示模型不支持选择分辨率
+ */
+
+/**
+ * @typedef {object} ImageSize
+ * @property {string} [aspectRatio] - 宽高比，取值为模型声明的宽高比之一
+ * @property {string} [resolution] - 分辨率档位，取值为模型声明的分辨率之一
+ */
+
+/**
+ * 将宽高比字符串转换为数值
+ * @param {string} ratio - 宽高比 (如 16:9)
+ * @returns {number|null}
+ */
+function ratioValue(ratio) {
+    const match = String(ratio).trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) return null;
+    return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * 将分辨率档位转换为长边像素数 (1K = 1024)
+ * @param {string} resolution - 分辨率档位
+ * @returns {number|null}
+ */
+function resolutionPixels(resolution) {
+    const match = String(resolution).trim().match(/^(\d+(?:\.\d+)?)K$/i);
+    return match ? Number(match[1]) * 1024 : null;
+}
+
+/**
+ * 在支持的宽高比中查找与请求最接近的一个
+ * @param {number} value - 请求的宽高比数值
+ * @param {string[]} supported - 支持的宽高比
+ * @returns {string|null} 超出误差范围时返回 null
+ */
+function matchAspectRatio(value, supported) {
+    let best = null;
+    let bestDiff = Infinity;
+    for (const ratio of supported) {
+        const diff = Math.abs(ratioValue(ratio) - value) / value;
+        if (diff < bestDiff) {
+            best = ratio;
+            bestDiff = diff;
+        }
+    }
+    return bestDiff <= RATIO_TOLERANCE ? best : null;
+}
+
+/**
+ * 在支持的分辨率中选择不小于请求长边的最小档位
+ * @param {number} pixels - 请求的长边像素数
+ * @param {string[]} supported - 支持的分辨率
+ * @returns {string|null} 超出最大档位时返回 null
+ */
+function matchResolution(pixels, supported) {
+    const candidates = supported
+        .map(resolution => ({ resolution, pixels: resolutionPixels(resolution) }))
+        .filter(c => c.pixels !== null && c.pixels >= pixels)
+        .sort((a, b) => a.pixels - b.pixels);
+    return candidates[0]?.resolution || null;
+}
+
+/**
+ * 生成尺寸不受支持时的错误信息
+ * @param {string} requested - 请求的尺寸描述
+ * @param {ModelSizes} sizes - 模型支持的尺寸
+ * @returns {string}
+ */
+function unsupportedError(requested, sizes) {
+    const parts = [];
+    if (sizes.aspectRatios.length) parts.push(`宽高比 ${sizes.aspectRatios.join(', ')}`);
+    if (sizes.resolutions.length) parts.push(`分辨率 ${sizes.resolutions.join(', ')}`);
+    return `该模型不支持尺寸 ${requested}，支持的${parts.join('；')}`;
+}
+
+/**
+ * 将请求的尺寸参数映射为模型支持的宽高比与分辨率
+ * 模型未声明的维度直接忽略，已声明的维度不匹配时返回错误
+ * @param {object} request - 尺寸参数
+ * @param {string|null} [request.size] - 宽x高 (如 1792x1024)，auto 表示不指定
+ * @param {string|null} [request.aspectRatio] - 宽高比 (如 16:9)，优先于 size 推算的宽高比
+ * @param {string|null} [request.resolution] - 分辨率档位 (如 2K)，优先于 size 推算的分辨率
+ * @param {ModelSizes} sizes - 模型支持的尺寸
+ * @returns {{size: ImageSize|null}|{error: string}} 未指定尺寸或模型不支持选择尺寸时 size 为 null
+ */
+export function resolveImageSize(request, sizes) {
+    const { size, aspectRatio, resolution } = request;
+
+    let width = null;
+    let height = null;
+    if (size !== undefined && size !== null && size !== 'auto') {
+        const match = typeof size === 'string' && size.match(/^(\d+)x(\d+)$/);
+        if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+            return { error: `size 格式无效: ${size}，应为 宽x高 (如 1024x1024)` };
+        }
+        width = Number(match[1]);
+        height = Number(match[2]);
+    }
+
+    let ratio = width ? width / height : null;
+    if (aspectRatio !== undefined && aspectRatio !== null) {
+        ratio = ratioValue(aspectRatio);
+        if (ratio === null) {
+            return { error: `aspect_ratio 格式无效: ${aspectRatio}，应为 宽:高 (如 16:9)` };
+        }
+    }
+
+    let pixels = width ? Math.max(width, height) : null;
+    if (resolution !== undefined && resolution !== null) {
+        pixels = resolutionPixels(resolution);
+        if (pixels === null) {
+            return { error: `分辨率格式无效: ${resolution}，应为 1K、2K 等` };
+        }
+    }
+
+    const result = {};
+    if (ratio !== null && sizes.aspectRatios.length) {
+        result.aspectRatio = matchAspectRatio(ratio, sizes.aspectRatios);
+        if (!result.aspectRatio) {
+            return { error: unsupportedError(aspectRatio || size, sizes) };
+        }
+    }
+    if (pixels !== null && sizes.resolutions.length) {
+        result.resolution = matchResolution(pixels, sizes.resolutions);
+        if (!result.resolution) {
+            return { error: unsupportedError(resolution || size, sizes) };
+        }
+    }
+
+    return { size: Object.keys(result).length ? result : null };
+}
+
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview 结构化输出模块
+ * @description 实现 response_format (json_object / json_schema)：在提示词中要求 JSON 输出，从回复中提取 JSON 并按 Schema 校验
+ */
+
+/** 单次校验最多报告的错误条数 */
+const MAX_ERRORS = 10;
+
+/**
+ * @typedef {object} ResponseFormat
+ * @property {'json_object'|'json_schema'} type - 输出格式
+ * @property {string} [name] - Schema 名称 (仅 json_schema)
+ * @property {object} [schema] - JSON Schema (仅 json_schema)
+ */
+
+/**
+ * 校验并规范化请求中的 response_format
+ * @param {object} data - 请求体数据
+ * @returns {{format: ResponseFormat|null}|{error: string}} 未指定或为 text 时 format 为 null
+ */
+export function normalizeResponseFormat(data) {
+    const responseFormat = data.response_format;
+    if (responseFormat === undefined || responseFormat === null || responseFormat.type === 'text') {
+        return { format: null };
+    }
+
+    if (responseFormat.type === 'json_object') {
+        return { format: { type: 'json_object' } };
+    }
+
+    if (responseFormat.type === 'json_schema') {
+        const { name, schema } = responseFormat.json_schema || {};
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return { error: 'response_format.json_schema.schema 必须是 JSON Schema 对象' };
+        }
+        return { format: { type: 'json_schema', name, schema } };
+    }
+
+    return { error: 'response_format.type 必须是 text、json_object 或 json_schema' };
+}
+
+/**
+ * 构建输出格式提示词
+ * @param {ResponseFormat} format - 输出格式
+ * @returns {string}
+ */
+export function buildFormatPrompt(format) {
+    const lines = ['=== 输出格式 ==='];
+    if (format.type === 'json_schema') {
+        lines.push(
+            `只输出一个符合以下 JSON Schema${format.name ? ` (${format.name})` : ''} 的 JSON 值，不要输出任何解释或其他内容：`,
+            JSON.stringify(format.schema)
+        );
+    } else {
+        lines.push('只输出一个合法的 JSON 对象，不要输出任何解释或其他内容。');
+    }
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * 构建校验失败后的重试提示词
+ * @param {string} prompt - 原始提示词
+ * @param {string[]} errors - 上次回复的校验错误
+ * @returns {string}
+ */
+export function buildRetryPrompt(prompt, errors) {
+    return `${prompt}\n\n=== 上次回复未通过校验 ===\n${errors.map(e => `- ${e}`).join('\n')}\n请修正以上问题，重新输出完整的 JSON。`;
+}
+
+/**
+ * 从文本中截取以 start 处括号开始的完整 JSON 片段 (忽略字符串内的括号)
+ * @param {string} text - 文本
+ * @param {number} start - 起始括号位置
+ * @returns {string|null}
+ */
+function sliceBalanced(text, start) {
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch === '{' ? '}' : ']');
+        } else if (ch === '}' || ch === ']') {
+            if (stack.pop() !== ch) return null;
+            if (stack.length === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * 从模型回复中提取 JSON
+ * 依次尝试：整段回复、代码围栏内的内容、回复中第一个完整的对象或数组
+ * @param {string} text - 模型回复
+ * @returns {{value: *}|{error: string}}
+ */
+export function extractJson(text) {
+    const candidates = [text.trim()];
+    for (const match of text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/gi)) {
+        candidates.push(match[1].trim());
+    }
+    const start = text.search(/[{[]/);
+    if (start !== -1) {
+        const sliced = sliceBalanced(text, start);
+        if (sliced) candidates.push(sliced);
+    }
+
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (e) { /* 尝试下一个候选 */ }
+    }
+    return { error: '回复中没有找到合法的 JSON' };
+}
+
+/**
+ * 获取 JSON 值的类型名称 (区分 integer、array、null)
+ * @param {*} value - JSON 值
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * 解析 Schema 内部引用 (#/$defs/... 或 #/definitions/...)
+ * @param {object} root - 根 Schema
+ * @param {string} ref - 引用路径
+ * @returns {object|null}
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#')) return null;
+    let node = root;
+    for (const key of ref.slice(1).split('/').filter(Boolean)) {
+        node = node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return node && typeof node === 'object' ? node : null;
+}
+
+/**
+ * 按 JSON Schema 校验值
+ * 支持结构化输出常用的关键字：type、enum、const、properties、required、additionalProperties、
+ * items、长度/数量/数值范围、pattern、anyOf/oneOf/allOf 及内部 $ref
+ * @param {*} value - 待校验的值
+ * @param {object} schema - JSON Schema
+ * @param {object} [root=schema] - 解析 $ref 时使用的根 Schema
+ * @returns {string[]} 校验错误，为空表示通过
+ */
+export function validateSchema(value, schema, root = schema) {
+    const errors = [];
+
+    function check(val, sch, path) {
+        if (errors.length >= MAX_ERRORS || !sch || typeof sch !== 'object') return;
+
+        if (sch.$ref) {
+            const target = resolveRef(root, sch.$ref);
+            if (!target) {
+                errors.push(`${path}: 无法解析引用 ${sch.$ref}`);
+                return;
+            }
+            check(val, target, path);
+        }
+
+        if (sch.type !== undefined) {
+            const types = Array.isArray(sch.type) ? sch.type : [sch.type];
+            const actual = typeOf(val);
+            const matched = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+            if (!matched) {
+                errors.push(`${path}: 类型应为 ${types.join(' | ')}，实际为 ${actual}`);
+                return;
+            }
+        }
+
+        if (sch.enum && !sch.enum.some(e => JSON.stringify(e) === JSON.stringify(val))) {
+            errors.push(`${path}: 取值应为 ${sch.enum.map(e => JSON.stringify(e)).join(', ')} 之一`);
+        }
+        if (sch.const !== undefined && JSON.stringify(sch.const) !== JSON.stringify(val)) {
+            errors.push(`${path}: 取值应为 ${JSON.stringify(sch.const)}`);
+        }
+
+        if (typeof val === 'string') {
+            if (sch.minLength !== undefined && val.length < sch.minLength) errors.push(`${path}: 长度不能小于 ${sch.minLength}`);
+            if (sch.maxLength !== undefined && val.length > sch.maxLength) errors.push(`${path}: 长度不能大于 ${sch.maxLength}`);
+            if (sch.pattern !== undefined) {
+                try {
+                    if (!new RegExp(sch.pattern, 'u').test(val)) errors.push(`${path}: 不匹配 ${sch.pattern}`);
+                } catch (e) { /* 无法编译的 pattern 不做校验 */ }
+            }
+        }
+
+        if (typeof val === 'number') {
+            if (sch.minimum !== undefined && val < sch.minimum) errors.push(`${path}: 不能小于 ${sch.minimum}`);
+            if (sch.maximum !== undefined && val > sch.maximum) errors.push(`${path}: 不能大于 ${sch.maximum}`);
+            if (sch.exclusiveMinimum !== undefined && val <= sch.exclusiveMinimum) errors.push(`${path}: 必须大于 ${sch.exclusiveMinimum}`);
+            if (sch.exclusiveMaximum !== undefined && val >= sch.exclusiveMaximum) errors.push(`${path}: 必须小于 ${sch.exclusiveMaximum}`);
+        }
+
+        if (Array.isArray(val)) {
+            if (sch.minItems !== undefined && val.length < sch.minItems) errors.push(`${path}: 元素数量不能少于 ${sch.minItems}`);
+            if (sch.maxItems !== undefined && val.length > sch.maxItems) errors.push(`${path}: 元素数量不能多于 ${sch.maxItems}`);
+            if (sch.items && typeof sch.items === 'object') {
+                val.forEach((item, i) => check(item, sch.items, `${path}[${i}]`));
+            }
+        }
+
+        if (typeOf(val) === 'object') {
+            const properties = sch.properties || {};
+            for (const key of sch.required || []) {
+                if (!(key in val)) errors.push(`${path}: 缺少必填字段 ${key}`);
+            }
+            for (const [key, item] of Object.entries(val)) {
+                if (properties[key]) {
+                    check(item, properties[key], `${path}.${key}`);
+                } else if (sch.additionalProperties === false) {
+                    errors.push(`${path}: 不允许的字段 ${key}`);
+                } else if (sch.additionalProperties && typeof sch.additionalProperties === 'object') {
+                    check(item, sch.additionalProperties, `${path}.${key}`);
+                }
+            }
+        }
+
+        if (Array.isArray(sch.allOf)) {
+            sch.allOf.forEach(sub => check(val, sub, path));
+        }
+        if (Array.isArray(sch.anyOf) && !sch.anyOf.some(sub => validateSchema(val, sub, root).length === 0)) {
+            errors.push(`${path}: 不满足 anyOf 中的任何一个`);
+        }
+        if (Array.isArray(sch.oneOf)) {
+            const count = sch.oneOf.filter(sub => validateSchema(val, sub, root).length === 0).length;
+            if (count !== 1) errors.push(`${path}: 应恰好满足 oneOf 中的一个 (实际满足 ${count} 个)`);
+        }
+    }
+
+    check(value, schema, '$');
+    return errors;
+}
+
+/**
+ * 校验模型回复是否满足输出格式
+ * @param {string} text - 模型回复
+ * @param {ResponseFormat} format - 输出格式
+ * @returns {{json: string}|{errors: string[]}} 通过时返回规范化的 JSON 文本
+ */
+export function checkStructuredOutput(text, format) {
+    const extracted = extractJson(text);
+    if (extracted.error) {
+        return { errors: [extracted.error] };
+    }
+
+    const { value } = extracted;
+    if (format.type === 'json_object' && typeOf(value) !== 'object') {
+        return { errors: [`输出应为 JSON 对象，实际为 ${typeOf(value)}`] };
+    }
+    if (format.type === 'json_schema') {
+        const errors = validateSchema(value, format.schema);
+        if (errors.length > 0) return { errors };
+    }
+
+    return { json: JSON.stringify(value) };
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview 任务持久化模块
+ * @description 将队列中等待及处理中的任务、异步任务的状态保存到 SQLite，服务重启 (WebUI 重启或 Supervisor 崩溃恢复) 后据此恢复
+ *
+ * - tasks 表：队列任务，入队时写入、开始处理时更新状态、结束后删除；重启后无法恢复的任务标记为 failed 并保留一段时间
+ * - jobs 表：异步任务 (/v1/jobs) 的状态及结果文件，结果在保留期内重启后仍可查询
+ *
+ * 写入失败只记录日志，不影响任务执行
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { logger } from '../utils/logger.js';
+
+/** 无法恢复的任务记录保留时长 (毫秒) */
+const FAILED_TTL = 24 * 60 * 60 * 1000;
+
+/** 数据库结构 */
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS tasks (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+`;
+
+/**
+ * @typedef {object} TaskRecord
+ * @property {string} id - 任务 ID
+ * @property {'waiting'|'processing'|'failed'} status - 任务状态
+ * @property {object} payload - 恢复任务所需的参数 (解析后的提示词、临时图片路径等)
+ * @property {string|null} error - 失败原因
+ * @property {number} createdAt - 入队时间 (毫秒)
+ * @property {number} updatedAt - 状态更新时间 (毫秒)
+ */
+
+/**
+ * 创建任务存储
+ * @param {object} options - 存储选项
+ * @param {string} options.file - 数据库文件路径
+ */
+export function createTaskStore(options) {
+    const { file } = options;
+
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const statements = {
+        saveTask: db.prepare(`INSERT OR REPLACE INTO tasks (id, status, payload, error, created_at, updated_at)
+            VALUES (@id, 'waiting', @payload, NULL, @now, @now)`),
+        setTaskStatus: db.prepare('UPDATE tasks SET status = @status, error = @error, updated_at = @now WHERE id = @id'),
+        removeTask: db.prepare('DELETE FROM tasks WHERE id = ?'),
+        hasTask: db.prepare("SELECT 1 FROM tasks WHERE id = ? AND status != 'failed'"),
+        listUnfinished: db.prepare("SELECT * FROM tasks WHERE status != 'failed' ORDER BY created_at"),
+        listFailed: db.prepare("SELECT * FROM tasks WHERE status = 'failed' ORDER BY updated_at DESC LIMIT ?"),
+        pruneFailed: db.prepare("DELETE FROM tasks WHERE status = 'failed' AND updated_at <= ?"),
+        saveJob: db.prepare('INSERT OR REPLACE INTO jobs (id, data) VALUES (?, ?)'),
+        removeJob: db.prepare('DELETE FROM jobs WHERE id = ?'),
+        listJobs: db.prepare('SELECT data FROM jobs')
+    };
+
+    /**
+     * 执行写入，失败时记录日志
+     * @param {import('better-sqlite3').Statement} statement - 预编译语句
+     * @param {...any} params - 参数
+     */
+    function write(statement, ...params) {
+        try {
+            statement.run(...params);
+        } catch (e) {
+            logger.warn('服务器', '任务状态写入失败', { error: e.message });
+        }
+    }
+
+    /**
+     * 转换数据库行
+     * @param {object} row - tasks 表的行
+     * @returns {TaskRecord}
+     */
+    function toRecord(row) {
+        return {
+            id: row.id,
+            status: row.status,
+            payload: JSON.parse(row.payload),
+            error: row.error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    write(statements.pruneFailed, Date.now() - FAILED_TTL);
+
+    /**
+     * 保存入队的任务
+     * @param {string} id - 任务 ID
+     * @param {object} payload - 恢复任务所需的参数
+     */
+    function saveTask(id, payload) {
+        write(statements.saveTask, { id, payload: JSON.stringify(payload), now: Date.now() });
+    }
+
+    /**
+     * 标记任务开始处理
+     * @param {string} id - 任务 ID
+     */
+    function markProcessing(id) {
+        write(statements.setTaskStatus, { id, status: 'processing', error: null, now: Date.now() });
+    }
+
+    /**
+     * 标记任务无法恢复
+     * @param {string} id - 任务 ID
+     * @param {string} error - 失败原因
+     */
+    function markFailed(id, error) {
+        write(statements.setTaskStatus, { id, status: 'failed', error, now: Date.now() });
+    }
+
+    /**
+     * 删除已结束的任务
+     * @param {string} id - 任务 ID
+     */
+    function removeTask(id) {
+        write(statements.removeTask, id);
+    }
+
+    /**
+     * 任务是否仍在队列中 (等待或处理中)
+     * @param {string} id - 任务 ID
+     * @returns {boolean}
+     */
+    function hasTask(id) {
+        return !!statements.hasTask.get(id);
+    }
+
+    /**
+     * 列出上次运行未结束的任务 (按入队顺序)
+     * @returns {TaskRecord[]}
+     */
+    function listUnfinished() {
+        return statements.listUnfinished.all().map(toRecord);
+    }
+
+    /**
+     * 列出最近无法恢复的任务 (新的在前)
+     * @param {number} limit - 数量上限
+     * @returns {TaskRecord[]}
+     */
+    function listFailed(limit) {
+        return statements.listFailed.all(limit).map(toRecord);
+    }
+
+    /**
+     * 保存异步任务状态
+     * @param {object} job - 异步任务 (见 jobs.js 的 Job)
+     */
+    function saveJob(job) {
+        write(statements.saveJob, job.id, JSON.stringify(job));
+    }
+
+    /**
+     * 删除异步任务
+     * @param {string} id - 任务 ID
+     */
+    function removeJob(id) {
+        write(statements.removeJob, id);
+    }
+
+    /**
+     * 列出保存的异步任务
+     * @returns {object[]}
+     */
+    function listJobs() {
+        return statements.listJobs.all().map(row => JSON.parse(row.data));
+    }
+
+    return {
+        saveTask,
+        markProcessing,
+        markFailed,
+        removeTask,
+        hasTask,
+        listUnfinished,
+        listFailed,
+        saveJob,
+        removeJob,
+        listJobs
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview 工具调用模拟模块
+ * @description 网页模型不支持原生函数调用，通过提示词描述工具、从回复中解析约定格式的调用块来模拟 tools / tool_choice
+ */
+
+import crypto from 'crypto';
+
+/** 回复中工具调用块的起止标签 */
+const TOOL_CALLS_OPEN = '<tool_calls>';
+const TOOL_CALLS_CLOSE = '</tool_calls>';
+
+/** 工具名称格式 (与 OpenAI 限制一致) */
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * @typedef {object} ToolDefinition
+ * @property {string} name - 工具名称
+ * @property {string} [description] - 工具说明
+ * @property {object} [parameters] - 参数 JSON Schema
+ */
+
+/**
+ * @typedef {object} ToolOptions
+ * @property {ToolDefinition[]} tools - 可用工具
+ * @property {'auto'|'required'|{name: string}} choice - 调用要求 (auto: 由模型决定, required: 必须调用, {name}: 必须调用指定工具)
+ * @property {boolean} parallel - 是否允许一次调用多个工具
+ */
+
+/**
+ * @typedef {object} ToolCall
+ * @property {string} id - 调用 ID
+ * @property {'function'} type - 调用类型
+ * @property {{name: string, arguments: string}} function - 工具名称与 JSON 字符串形式的参数
+ */
+
+/**
+ * 校验并规范化请求中的 tools / tool_choice / parallel_tool_calls
+ * @param {object} data - 请求体数据
+ * @returns {{options: ToolOptions|null}|{error: string}} 未声明工具或 tool_choice 为 none 时 options 为 null
+ */
+export function normalizeToolOptions(data) {
+    const { tools, tool_choice: toolChoice = 'auto', parallel_tool_calls: parallel = true } = data;
+
+    if (tools === undefined || tools === null) {
+        return { options: null };
+    }
+    if (!Array.isArray(tools)) {
+        return { error: 'tools 必须是数组' };
+    }
+
+    const definitions = [];
+    for (const tool of tools) {
+        const fn = tool?.function;
+        if (tool?.type !== 'function' || !fn) {
+            return { error: '仅支持 type 为 function 的工具' };
+        }
+        if (typeof fn.name !== 'string' || !TOOL_NAME_PATTERN.test(fn.name)) {
+            return { error: `无效的工具名称: ${fn.name}` };
+        }
+        if (definitions.some(d => d.name === fn.name)) {
+            return { error: `工具名称重复: ${fn.name}` };
+        }
+        definitions.push({
+            name: fn.name,
+            description: fn.description,
+            parameters: fn.parameters
+        });
+    }
+
+    let choice;
+    if (toolChoice === 'none') {
+        return { options: null };
+    } else if (toolChoice === 'auto' || toolChoice === 'required') {
+        choice = toolChoice;
+    } else if (toolChoice?.type === 'function' && typeof toolChoice.function?.name === 'string') {
+        if (!definitions.some(d => d.name === toolChoice.function.name)) {
+            return { error: `tool_choice 指定的工具不存在: ${toolChoice.function.name}` };
+        }
+        choice = { name: toolChoice.function.name };
+    } else {
+        return { error: 'tool_choice 必须是 none、auto、required 或指定的 function' };
+    }
+
+    if (definitions.length === 0) {
+        return choice === 'auto' ? { options: null } : { error: 'tool_choice 要求调用工具，但 tools 为空' };
+    }
+
+    return { options: { tools: definitions, choice, parallel: parallel !== false } };
+}
+
+/**
+ * 将工具调用渲染为约定格式的调用块 (用于提示词示例和历史对话)
+ * @param {Array<{name: string, arguments: object|string}>} calls - 工具调用
+ * @returns {string}
+ */
+export function renderToolCalls(calls) {
+    const items = calls.map(({ name, arguments: args }) => {
+        let parsed = args;
+        if (typeof args === 'string') {
+            try { parsed = JSON.parse(args); } catch (e) { /* 保留原始字符串 */ }
+        }
+        return { name, arguments: parsed ?? {} };
+    });
+    return `${TOOL_CALLS_OPEN}\n${JSON.stringify(items)}\n${TOOL_CALLS_CLOSE}`;
+}
+
+/**
+ * 构建工具说明提示词
+ * @param {ToolOptions} options - 工具选项
+ * @returns {string}
+ */
+export function buildToolPrompt(options) {
+    const { tools, choice, parallel } = options;
+
+    const lines = [
+        '=== 可用工具 ===',
+        '你可以调用以下工具，工具由调用方执行，结果会在后续对话中以 Tool 消息提供：',
+        ''
+    ];
+    for (const tool of tools) {
+        lines.push(`- ${tool.name}${tool.description ? `: ${tool.description}` : ''}`);
+        if (tool.parameters) {
+            lines.push(`  参数 (JSON Schema): ${JSON.stringify(tool.parameters)}`);
+        }
+    }
+
+    lines.push(
+        '',
+        '调用工具时，在回复末尾输出以下格式的调用块，arguments 必须是符合参数定义的 JSON 对象，调用块之后不要再输出任何内容：',
+        renderToolCalls([{ name: 'tool_name', arguments: { key: 'value' } }]),
+        parallel ? '需要同时调用多个工具时，在同一个数组中列出。' : '每次回复最多调用一个工具。'
+    );
+
+    if (choice === 'required') {
+        lines.push('本次回复必须调用至少一个工具。');
+    } else if (typeof choice === 'object') {
+        lines.push(`本次回复必须调用工具 ${choice.name}。`);
+    } else {
+        lines.push('不需要调用工具时，直接回答，不要输出调用块。');
+    }
+
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * 解析模型回复中的工具调用
+ * @param {string} text - 模型回复
+ * @param {ToolOptions} options - 工具选项
+ * @returns {{content: string|null, toolCalls: ToolCall[]}|{error: string}} 回复格式不符合要求时返回 error
+ */
+export function parseToolCalls(text, options) {
+    const { tools, choice, parallel } = options;
+
+    const start = text.indexOf(TOOL_CALLS_OPEN);
+    if (start === -1) {
+        if (choice !== 'auto') {
+            return { error: '回复中缺少要求的工具调用' };
+        }
+        return { content: text, toolCalls: [] };
+    }
+
+    const end = text.indexOf(TOOL_CALLS_CLOSE, start);
+    if (end === -1) {
+        return { error: '工具调用块未闭合' };
+    }
+
+    // 容忍模型在调用块内额外包裹的代码围栏
+    const body = text.slice(start + TOOL_CALLS_OPEN.length, end).trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (e) {
+        return { error: `工具调用块不是合法的 JSON: ${e.message}` };
+    }
+
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    if (items.length === 0) {
+        return { error: '工具调用块为空' };
+    }
+
+    const toolCalls = [];
+    for (const item of items.slice(0, parallel ? items.length : 1)) {
+        if (!tools.some(t => t.name === item?.name)) {
+            return { error: `调用了不存在的工具: ${item?.name}` };
+        }
+        if (typeof choice === 'object' && item.name !== choice.name) {
+            return { error: `未按要求调用工具 ${choice.name}` };
+        }
+
+        let args = item.arguments ?? {};
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch (e) {
+                return { error: `工具 ${item.name} 的参数不是合法的 JSON` };
+            }
+        }
+        if (typeof args !== 'object' || Array.isArray(args)) {
+            return { error: `工具 ${item.name} 的参数必须是 JSON 对象` };
+        }
+
+        toolCalls.push({
+            id: 'call_' + crypto.randomBytes(12).toString('hex'),
+            type: 'function',
+            function: { name: item.name, arguments: JSON.stringify(args) }
+        });
+    }
+
+    const content = text.slice(0, start).trim();
+    return { content: content || null, toolCalls };
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview 远程图片下载测试 (SSRF 防护)
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { fetchRemoteImage } from '../src/server/fetcher.js';
+import { ERROR_CODES } from '../src/server/errors.js';
+
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+const OPTIONS = { maxSize: 1024 * 1024, timeout: 5000, maxRedirects: 3 };
+
+/**
+ * 断言下载因访问内网地址被拒绝
+ * @param {Promise} promise - 下载结果
+ */
+async function assertBlocked(promise) {
+    await assert.rejects(promise, err => {
+        assert.equal(err.code, ERROR_CODES.IMAGE_FETCH_FAILED);
+        assert.match(err.message, /禁止访问内网地址/);
+        return true;
+    });
+}
+
+/**
+ * 启动本地测试服务器
+ * @param {http.RequestListener} handler - 请求处理函数
+ * @returns {Promise<{origin: string, requests: string[], close: () => Promise<void>}>}
+ */
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('拒绝回环、内网及链路本地的 IP 地址', async () => {
+    for (const url of [
+        'http://127.0.0.1/a.png',
+        'http://10.1.2.3/a.png',
+        'http://172.16.0.1/a.png',
+        'http://192.168.1.1/a.png',
+        'http://169.254.169.254/latest/meta-data',
+        'http://100.64.0.1/a.png',
+        'http://0.0.0.0/a.png',
+        'http://[::1]/a.png',
+        'http://[fe80::1]/a.png',
+        'http://[fd00::1]/a.png'
+    ]) {
+        await assertBlocked(fetchRemoteImage(url, OPTIONS));
+    }
+});
+
+test('拒绝 IPv4 映射的 IPv6 内网地址', async () => {
+    for (const url of [
+        'http://[::ffff:127.0.0.1]/a.png',
+        'http://[::ffff:10.0.0.1]/a.png',
+        'http://[::ffff:a9fe:a9fe]/a.png'
+    ]) {
+        await assertBlocked(fetchRemoteImage(url, OPTIONS));
+    }
+});
+
+test('拒绝 DNS 解析到内网地址的域名', async (t) => {
+    const answers = {
+        'internal.example': [{ address: '10.0.0.5', family: 4 }],
+        'mixed.example': [{ address: '93.184.216.34', family: 4 }, { address: '192.168.0.10', family: 4 }],
+        'mapped.example': [{ address: '::ffff:127.0.0.1', family: 6 }]
+    };
+    t.mock.method(dns, 'lookup', (host, options, callback) => {
+        const addresses = answers[host];
+        if (!addresses) return callback(new Error(`ENOTFOUND ${host}`));
+        if (options?.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+
+    for (const host of Object.keys(answers)) {
+        await assertBlocked(fetchRemoteImage(`http://${host}/a.png`, OPTIONS));
+    }
+});
+
+test('重定向到内网地址时拒绝', async () => {
+    const server = await startServer((req, res) => {
+        if (req.url === '/redirect-ip') {
+            res.writeHead(302, { Location: 'http://10.0.0.1/a.png' });
+        } else {
+            res.writeHead(302, { Location: 'http://[::1]:8080/a.png' });
+        }
+        res.end();
+    });
+    try {
+        // 白名单只放行测试服务器自身
+        const options = { ...OPTIONS, allowlist: ['127.0.0.1'] };
+        await assertBlocked(fetchRemoteImage(`${server.origin}/redirect-ip`, options));
+        await assertBlocked(fetchRemoteImage(`${server.origin}/redirect-v6`, options));
+        assert.deepEqual(server.requests, ['/redirect-ip', '/redirect-v6']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('白名单中的内网地址可以访问，重定向次数受限', async () => {
+    const server = await startServer((req, res) => {
+        if (req.url === '/image.png') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(PNG);
+            return;
+        }
+        if (req.url === '/loop') {
+            res.writeHead(302, { Location: '/loop' });
+            res.end();
+            return;
+        }
+        res.writeHead(302, { Location: '/image.png' });
+        res.end();
+    });
+    try {
+        await assertBlocked(fetchRemoteImage(`${server.origin}/image.png`, OPTIONS));
+
+        for (const allowlist of [['127.0.0.1'], ['127.0.0.0/8']]) {
+            const { buffer, mimeType } = await fetchRemoteImage(`${server.origin}/start`, { ...OPTIONS, allowlist });
+            // 按文件头识别类型，不信任 Content-Type
+            assert.equal(mimeType, 'image/png');
+            assert.deepEqual(buffer, PNG);
+        }
+
+        await assert.rejects(
+            fetchRemoteImage(`${server.origin}/loop`, { ...OPTIONS, allowlist: ['127.0.0.1'] }),
+            /重定向次数超过限制/
+        );
+    } finally {
+        await server.close();
+    }
+});
+
+test('拒绝非 http(s) 协议', async () => {
+    for (const url of ['file:///etc/passwd', 'ftp://example.com/a.png', 'not a url']) {
+        await assert.rejects(fetchRemoteImage(url, OPTIONS), err => err.code === ERROR_CODES.IMAGE_FETCH_FAILED);
+    }
+});
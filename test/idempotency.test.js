@@ -0,0 +1,165 @@
+/**
+ * @fileoverview 幂等请求测试
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createIdempotencyStore, requestFingerprint, hashFile } from '../src/server/idempotency.js';
+
+const STORE_OPTIONS = { ttl: 60 * 1000, maxEntries: 100, maxSize: 1024 * 1024 };
+
+/**
+ * 创建模拟的客户端响应，记录写入的状态码、响应头及内容
+ * @returns {EventEmitter & {status: number|null, headers: object, body: string, writableEnded: boolean}}
+ */
+function createClient() {
+    const res = new EventEmitter();
+    return Object.assign(res, {
+        status: null,
+        headers: {},
+        body: '',
+        writableEnded: false,
+        destroyed: false,
+        writeHead(status, headers = {}) {
+            res.status = status;
+            res.headers = headers;
+            return res;
+        },
+        write(chunk) {
+            res.body += chunk;
+            return true;
+        },
+        end() {
+            res.writableEnded = true;
+            res.emit('close');
+        }
+    });
+}
+
+/**
+ * 认领幂等键并以给定内容完成响应
+ * @param {ReturnType<typeof createIdempotencyStore>} store - 幂等请求存储
+ * @param {string} key - 幂等键
+ * @param {string} body - 响应内容
+ * @param {number} [status=200] - 状态码
+ */
+function complete(store, key, body, status = 200) {
+    const { res } = store.claim(key, 'fp', createClient());
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body);
+}
+
+test('执行中的重复请求挂接到原任务，收到已写出及后续的内容', () => {
+    const store = createIdempotencyStore(STORE_OPTIONS);
+    const original = createClient();
+    const { res: recorder } = store.claim('k1', 'fp', original);
+    assert.ok(recorder);
+
+    recorder.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    recorder.write('data: 1\n\n');
+
+    const duplicate = createClient();
+    assert.deepEqual(store.claim('k1', 'fp', duplicate), { attached: true });
+    assert.equal(duplicate.status, 200);
+    assert.equal(duplicate.body, 'data: 1\n\n');
+
+    // 心跳只转发不保存
+    recorder.write(': keepalive\n\n');
+    recorder.write('data: 2\n\n');
+    recorder.end();
+
+    assert.equal(original.body, 'data: 1\n\n: keepalive\n\ndata: 2\n\n');
+    assert.equal(duplicate.body, 'data: 1\n\n: keepalive\n\ndata: 2\n\n');
+    assert.ok(original.writableEnded && duplicate.writableEnded);
+    assert.equal(original.headers['Idempotent-Replayed'], undefined);
+    assert.equal(duplicate.headers['Idempotent-Replayed'], 'true');
+});
+
+test('完成后的重复请求回放保存的响应', () => {
+    const store = createIdempotencyStore(STORE_OPTIONS);
+    complete(store, 'k1', '{"ok":true}');
+
+    const retry = createClient();
+    assert.deepEqual(store.claim('k1', 'fp', retry), { attached: true });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers['Content-Type'], 'application/json');
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.equal(retry.body, '{"ok":true}');
+    assert.ok(retry.writableEnded);
+});
+
+test('4xx/5xx 响应及流式错误事件不保存，重试时重新执行', () => {
+    const store = createIdempotencyStore(STORE_OPTIONS);
+
+    for (const status of [400, 429, 502]) {
+        const key = `status-${status}`;
+        complete(store, key, '{"error":{}}', status);
+        assert.ok(store.claim(key, 'fp', createClient()).res, `${status} 不应被保存`);
+    }
+
+    const { res } = store.claim('sse', 'fp', createClient());
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"error":{"message":"boom"}}\n\n');
+    res.end();
+    assert.ok(store.claim('sse', 'fp', createClient()).res);
+});
+
+test('相同幂等键但请求指纹不同时返回冲突', () => {
+    const store = createIdempotencyStore(STORE_OPTIONS);
+    store.claim('k1', requestFingerprint('/chat/completions', '{"a":1}'), createClient());
+
+    const client = createClient();
+    assert.deepEqual(store.claim('k1', requestFingerprint('/chat/completions', '{"a":2}'), client), { conflict: true });
+    assert.deepEqual(store.claim('k1', requestFingerprint('/images/generations', '{"a":1}'), client), { conflict: true });
+    assert.equal(client.status, null);
+});
+
+test('超出数量上限时淘汰最早完成的请求，执行中的请求不淘汰', () => {
+    const store = createIdempotencyStore({ ...STORE_OPTIONS, maxEntries: 2 });
+    const { res: inFlight } = store.claim('running', 'fp', createClient());
+    complete(store, 'a', 'A');
+    complete(store, 'b', 'B');
+
+    assert.deepEqual(store.claim('running', 'fp', createClient()), { attached: true });
+    assert.ok(store.claim('a', 'fp', createClient()).res, 'a 应被淘汰');
+    inFlight.end('done');
+});
+
+test('超出大小上限时淘汰最早完成的请求', () => {
+    const store = createIdempotencyStore({ ...STORE_OPTIONS, maxSize: 10 });
+    complete(store, 'a', '123456');
+    complete(store, 'b', '123456');
+
+    assert.ok(store.claim('a', 'fp', createClient()).res, 'a 应被淘汰');
+    assert.deepEqual(store.claim('b', 'fp', createClient()), { attached: true });
+});
+
+test('重启后重新认领执行中的幂等键，客户端重试时挂接', () => {
+    const store = createIdempotencyStore(STORE_OPTIONS);
+    const recorder = store.restore('k1', 'fp');
+    assert.deepEqual(recorder.idempotency, { key: 'k1', fingerprint: 'fp' });
+    assert.equal(store.restore('k1', 'fp'), null);
+
+    const retry = createClient();
+    assert.deepEqual(store.claim('k1', 'fp', retry), { attached: true });
+    recorder.end('{"ok":true}');
+    assert.equal(retry.body, '{"ok":true}');
+});
+
+test('上传文件的摘要与文件内容一致', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    try {
+        const file = path.join(dir, 'a.png');
+        fs.writeFileSync(file, 'PNGDATA');
+        const expected = crypto.createHash('sha256').update('PNGDATA').digest('hex');
+        assert.equal(await hashFile(file), expected);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
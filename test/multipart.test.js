@@ -0,0 +1,68 @@
+/**
+ * @fileoverview multipart 解析测试
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { parseMultipart } from '../src/server/multipart.js';
+import { ERROR_CODES } from '../src/server/errors.js';
+
+const BOUNDARY = 'test-boundary';
+
+/**
+ * 构造 multipart 请求
+ * @param {Buffer[]} chunks - 请求体分块
+ * @returns {Readable}
+ */
+function createRequest(chunks) {
+    const req = Readable.from(chunks);
+    req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+    return req;
+}
+
+test('文件超过大小限制时返回 413 且不留下临时文件', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-'));
+    try {
+        // 首个数据块即超过限制
+        const req = createRequest([
+            Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="image"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n`),
+            Buffer.alloc(4096, 1),
+            Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+        ]);
+
+        await assert.rejects(
+            parseMultipart(req, { tempDir, maxFileSize: 1024, maxFiles: 1 }),
+            err => err.code === ERROR_CODES.PAYLOAD_TOO_LARGE
+        );
+        // 等待可能迟到的文件创建
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(fs.readdirSync(tempDir), []);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('解析普通字段及文件', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-'));
+    try {
+        const req = createRequest([
+            Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="prompt"\r\n\r\nhello\r\n`),
+            Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="image"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n`),
+            Buffer.from('PNGDATA'),
+            Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+        ]);
+
+        const { fields, files } = await parseMultipart(req, { tempDir, maxFileSize: 1024, maxFiles: 1 });
+        assert.deepEqual(fields, { prompt: 'hello' });
+        assert.equal(files.length, 1);
+        assert.equal(files[0].mimeType, 'image/png');
+        assert.equal(fs.readFileSync(files[0].path, 'utf8'), 'PNGDATA');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
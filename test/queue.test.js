@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 队列加权公平调度测试
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createQueueManager } from '../src/server/queue.js';
+
+/**
+ * 创建模拟的客户端响应
+ * @returns {EventEmitter & object}
+ */
+function createResponse() {
+    return Object.assign(new EventEmitter(), {
+        headersSent: false,
+        writableEnded: false,
+        destroyed: false,
+        setHeader() { },
+        writeHead() { return this; },
+        write() { return true; },
+        end() { this.writableEnded = true; }
+    });
+}
+
+/**
+ * 等待条件成立 (队列内部的调度包含异步步骤)
+ * @param {() => boolean} condition - 条件
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(condition(), '等待条件超时');
+}
+
+/**
+ * 创建单并发、已暂停调度的队列，生成任务由测试逐个结束
+ * @returns {{queueManager: ReturnType<typeof createQueueManager>, started: string[], add: Function, waiting: () => string[], startNext: () => Promise<void>}}
+ */
+function createHarness() {
+    const started = [];
+    const pending = [];
+    const queueManager = createQueueManager(
+        { maxConcurrent: 1, queueBuffer: 0, keepaliveMode: 'comment', positionUpdates: { mode: 'off' } },
+        {
+            initBrowser: async () => ({}),
+            generate: (ctx, prompt, imagePaths, modelId, meta) => new Promise(resolve => {
+                started.push(meta.id);
+                pending.push(resolve);
+            }),
+            config: {}
+        }
+    );
+    queueManager.pause();
+
+    /**
+     * 添加非流式任务
+     * @param {string} id - 任务 ID
+     * @param {object} [options] - 优先级、调用方、权重等
+     */
+    function add(id, options = {}) {
+        queueManager.addTask({
+            req: { headers: {} },
+            res: createResponse(),
+            id,
+            prompt: id,
+            imagePaths: [],
+            modelId: 'model',
+            modelName: 'model',
+            isStreaming: false,
+            ...options
+        });
+    }
+
+    return {
+        queueManager,
+        started,
+        add,
+        waiting: () => queueManager.getDetailedStatus().waiting.map(t => t.id),
+        /** 结束当前任务并等待下一个任务开始 */
+        async startNext() {
+            const count = started.length;
+            pending.shift()({ text: 'ok' });
+            await waitFor(() => started.length > count);
+        }
+    };
+}
+
+test('同一优先级的调用方轮流得到 Worker', () => {
+    const { add, waiting } = createHarness();
+    for (const id of ['a1', 'a2', 'a3', 'a4']) add(id, { owner: 'a' });
+    for (const id of ['b1', 'b2']) add(id, { owner: 'b' });
+
+    assert.deepEqual(waiting(), ['a1', 'b1', 'a2', 'b2', 'a3', 'a4']);
+});
+
+test('调用方权重越大，同时排队时分到的 Worker 越多', () => {
+    const { add, waiting } = createHarness();
+    for (const id of ['c1', 'c2', 'c3', 'c4']) add(id, { owner: 'c', weight: 2 });
+    for (const id of ['d1', 'd2']) add(id, { owner: 'd' });
+
+    assert.deepEqual(waiting(), ['c1', 'c2', 'd1', 'c3', 'c4', 'd2']);
+});
+
+test('高优先级请求排在先入队的低优先级请求之前，后台任务排在交互任务之后', () => {
+    const { add, waiting } = createHarness();
+    add('bg', { owner: 'batch', background: true });
+    for (const id of ['low1', 'low2', 'low3']) add(id, { owner: 'script', priority: 'low' });
+    add('normal', { owner: 'user' });
+    add('high', { owner: 'user', priority: 'high' });
+
+    assert.deepEqual(waiting(), ['high', 'normal', 'low1', 'low2', 'low3', 'bg']);
+});
+
+test('移到队首的任务开始处理时不推进虚拟时间', async () => {
+    const { queueManager, started, add, waiting, startNext } = createHarness();
+    for (const id of ['a1', 'a2', 'a3']) add(id, { owner: 'a' });
+    for (const id of ['b1', 'b2', 'b3']) add(id, { owner: 'b' });
+    assert.deepEqual(waiting(), ['a1', 'b1', 'a2', 'b2', 'a3', 'b3']);
+
+    assert.equal(queueManager.moveToFront('b3'), true);
+    assert.equal(queueManager.moveToFront('missing'), false);
+    assert.deepEqual(waiting(), ['b3', 'a1', 'b1', 'a2', 'b2', 'a3']);
+
+    queueManager.resume();
+    await waitFor(() => started.length === 1);
+    assert.deepEqual(started, ['b3']);
+
+    // 虚拟时间未被 b3 原先的完成时间推进，新调用方的任务仍与其他调用方的首个任务同一轮
+    add('c1', { owner: 'c' });
+    assert.deepEqual(waiting(), ['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+
+    while (queueManager.getStatus().queueLength > 0) {
+        await startNext();
+    }
+    assert.deepEqual(started, ['b3', 'a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+});
+
+test('按优先级预留队列空位，所有优先级共用总上限', () => {
+    const queueManager = createQueueManager(
+        { maxConcurrent: 2, queueBuffer: 8, keepaliveMode: 'comment', positionUpdates: { mode: 'off' } },
+        { initBrowser: async () => ({}), generate: () => new Promise(() => { }), config: {} }
+    );
+    queueManager.pause();
+    const accepted = () => ['high', 'normal', 'low'].filter(p => queueManager.canAcceptNonStreaming(p));
+
+    for (let i = 0; i < 10; i++) {
+        if (i === 0) assert.deepEqual(accepted(), ['high', 'normal', 'low']);
+        if (i === 6) assert.deepEqual(accepted(), ['high', 'normal']);
+        if (i === 8) assert.deepEqual(accepted(), ['high']);
+        queueManager.addTask({
+            req: { headers: {} }, res: createResponse(), id: `t${i}`, prompt: 'p', imagePaths: [],
+            modelId: 'model', isStreaming: false, priority: i % 2 ? 'high' : 'low'
+        });
+    }
+    assert.deepEqual(accepted(), []);
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview 结构化输出测试
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeResponseFormat,
+    buildFormatPrompt,
+    buildRetryPrompt,
+    extractJson,
+    validateSchema,
+    checkStructuredOutput
+} from '../src/server/structured.js';
+
+const PERSON_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0 },
+        role: { enum: ['admin', 'user'] }
+    },
+    required: ['name', 'age'],
+    additionalProperties: false
+};
+
+test('规范化 response_format', () => {
+    assert.deepEqual(normalizeResponseFormat({}), { format: null });
+    assert.deepEqual(normalizeResponseFormat({ response_format: { type: 'text' } }), { format: null });
+    assert.deepEqual(normalizeResponseFormat({ response_format: { type: 'json_object' } }), { format: { type: 'json_object' } });
+    assert.deepEqual(
+        normalizeResponseFormat({ response_format: { type: 'json_schema', json_schema: { name: 'person', schema: PERSON_SCHEMA } } }),
+        { format: { type: 'json_schema', name: 'person', schema: PERSON_SCHEMA } }
+    );
+});
+
+test('response_format 无效时返回错误', () => {
+    for (const responseFormat of [
+        { type: 'json_schema' },
+        { type: 'json_schema', json_schema: { schema: [] } },
+        { type: 'json_schema', json_schema: { schema: 'object' } },
+        { type: 'yaml' }
+    ]) {
+        assert.ok(normalizeResponseFormat({ response_format: responseFormat }).error, JSON.stringify(responseFormat));
+    }
+});
+
+test('格式提示词包含 Schema，重试提示词列出上次的校验错误', () => {
+    const prompt = buildFormatPrompt({ type: 'json_schema', name: 'person', schema: PERSON_SCHEMA });
+    assert.match(prompt, /\(person\)/);
+    assert.ok(prompt.includes(JSON.stringify(PERSON_SCHEMA)));
+    assert.match(buildFormatPrompt({ type: 'json_object' }), /JSON 对象/);
+
+    const retry = buildRetryPrompt('原始提示词', ['$: 缺少必填字段 name', '$.age: 不能小于 0']);
+    assert.ok(retry.startsWith('原始提示词\n\n'));
+    assert.match(retry, /^- \$: 缺少必填字段 name$/m);
+    assert.match(retry, /^- \$\.age: 不能小于 0$/m);
+});
+
+test('从代码围栏及前后夹杂文字的回复中提取 JSON', () => {
+    assert.deepEqual(extractJson('  {"a":1}  '), { value: { a: 1 } });
+    assert.deepEqual(extractJson('结果如下：\n```json\n{"a":1}\n```\n以上。'), { value: { a: 1 } });
+    assert.deepEqual(extractJson('```\n[1, 2]\n```'), { value: [1, 2] });
+    // 字符串内的括号不影响截取
+    assert.deepEqual(extractJson('好的 {"text":"a } b","list":[1]} 完成'), { value: { text: 'a } b', list: [1] } });
+    assert.ok(extractJson('没有 JSON').error);
+    assert.ok(extractJson('```json\n{"a":\n```').error);
+});
+
+test('按 JSON Schema 校验并报告字段路径', () => {
+    assert.deepEqual(validateSchema({ name: 'Tom', age: 3 }, PERSON_SCHEMA), []);
+    assert.deepEqual(validateSchema({ name: '', age: 1.5, role: 'root', extra: 1 }, PERSON_SCHEMA), [
+        '$.name: 长度不能小于 1',
+        '$.age: 类型应为 integer，实际为 number',
+        '$.role: 取值应为 "admin", "user" 之一',
+        '$: 不允许的字段 extra'
+    ]);
+    assert.deepEqual(validateSchema({}, PERSON_SCHEMA), ['$: 缺少必填字段 name', '$: 缺少必填字段 age']);
+});
+
+test('支持 $ref、数组元素及 anyOf/oneOf', () => {
+    const schema = {
+        type: 'array',
+        items: { $ref: '#/$defs/item' },
+        $defs: { item: { anyOf: [{ type: 'string' }, { type: 'integer' }] } }
+    };
+    assert.deepEqual(validateSchema(['a', 1], schema), []);
+    assert.deepEqual(validateSchema(['a', true], schema), ['$[1]: 不满足 anyOf 中的任何一个']);
+
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    assert.deepEqual(validateSchema(1.5, oneOf), []);
+    assert.deepEqual(validateSchema(1, oneOf), ['$: 应恰好满足 oneOf 中的一个 (实际满足 2 个)']);
+});
+
+test('检查结构化输出：通过时返回规范化 JSON，否则返回错误', () => {
+    const format = { type: 'json_schema', schema: PERSON_SCHEMA };
+    assert.deepEqual(
+        checkStructuredOutput('```json\n{ "name": "Tom", "age": 3 }\n```', format),
+        { json: '{"name":"Tom","age":3}' }
+    );
+    assert.deepEqual(checkStructuredOutput('{"name":"Tom"}', format), { errors: ['$: 缺少必填字段 age'] });
+    assert.deepEqual(checkStructuredOutput('抱歉，无法回答', format), { errors: ['回复中没有找到合法的 JSON'] });
+
+    assert.deepEqual(checkStructuredOutput('[1]', { type: 'json_object' }), { errors: ['输出应为 JSON 对象，实际为 array'] });
+    assert.deepEqual(checkStructuredOutput('{"ok": true}', { type: 'json_object' }), { json: '{"ok":true}' });
+});
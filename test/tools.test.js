@@ -0,0 +1,144 @@
+/**
+ * @fileoverview 工具调用模拟测试
+ * @description 运行: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeToolOptions, renderToolCalls, buildToolPrompt, parseToolCalls } from '../src/server/tools.js';
+
+const WEATHER = {
+    type: 'function',
+    function: {
+        name: 'get_weather',
+        description: '查询天气',
+        parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+    }
+};
+const TIME = { type: 'function', function: { name: 'get_time' } };
+
+/**
+ * 规范化工具选项，断言成功并返回 options
+ * @param {object} data - 请求体数据
+ * @returns {import('../src/server/tools.js').ToolOptions}
+ */
+function optionsOf(data) {
+    const result = normalizeToolOptions(data);
+    assert.equal(result.error, undefined);
+    return result.options;
+}
+
+test('规范化 tools / tool_choice / parallel_tool_calls', () => {
+    assert.equal(optionsOf({}), null);
+    assert.equal(optionsOf({ tools: [WEATHER], tool_choice: 'none' }), null);
+    assert.equal(optionsOf({ tools: [] }), null);
+
+    assert.deepEqual(optionsOf({ tools: [WEATHER, TIME] }), {
+        tools: [
+            { name: 'get_weather', description: '查询天气', parameters: WEATHER.function.parameters },
+            { name: 'get_time', description: undefined, parameters: undefined }
+        ],
+        choice: 'auto',
+        parallel: true
+    });
+
+    const forced = optionsOf({
+        tools: [WEATHER],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+        parallel_tool_calls: false
+    });
+    assert.deepEqual(forced.choice, { name: 'get_weather' });
+    assert.equal(forced.parallel, false);
+});
+
+test('tools / tool_choice 无效时返回错误', () => {
+    for (const data of [
+        { tools: WEATHER },
+        { tools: [{ type: 'retrieval' }] },
+        { tools: [{ type: 'function', function: { name: 'bad name' } }] },
+        { tools: [WEATHER, WEATHER] },
+        { tools: [WEATHER], tool_choice: 'always' },
+        { tools: [WEATHER], tool_choice: { type: 'function', function: { name: 'missing' } } },
+        { tools: [], tool_choice: 'required' }
+    ]) {
+        assert.ok(normalizeToolOptions(data).error, JSON.stringify(data));
+    }
+});
+
+test('工具说明提示词列出工具并按 tool_choice 给出要求', () => {
+    const options = optionsOf({ tools: [WEATHER, TIME] });
+    const prompt = buildToolPrompt(options);
+    assert.match(prompt, /^- get_weather: 查询天气$/m);
+    assert.ok(prompt.includes(`参数 (JSON Schema): ${JSON.stringify(WEATHER.function.parameters)}`));
+    assert.match(prompt, /^- get_time$/m);
+    assert.match(prompt, /同一个数组中列出/);
+    assert.match(prompt, /不需要调用工具时，直接回答/);
+
+    assert.match(buildToolPrompt({ ...options, choice: 'required', parallel: false }), /最多调用一个工具[\s\S]*必须调用至少一个工具/);
+    assert.match(buildToolPrompt({ ...options, choice: { name: 'get_time' } }), /必须调用工具 get_time/);
+});
+
+test('渲染的调用块可以被解析回来', () => {
+    const block = renderToolCalls([
+        { name: 'get_weather', arguments: '{"city":"北京"}' },
+        { name: 'get_time', arguments: null }
+    ]);
+    assert.equal(block, '<tool_calls>\n[{"name":"get_weather","arguments":{"city":"北京"}},{"name":"get_time","arguments":{}}]\n</tool_calls>');
+
+    const result = parseToolCalls(block, optionsOf({ tools: [WEATHER, TIME] }));
+    assert.deepEqual(result.toolCalls.map(c => c.function), [
+        { name: 'get_weather', arguments: '{"city":"北京"}' },
+        { name: 'get_time', arguments: '{}' }
+    ]);
+});
+
+test('解析回复中的多个工具调用及调用块之前的内容', () => {
+    const text = '我来查一下。\n<tool_calls>\n[{"name":"get_weather","arguments":{"city":"北京"}},{"name":"get_time","arguments":"{}"}]\n</tool_calls>';
+    const { content, toolCalls } = parseToolCalls(text, optionsOf({ tools: [WEATHER, TIME] }));
+
+    assert.equal(content, '我来查一下。');
+    assert.equal(toolCalls.length, 2);
+    for (const call of toolCalls) {
+        assert.match(call.id, /^call_[0-9a-f]{24}$/);
+        assert.equal(call.type, 'function');
+    }
+    assert.notEqual(toolCalls[0].id, toolCalls[1].id);
+    assert.deepEqual(JSON.parse(toolCalls[0].function.arguments), { city: '北京' });
+
+    // 不允许并行调用时只保留第一个
+    const single = parseToolCalls(text, optionsOf({ tools: [WEATHER, TIME], parallel_tool_calls: false }));
+    assert.deepEqual(single.toolCalls.map(c => c.function.name), ['get_weather']);
+});
+
+test('容忍调用块内的代码围栏及单个调用对象', () => {
+    const options = optionsOf({ tools: [WEATHER] });
+    const fenced = parseToolCalls('<tool_calls>\n```json\n[{"name":"get_weather","arguments":{"city":"上海"}}]\n```\n</tool_calls>', options);
+    assert.equal(fenced.content, null);
+    assert.equal(fenced.toolCalls[0].function.arguments, '{"city":"上海"}');
+
+    const single = parseToolCalls('<tool_calls>{"name":"get_weather"}</tool_calls>', options);
+    assert.equal(single.toolCalls[0].function.arguments, '{}');
+});
+
+test('没有调用块时按 tool_choice 返回内容或错误', () => {
+    assert.deepEqual(parseToolCalls('今天晴。', optionsOf({ tools: [WEATHER] })), { content: '今天晴。', toolCalls: [] });
+    assert.ok(parseToolCalls('今天晴。', optionsOf({ tools: [WEATHER], tool_choice: 'required' })).error);
+});
+
+test('调用块格式或参数无效时返回错误', () => {
+    const options = optionsOf({ tools: [WEATHER, TIME] });
+    const cases = {
+        '<tool_calls>[{"name":"get_weather"}]': /未闭合/,
+        '<tool_calls>[{"name":</tool_calls>': /不是合法的 JSON/,
+        '<tool_calls>[]</tool_calls>': /为空/,
+        '<tool_calls>[{"name":"search"}]</tool_calls>': /不存在的工具: search/,
+        '<tool_calls>[{"name":"get_weather","arguments":"{city"}]</tool_calls>': /get_weather 的参数不是合法的 JSON/,
+        '<tool_calls>[{"name":"get_weather","arguments":[1]}]</tool_calls>': /get_weather 的参数必须是 JSON 对象/
+    };
+    for (const [text, pattern] of Object.entries(cases)) {
+        assert.match(parseToolCalls(text, options).error, pattern, text);
+    }
+
+    const forced = optionsOf({ tools: [WEATHER, TIME], tool_choice: { type: 'function', function: { name: 'get_weather' } } });
+    assert.match(parseToolCalls('<tool_calls>[{"name":"get_time"}]</tool_calls>', forced).error, /未按要求调用工具 get_weather/);
+});
@@ -15,7 +15,10 @@ export const useSettingsStore = defineStore('settings', {
             }
         },
         adapterConfig: {},
-        adaptersMeta: []
+        adaptersMeta: [],
+        modelsConfig: {
+            aliases: {}
+        }
     }),
 
     actions: {
@@ -224,6 +227,36 @@ export const useSettingsStore = defineStore('settings', {
                 Modal.error({ title: '保存失败 (网络异常)', content: e.message });
             }
             return false;
+        },
+
+        // --- 模型别名配置 ---
+        async fetchModelsConfig() {
+            try {
+                const res = await fetch('/admin/config/models', { headers: this.getHeaders() });
+                if (res.ok) {
+                    const data = await res.json();
+                    this.modelsConfig = { aliases: data.aliases || {} };
+                }
+            } catch (e) {
+                console.error('Fetch models config failed', e);
+            }
+        },
+        async saveModelsConfig(config) {
+            try {
+                const res = await fetch('/admin/config/models', {
+                    method: 'POST',
+                    headers: this.getHeaders(),
+                    body: JSON.stringify(config)
+                });
+                const result = await this.handleResponse(res, '模型别名保存成功');
+                if (result.success) {
+                    this.modelsConfig = config;
+                    return true;
+                }
+            } catch (e) {
+                Modal.error({ title: '保存失败 (网络异常)', content: e.message });
+            }
+            return false;
         }
     }
 });